@@ -0,0 +1,356 @@
+/**
+ * Camera
+ * Orbiting camera for the 3D view: a quaternion orientation around a target point,
+ * perspective or orthographic projection, and the view and projection matrices the
+ * ray caster inverts to generate its rays. World space is the volume's box in mm,
+ * centred on the origin.
+ */
+
+export const PROJECTIONS = ['perspective', 'orthographic'];
+
+// Vertical field of view of the perspective projection: half angle atan(0.5)
+const HALF_FOV_TANGENT = 0.5;
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 20;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+// Vectors and quaternions alike
+const normalize = (v) => {
+    const length = Math.hypot(...v) || 1;
+    return v.map(c => c / length);
+};
+
+// Quaternions are [x, y, z, w]
+const multiplyQuaternions = (a, b) => [
+    a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+    a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+    a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+    a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+];
+
+const axisAngleQuaternion = (axis, angle) => {
+    const s = Math.sin(angle / 2);
+    return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+};
+
+const rotateByQuaternion = (q, v) => {
+    // v + 2w (u x v) + 2 u x (u x v), with u the quaternion's vector part
+    const u = q.slice(0, 3);
+    const uv = cross(u, v);
+    const uuv = cross(u, uv);
+    return v.map((c, i) => c + 2 * (q[3] * uv[i] + uuv[i]));
+};
+
+// Quaternion of the rotation matrix with the given columns
+const matrixToQuaternion = ([m00, m10, m20], [m01, m11, m21], [m02, m12, m22]) => {
+    const trace = m00 + m11 + m22;
+    if (trace > 0) {
+        const s = 2 * Math.sqrt(trace + 1);
+        return [(m21 - m12) / s, (m02 - m20) / s, (m10 - m01) / s, s / 4];
+    }
+    if (m00 > m11 && m00 > m22) {
+        const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        return [s / 4, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s];
+    }
+    if (m11 > m22) {
+        const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        return [(m01 + m10) / s, s / 4, (m12 + m21) / s, (m02 - m20) / s];
+    }
+    const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    return [(m02 + m20) / s, (m12 + m21) / s, s / 4, (m10 - m01) / s];
+};
+
+// Matrices are column-major Float32Arrays, as WebGL takes them
+const multiplyMatrices = (a, b) => {
+    const result = new Float32Array(16);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            result[column * 4 + row] = sum;
+        }
+    }
+    return result;
+};
+
+// General 4x4 inverse by cofactors
+const invertMatrix = (m) => {
+    const [a00, a01, a02, a03, a10, a11, a12, a13, a20, a21, a22, a23, a30, a31, a32, a33] = m;
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+
+    const determinant = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (!determinant) {
+        throw new Error('Camera matrix is not invertible');
+    }
+    const f = 1 / determinant;
+
+    return new Float32Array([
+        (a11 * b11 - a12 * b10 + a13 * b09) * f,
+        (a02 * b10 - a01 * b11 - a03 * b09) * f,
+        (a31 * b05 - a32 * b04 + a33 * b03) * f,
+        (a22 * b04 - a21 * b05 - a23 * b03) * f,
+        (a12 * b08 - a10 * b11 - a13 * b07) * f,
+        (a00 * b11 - a02 * b08 + a03 * b07) * f,
+        (a32 * b02 - a30 * b05 - a33 * b01) * f,
+        (a20 * b05 - a22 * b02 + a23 * b01) * f,
+        (a10 * b10 - a11 * b08 + a13 * b06) * f,
+        (a01 * b08 - a00 * b10 - a03 * b06) * f,
+        (a30 * b04 - a31 * b02 + a33 * b00) * f,
+        (a21 * b02 - a20 * b04 - a23 * b00) * f,
+        (a11 * b07 - a10 * b09 - a12 * b06) * f,
+        (a00 * b09 - a01 * b07 + a02 * b06) * f,
+        (a31 * b01 - a30 * b03 - a32 * b00) * f,
+        (a20 * b03 - a21 * b01 + a22 * b00) * f
+    ]);
+};
+
+// Point times matrix, divided by w
+const transformPoint = (m, [x, y, z]) => {
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    return [0, 1, 2].map(i => (m[i] * x + m[4 + i] * y + m[8 + i] * z + m[12 + i]) / w);
+};
+
+/**
+ * Map a pane point onto the arcball: a unit hemisphere facing the viewer that fills
+ * the pane's shorter side, continued flat beyond its rim
+ * @param {Array<number>} point - Pane coordinates (0-1, origin at the lower left)
+ * @param {number} aspect - Pane width over height
+ * @returns {Array<number>} Unit vector in camera space
+ */
+function projectToArcball(point, aspect) {
+    const x = (point[0] * 2 - 1) * Math.max(aspect, 1);
+    const y = (point[1] * 2 - 1) * Math.max(1 / aspect, 1);
+    const lengthSquared = x * x + y * y;
+    return lengthSquared <= 1 ? [x, y, Math.sqrt(1 - lengthSquared)] : normalize([x, y, 0]);
+}
+
+export class Camera {
+    constructor() {
+        this.projection = 'perspective';
+        this.reset(1);
+    }
+
+    /**
+     * Look at the volume's centre from the front, far enough back to see all of it
+     * @param {number} radius - Radius in mm of a sphere around the volume
+     */
+    reset(radius = this.radius) {
+        this.radius = radius;
+
+        // Camera-to-world rotation; the camera looks down its -z axis with +y up
+        this.rotation = [0, 0, 0, 1];
+        this.target = [0, 0, 0];
+        this.zoom = 1;
+    }
+
+    /**
+     * Turn the camera to look in a direction with another shown up, keeping its target
+     * @param {Array<number>} forward - Viewing direction in world space
+     * @param {Array<number>} up - Direction to show up; only its part across forward counts
+     */
+    lookAlong(forward, up) {
+        const back = normalize(forward.map(c => -c));
+        const right = normalize(cross(up, back));
+        this.rotation = normalize(matrixToQuaternion(right, cross(back, right), back));
+    }
+
+    /**
+     * @param {string} projection - 'perspective' or 'orthographic'
+     */
+    setProjection(projection) {
+        if (!PROJECTIONS.includes(projection)) {
+            throw new Error(`Unknown projection '${projection}', expected one of ${PROJECTIONS.join(', ')}`);
+        }
+        this.projection = projection;
+    }
+
+    // Distance from the target at which the volume's sphere fits the field of view
+    get distance() {
+        return this.radius * Math.hypot(1, 1 / HALF_FOV_TANGENT);
+    }
+
+    /**
+     * Camera axes in world space
+     * @returns {Object} right, up and forward (the viewing direction) unit vectors
+     */
+    getAxes() {
+        return {
+            right: rotateByQuaternion(this.rotation, [1, 0, 0]),
+            up: rotateByQuaternion(this.rotation, [0, 1, 0]),
+            forward: rotateByQuaternion(this.rotation, [0, 0, -1])
+        };
+    }
+
+    /**
+     * @returns {Array<number>} Camera position in world space
+     */
+    getPosition() {
+        const { forward } = this.getAxes();
+        return this.target.map((c, i) => c - forward[i] * this.distance);
+    }
+
+    /**
+     * World-to-camera matrix
+     * @returns {Float32Array}
+     */
+    getViewMatrix() {
+        const { right, up, forward } = this.getAxes();
+        const position = this.getPosition();
+        const back = forward.map(c => -c);
+        return new Float32Array([
+            right[0], up[0], back[0], 0,
+            right[1], up[1], back[1], 0,
+            right[2], up[2], back[2], 0,
+            -dot(right, position), -dot(up, position), -dot(back, position), 1
+        ]);
+    }
+
+    /**
+     * Near and far plane distances, just around the volume's sphere
+     * @returns {Array<number>} [near, far]
+     */
+    getDepthRange() {
+        const { forward } = this.getAxes();
+        const position = this.getPosition();
+        const centreDepth = -dot(position, forward);
+        const near = Math.max(centreDepth - this.radius * 1.01, this.distance * 0.01);
+        const far = Math.max(centreDepth + this.radius * 1.01, near * 2);
+        return [near, far];
+    }
+
+    /**
+     * Camera-to-clip matrix. Both projections show the same area at the target's
+     * depth, which zooming shrinks.
+     * @param {number} aspect - Viewport width over height
+     * @returns {Float32Array}
+     */
+    getProjectionMatrix(aspect) {
+        const [near, far] = this.getDepthRange();
+        if (this.projection === 'orthographic') {
+            const halfHeight = this.distance * HALF_FOV_TANGENT / this.zoom;
+            const halfWidth = halfHeight * aspect;
+            return new Float32Array([
+                1 / halfWidth, 0, 0, 0,
+                0, 1 / halfHeight, 0, 0,
+                0, 0, -2 / (far - near), 0,
+                0, 0, -(far + near) / (far - near), 1
+            ]);
+        }
+
+        const focal = this.zoom / HALF_FOV_TANGENT;
+        return new Float32Array([
+            focal / aspect, 0, 0, 0,
+            0, focal, 0, 0,
+            0, 0, (far + near) / (near - far), -1,
+            0, 0, 2 * far * near / (near - far), 0
+        ]);
+    }
+
+    /**
+     * @param {number} aspect - Viewport width over height
+     * @returns {Float32Array} World-to-clip matrix
+     */
+    getViewProjectionMatrix(aspect) {
+        return multiplyMatrices(this.getProjectionMatrix(aspect), this.getViewMatrix());
+    }
+
+    /**
+     * @param {number} aspect - Viewport width over height
+     * @returns {Float32Array} Clip-to-world matrix, which the ray caster builds rays from
+     */
+    getInverseViewProjectionMatrix(aspect) {
+        return invertMatrix(this.getViewProjectionMatrix(aspect));
+    }
+
+    /**
+     * The ray through a pane point, as the ray caster builds it: from the near
+     * plane towards the far plane
+     * @param {Array<number>} point - Pane coordinates (0-1, origin at the lower left)
+     * @param {number} aspect - Pane width over height
+     * @returns {Object} origin in world space and unit direction
+     */
+    getRay(point, aspect) {
+        const inverse = this.getInverseViewProjectionMatrix(aspect);
+        const [x, y] = point.map(c => c * 2 - 1);
+        const origin = transformPoint(inverse, [x, y, -1]);
+        const end = transformPoint(inverse, [x, y, 1]);
+        return { origin, direction: normalize(end.map((c, i) => c - origin[i])) };
+    }
+
+    /**
+     * Where a world position shows in a pane
+     * @param {Array<number>} position - World position
+     * @param {number} aspect - Pane width over height
+     * @returns {Array<number>} Pane coordinates (0-1, origin at the lower left)
+     */
+    project(position, aspect) {
+        const clip = transformPoint(this.getViewProjectionMatrix(aspect), position);
+        return [(clip[0] + 1) / 2, (clip[1] + 1) / 2];
+    }
+
+    /**
+     * Arcball rotation: turn the volume as if the point under the mouse were
+     * dragged from one pane point to the other
+     * @param {Array<number>} from - Pane point the drag came from
+     * @param {Array<number>} to - Pane point the drag is at
+     * @param {number} aspect - Pane width over height
+     */
+    rotate(from, to, aspect) {
+        const start = projectToArcball(from, aspect);
+        const end = projectToArcball(to, aspect);
+        const axis = cross(start, end);
+        const sine = Math.hypot(...axis);
+        if (sine < 1e-9) return;
+
+        // Turning the volume one way is turning the camera the other way around it
+        const angle = Math.atan2(sine, dot(start, end));
+        this.turn(axis.map(c => c / sine), -angle);
+    }
+
+    /**
+     * Turn the camera about an axis of its own, around the target
+     * @param {Array<number>} axis - Unit axis in camera space; x is right, y up, z backwards
+     * @param {number} angle - Angle in radians
+     */
+    turn(axis, angle) {
+        this.rotation = normalize(multiplyQuaternions(this.rotation, axisAngleQuaternion(axis, angle)));
+    }
+
+    /**
+     * Move the camera and its target sideways, so the volume follows the mouse
+     * @param {Array<number>} delta - Movement in pane coordinates
+     * @param {number} aspect - Pane width over height
+     */
+    pan(delta, aspect) {
+        const { right, up } = this.getAxes();
+        const height = 2 * this.distance * HALF_FOV_TANGENT / this.zoom;
+        const dx = delta[0] * height * aspect;
+        const dy = delta[1] * height;
+        this.target = this.target.map((c, i) => c - right[i] * dx - up[i] * dy);
+    }
+
+    /**
+     * Magnify the image
+     * @param {number} factor - Above 1 zooms in, below 1 out
+     */
+    zoomBy(factor) {
+        this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.zoom * factor));
+    }
+}
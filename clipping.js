@@ -0,0 +1,105 @@
+/**
+ * Clipping
+ * Crop box and clipping planes that cut the 3D view down to the part of the volume
+ * of interest. The crop box is axis-aligned, in texture coordinates (0-1 along each
+ * volume axis). Planes are in world space (mm along the volume axes, centred on the
+ * volume) and cut away the side their normal points to.
+ */
+
+// Most clipping planes at once; the shader takes them as a uniform array
+export const MAX_CLIP_PLANES = 6;
+
+// Smallest crop box side, as a fraction of the volume
+export const MIN_CROP_SIZE = 0.01;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+/**
+ * @returns {Object} min and max of a crop box around the whole volume
+ */
+export function createCropBox() {
+    return { min: [0, 0, 0], max: [1, 1, 1] };
+}
+
+/**
+ * Check a crop box and bring it inside the volume, at least MIN_CROP_SIZE a side
+ * @param {Array<number>} min - Lower corner in texture coordinates
+ * @param {Array<number>} max - Upper corner in texture coordinates
+ * @returns {Object} min and max of the crop box
+ */
+export function normalizeCropBox(min, max) {
+    if (!isVector(min) || !isVector(max)) {
+        throw new Error('Crop box corners must be three numbers each');
+    }
+    const box = createCropBox();
+    for (let axis = 0; axis < 3; axis++) {
+        const low = clamp(Math.min(min[axis], max[axis]), 0, 1 - MIN_CROP_SIZE);
+        box.min[axis] = low;
+        box.max[axis] = clamp(Math.max(min[axis], max[axis]), low + MIN_CROP_SIZE, 1);
+    }
+    return box;
+}
+
+/**
+ * Move one face of a crop box, stopping short of the opposite face
+ * @param {Object} box - Crop box with min and max
+ * @param {number} face - Face index: axis * 2, plus 1 for the face at the axis' far end
+ * @param {number} delta - Movement along the axis in texture coordinates
+ * @returns {Object} The moved crop box
+ */
+export function moveCropFace(box, face, delta) {
+    const axis = Math.floor(face / 2);
+    const min = [...box.min];
+    const max = [...box.max];
+    if (face % 2 === 0) {
+        min[axis] = clamp(min[axis] + delta, 0, max[axis] - MIN_CROP_SIZE);
+    } else {
+        max[axis] = clamp(max[axis] + delta, min[axis] + MIN_CROP_SIZE, 1);
+    }
+    return { min, max };
+}
+
+/**
+ * Check a clipping plane and make its normal a unit vector
+ * @param {Array<number>} normal - Direction of the side to cut away, in world space
+ * @param {number} [distance=0] - Signed distance in mm from the volume's centre
+ * @returns {Object} Plane with a unit normal and its distance
+ */
+export function createClipPlane(normal, distance = 0) {
+    const length = isVector(normal) ? Math.hypot(...normal) : 0;
+    if (!(length > 1e-9) || !Number.isFinite(distance)) {
+        throw new Error('Clipping plane needs a non-zero normal and a finite distance');
+    }
+    return { normal: normal.map(c => c / length), distance };
+}
+
+/**
+ * Where a ray enters and leaves a box
+ * @param {Array<number>} origin - Ray origin
+ * @param {Array<number>} direction - Ray direction
+ * @param {Array<number>} min - Lower corner of the box
+ * @param {Array<number>} max - Upper corner of the box
+ * @returns {Object|null} near and far distances along the ray and the face it enters
+ *                        through (see moveCropFace()), or null if it misses the box
+ */
+export function intersectBox(origin, direction, min, max) {
+    let near = -Infinity;
+    let far = Infinity;
+    let face = -1;
+    for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(direction[axis]) < 1e-12) {
+            if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null;
+            continue;
+        }
+        const t1 = (min[axis] - origin[axis]) / direction[axis];
+        const t2 = (max[axis] - origin[axis]) / direction[axis];
+        if (Math.min(t1, t2) > near) {
+            near = Math.min(t1, t2);
+            face = axis * 2 + (direction[axis] < 0 ? 1 : 0);
+        }
+        far = Math.min(far, Math.max(t1, t2));
+    }
+    return near <= far && far >= 0 ? { near, far, face } : null;
+}
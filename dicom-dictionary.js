@@ -0,0 +1,132 @@
+/**
+ * DICOM Data Dictionary
+ * Maps tags (GGGGEEEE) to their Value Representation and keyword.
+ * Needed to decode Implicit VR datasets, where the VR is not stored in the file.
+ * Only the attributes relevant to CT volume loading are listed; anything else
+ * is treated as UN (unknown) and its value kept as raw bytes.
+ */
+export const DICOM_DICTIONARY = {
+    // File Meta Information
+    '00020000': ['UL', 'FileMetaInformationGroupLength'],
+    '00020001': ['OB', 'FileMetaInformationVersion'],
+    '00020002': ['UI', 'MediaStorageSOPClassUID'],
+    '00020003': ['UI', 'MediaStorageSOPInstanceUID'],
+    '00020010': ['UI', 'TransferSyntaxUID'],
+    '00020012': ['UI', 'ImplementationClassUID'],
+    '00020013': ['SH', 'ImplementationVersionName'],
+    '00020016': ['AE', 'SourceApplicationEntityTitle'],
+
+    // SOP Common / General Study / General Series
+    '00080005': ['CS', 'SpecificCharacterSet'],
+    '00080008': ['CS', 'ImageType'],
+    '00080012': ['DA', 'InstanceCreationDate'],
+    '00080013': ['TM', 'InstanceCreationTime'],
+    '00080016': ['UI', 'SOPClassUID'],
+    '00080018': ['UI', 'SOPInstanceUID'],
+    '00080020': ['DA', 'StudyDate'],
+    '00080021': ['DA', 'SeriesDate'],
+    '00080022': ['DA', 'AcquisitionDate'],
+    '00080023': ['DA', 'ContentDate'],
+    '00080030': ['TM', 'StudyTime'],
+    '00080031': ['TM', 'SeriesTime'],
+    '00080032': ['TM', 'AcquisitionTime'],
+    '00080033': ['TM', 'ContentTime'],
+    '00080050': ['SH', 'AccessionNumber'],
+    '00080060': ['CS', 'Modality'],
+    '00080070': ['LO', 'Manufacturer'],
+    '00080080': ['LO', 'InstitutionName'],
+    '00080090': ['PN', 'ReferringPhysicianName'],
+    '00081030': ['LO', 'StudyDescription'],
+    '0008103E': ['LO', 'SeriesDescription'],
+    '00081090': ['LO', 'ManufacturerModelName'],
+    '00081140': ['SQ', 'ReferencedImageSequence'],
+    '00081150': ['UI', 'ReferencedSOPClassUID'],
+    '00081155': ['UI', 'ReferencedSOPInstanceUID'],
+    '00089205': ['CS', 'PixelPresentation'],
+    '00089206': ['CS', 'VolumetricProperties'],
+    '00089207': ['CS', 'VolumeBasedCalculationTechnique'],
+
+    // Patient
+    '00100010': ['PN', 'PatientName'],
+    '00100020': ['LO', 'PatientID'],
+    '00100030': ['DA', 'PatientBirthDate'],
+    '00100040': ['CS', 'PatientSex'],
+    '00101010': ['AS', 'PatientAge'],
+
+    // CT Image / Acquisition
+    '00180015': ['CS', 'BodyPartExamined'],
+    '00180050': ['DS', 'SliceThickness'],
+    '00180060': ['DS', 'KVP'],
+    '00180088': ['DS', 'SpacingBetweenSlices'],
+    '00181020': ['LO', 'SoftwareVersions'],
+    '00181100': ['DS', 'ReconstructionDiameter'],
+    '00181120': ['DS', 'GantryDetectorTilt'],
+    '00181150': ['IS', 'ExposureTime'],
+    '00181151': ['IS', 'XRayTubeCurrent'],
+    '00181152': ['IS', 'Exposure'],
+    '00181210': ['SH', 'ConvolutionKernel'],
+    '00185100': ['CS', 'PatientPosition'],
+
+    // Relationship / Image Plane
+    '0020000D': ['UI', 'StudyInstanceUID'],
+    '0020000E': ['UI', 'SeriesInstanceUID'],
+    '00200010': ['SH', 'StudyID'],
+    '00200011': ['IS', 'SeriesNumber'],
+    '00200012': ['IS', 'AcquisitionNumber'],
+    '00200013': ['IS', 'InstanceNumber'],
+    '00200020': ['CS', 'PatientOrientation'],
+    '00200032': ['DS', 'ImagePositionPatient'],
+    '00200037': ['DS', 'ImageOrientationPatient'],
+    '00200052': ['UI', 'FrameOfReferenceUID'],
+    '00201040': ['LO', 'PositionReferenceIndicator'],
+    '00201041': ['DS', 'SliceLocation'],
+    '00209056': ['SH', 'StackID'],
+    '00209057': ['UL', 'InStackPositionNumber'],
+    '00209111': ['SQ', 'FrameContentSequence'],
+    '00209113': ['SQ', 'PlanePositionSequence'],
+    '00209116': ['SQ', 'PlaneOrientationSequence'],
+    '00209128': ['UL', 'TemporalPositionIndex'],
+    '00209157': ['UL', 'DimensionIndexValues'],
+
+    // Image Pixel
+    '00280002': ['US', 'SamplesPerPixel'],
+    '00280004': ['CS', 'PhotometricInterpretation'],
+    '00280006': ['US', 'PlanarConfiguration'],
+    '00280008': ['IS', 'NumberOfFrames'],
+    '00280009': ['AT', 'FrameIncrementPointer'],
+    '00280010': ['US', 'Rows'],
+    '00280011': ['US', 'Columns'],
+    '00280030': ['DS', 'PixelSpacing'],
+    '00280100': ['US', 'BitsAllocated'],
+    '00280101': ['US', 'BitsStored'],
+    '00280102': ['US', 'HighBit'],
+    '00280103': ['US', 'PixelRepresentation'],
+    '00280106': ['US', 'SmallestImagePixelValue'],
+    '00280107': ['US', 'LargestImagePixelValue'],
+    '00280120': ['US', 'PixelPaddingValue'],
+    '00281050': ['DS', 'WindowCenter'],
+    '00281051': ['DS', 'WindowWidth'],
+    '00281052': ['DS', 'RescaleIntercept'],
+    '00281053': ['DS', 'RescaleSlope'],
+    '00281054': ['LO', 'RescaleType'],
+    '00281055': ['LO', 'WindowCenterWidthExplanation'],
+    '00282110': ['CS', 'LossyImageCompression'],
+    '00289110': ['SQ', 'PixelMeasuresSequence'],
+    '00289132': ['SQ', 'FrameVOILUTSequence'],
+    '00289145': ['SQ', 'PixelValueTransformationSequence'],
+
+    // Enhanced multi-frame functional groups
+    '52009229': ['SQ', 'SharedFunctionalGroupsSequence'],
+    '52009230': ['SQ', 'PerFrameFunctionalGroupsSequence'],
+
+    // Pixel data and padding
+    '7FE00008': ['OF', 'FloatPixelData'],
+    '7FE00009': ['OD', 'DoubleFloatPixelData'],
+    '7FE00010': ['OW', 'PixelData'],
+    'FFFCFFFC': ['OB', 'DataSetTrailingPadding'],
+
+    // Items and delimiters (carry no VR)
+    'FFFEE000': ['NONE', 'Item'],
+    'FFFEE00D': ['NONE', 'ItemDelimitationItem'],
+    'FFFEE0DD': ['NONE', 'SequenceDelimitationItem']
+};
@@ -0,0 +1,214 @@
+/**
+ * DICOM Loader
+ * Parses DICOM files and assembles volumes in a pool of Web Workers, so the page
+ * stays responsive while a folder loads. File contents and pixel data move
+ * between the page and the workers as transferables rather than copies.
+ */
+
+import { DicomParser } from './dicom-parser.js';
+import { transferListOf } from './dicom-worker.js';
+
+export class DicomLoader {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='recovery'] - Parser mode, see DicomParser
+     * @param {number} [options.workerCount] - Size of the pool, by default one worker per core (at most 8)
+     * @param {Function} [options.createWorker] - Factory returning a worker that runs dicom-worker.js
+     */
+    constructor(options = {}) {
+        // Parses nothing itself; validates the mode, groups series and reads raw files
+        this.parser = new DicomParser({ mode: options.mode });
+        this.mode = this.parser.mode;
+        this.workerCount = options.workerCount || Math.min(globalThis.navigator?.hardwareConcurrency || 4, 8);
+        this.createWorker = options.createWorker ||
+            (() => new Worker(new URL('./dicom-worker.js', import.meta.url), { type: 'module' }));
+        this.workers = [];
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Start the workers of the pool that are not running yet
+     * @returns {Array<Worker>} The pool
+     */
+    getWorkers() {
+        while (this.workers.length < this.workerCount) {
+            this.workers.push(this.createWorker());
+        }
+        return this.workers;
+    }
+
+    /**
+     * Stop every worker and reject the requests they were working on with an
+     * AbortError; the pool is restarted by the next load
+     */
+    terminate() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+
+        for (const { cleanup, reject } of this.pending.values()) {
+            cleanup();
+            reject(new DOMException('DICOM workers were stopped', 'AbortError'));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Send one request to a worker and wait for its reply
+     * @param {Worker} worker - Worker of the pool
+     * @param {Object} message - Request without its id
+     * @param {Array<ArrayBuffer>} transfer - Buffers handed over to the worker
+     * @returns {Promise<Object>} Reply message
+     */
+    request(worker, message, transfer) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+
+            const cleanup = () => {
+                worker.removeEventListener('message', onMessage);
+                worker.removeEventListener('error', onError);
+                this.pending.delete(id);
+            };
+            const onMessage = (event) => {
+                if (event.data.id !== id) return;
+                cleanup();
+                resolve(event.data);
+            };
+            const onError = (event) => {
+                cleanup();
+                reject(new Error(`DICOM worker failed: ${event.message || 'unknown error'}`));
+            };
+
+            worker.addEventListener('message', onMessage);
+            worker.addEventListener('error', onError);
+            this.pending.set(id, { cleanup, reject });
+            worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    /**
+     * Parse every file of a folder into slices with pixel data, like
+     * DicomParser.parseFiles() but spread over the worker pool
+     * @param {FileList|Array<File>} files - List of DICOM files
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called after each file with
+     *        { loaded, total, fileName, status: 'parsed'|'skipped'|'error', message, sliceCount }
+     * @param {AbortSignal} [options.signal] - Cancels the load by stopping the workers;
+     *        the returned promise then rejects with an AbortError
+     * @returns {Promise<Array>} Slices with data, metadata, dimensions and rescale values,
+     *                           in the order of the files
+     */
+    async loadFiles(files, { onProgress, signal } = {}) {
+        signal?.throwIfAborted();
+        files = Array.from(files);
+
+        const results = new Array(files.length);
+        let next = 0;
+        let loaded = 0;
+
+        // Each worker takes the next file as soon as it is done with the previous one
+        const work = async (worker) => {
+            while (next < files.length) {
+                const index = next++;
+                const file = files[index];
+                const buffer = await file.arrayBuffer();
+                signal?.throwIfAborted();
+
+                const reply = await this.request(worker, {
+                    type: 'parse',
+                    fileName: file.name,
+                    buffer,
+                    mode: this.mode,
+                    fallbackInstanceNumber: index
+                }, [buffer]);
+                results[index] = reply;
+                loaded++;
+
+                if (onProgress) {
+                    const progress = { loaded, total: files.length, fileName: file.name };
+                    if (reply.type === 'error') {
+                        onProgress({ ...progress, status: 'error', message: reply.message, sliceCount: 0 });
+                    } else if (reply.slices.length === 0) {
+                        onProgress({ ...progress, status: 'skipped', message: 'No usable pixel data', sliceCount: 0 });
+                    } else {
+                        onProgress({ ...progress, status: 'parsed', sliceCount: reply.slices.length });
+                    }
+                }
+            }
+        };
+
+        console.log(`Processing ${files.length} DICOM files in ${Math.min(this.workerCount, files.length)} workers`);
+
+        // Cancelling stops the workers mid-file; a failed worker leaves the pool in an unknown state
+        const onAbort = () => this.terminate();
+        signal?.addEventListener('abort', onAbort);
+        try {
+            await Promise.all(this.getWorkers().slice(0, Math.max(1, files.length)).map(work));
+        } catch (e) {
+            // After an abort the pool is already stopped, and may be running a newer load
+            if (!signal?.aborted) {
+                this.terminate();
+            }
+            throw e;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        const slices = [];
+        const decodeErrors = [];
+        results.forEach((reply, index) => {
+            if (reply.type === 'parsed') {
+                slices.push(...reply.slices);
+            } else {
+                console.warn('Error parsing DICOM file', files[index].name, ':', reply.message);
+                if (reply.transferSyntaxUID) {
+                    decodeErrors.push(new Error(reply.message));
+                }
+            }
+        });
+
+        if (slices.length === 0) {
+            await this.parser.recoverRawSlices(files, slices, decodeErrors);
+        }
+
+        console.log(`Successfully processed ${slices.length} slices with pixel data`);
+
+        return slices;
+    }
+
+    /**
+     * Group slices into series, see DicomParser.groupSeries()
+     * @param {Array} slices - Slices from loadFiles()
+     * @returns {Array} Series ordered by series number
+     */
+    groupSeries(slices) {
+        return this.parser.groupSeries(slices);
+    }
+
+    /**
+     * Assemble the slices of one series into a 3D volume in a worker, see
+     * DicomParser.buildVolume(). The slice data is lent to the worker and
+     * handed back, so the slices stay usable afterwards. If the pool is stopped
+     * meanwhile, the promise rejects with an AbortError and the slice data is lost.
+     * @param {Array} slices - Slices of a single series, all the same size
+     * @returns {Promise<Object>} 3D volume data
+     */
+    async buildVolume(slices) {
+        const [worker] = this.getWorkers();
+        const reply = await this.request(worker, {
+            type: 'build',
+            slices,
+            mode: this.mode
+        }, transferListOf(slices.map(slice => slice.data)));
+
+        reply.sliceData.forEach((data, i) => {
+            slices[i].data = data;
+        });
+        if (reply.type === 'error') {
+            throw new Error(reply.message);
+        }
+        return reply.volume;
+    }
+}
@@ -1,259 +1,1170 @@
 /**
- * Robust DICOM Parser for Browser
- * Handles parsing of DICOM files and extraction of pixel data
+ * DICOM Parser
+ * Handles parsing of various DICOM formats and extraction of pixel data.
+ * ES module that runs in the browser and under Node.
+ *
+ * Two modes:
+ * - 'strict' decodes datasets by their transfer syntax and reports anything
+ *   that does not parse as an error
+ * - 'recovery' (default) falls back to scanning for PixelData and guessing the
+ *   image size when a file cannot be parsed element by element, and pads
+ *   short or reads raw files as a last resort
  */
-class DicomParser {
-    constructor() {
-        // Common DICOM tags we need
-        this.tags = {
-            '00080018': 'SOPInstanceUID',
-            '00200013': 'InstanceNumber',
-            '00280010': 'Rows',
-            '00280011': 'Columns',
-            '00280100': 'BitsAllocated',
-            '00280101': 'BitsStored',
-            '00281050': 'WindowCenter',
-            '00281051': 'WindowWidth',
-            '00280030': 'PixelSpacing',
-            '00200032': 'ImagePositionPatient',
-            '00200037': 'ImageOrientationPatient',
-            '7FE00010': 'PixelData'
+
+import { DICOM_DICTIONARY } from './dicom-dictionary.js';
+import { JpegLosslessDecoder } from './jpeg-lossless.js';
+import { JpegLsDecoder } from './jpeg-ls.js';
+import { RleDecoder } from './rle-lossless.js';
+
+// Transfer Syntax UIDs with native (uncompressed) or decodable compressed pixel data
+export const TRANSFER_SYNTAX = {
+    IMPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2',
+    EXPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2.1',
+    EXPLICIT_VR_BIG_ENDIAN: '1.2.840.10008.1.2.2',
+    DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2.1.99',
+    RLE_LOSSLESS: '1.2.840.10008.1.2.5',
+    JPEG_LOSSLESS: '1.2.840.10008.1.2.4.57',
+    JPEG_LOSSLESS_SV1: '1.2.840.10008.1.2.4.70',
+    JPEG_LS_LOSSLESS: '1.2.840.10008.1.2.4.80',
+    JPEG_LS_NEAR_LOSSLESS: '1.2.840.10008.1.2.4.81'
+};
+
+// Explicit VRs whose length field is 4 bytes, preceded by 2 reserved bytes
+const LONG_LENGTH_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+// VRs holding bulk binary data that is not decoded into metadata
+const BINARY_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'UN'];
+
+const UNDEFINED_LENGTH = 0xFFFFFFFF;
+
+export class DicomParser {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='recovery'] - 'strict' or 'recovery'
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'recovery';
+        if (this.mode !== 'strict' && this.mode !== 'recovery') {
+            throw new Error(`Unknown parser mode '${this.mode}', expected 'strict' or 'recovery'`);
+        }
+    }
+
+    /**
+     * Describe how a dataset is encoded for a given Transfer Syntax UID
+     * @param {string} uid - Transfer Syntax UID from (0002,0010)
+     * @returns {Object} Transfer syntax with littleEndian and explicitVR flags, and the
+     *                   compression of encapsulated pixel data ('jpeg-lossless', 'jpeg-ls', 'rle' or null)
+     */
+    getTransferSyntax(uid) {
+        switch (uid) {
+            case TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN:
+                return { uid, littleEndian: true, explicitVR: false, compression: null };
+            case TRANSFER_SYNTAX.EXPLICIT_VR_BIG_ENDIAN:
+                return { uid, littleEndian: false, explicitVR: true, compression: null };
+            case TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN:
+            case TRANSFER_SYNTAX.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN:
+                // Deflated datasets are inflated by inflateDataset() before parsing
+                return { uid, littleEndian: true, explicitVR: true, compression: null };
+            case TRANSFER_SYNTAX.RLE_LOSSLESS:
+                return { uid, littleEndian: true, explicitVR: true, compression: 'rle' };
+            case TRANSFER_SYNTAX.JPEG_LOSSLESS:
+            case TRANSFER_SYNTAX.JPEG_LOSSLESS_SV1:
+                return { uid, littleEndian: true, explicitVR: true, compression: 'jpeg-lossless' };
+            case TRANSFER_SYNTAX.JPEG_LS_LOSSLESS:
+            case TRANSFER_SYNTAX.JPEG_LS_NEAR_LOSSLESS:
+                return { uid, littleEndian: true, explicitVR: true, compression: 'jpeg-ls' };
+            default:
+                // All other standard transfer syntaxes are Explicit VR Little Endian
+                console.warn(`Unrecognised transfer syntax ${uid}, assuming Explicit VR Little Endian`);
+                return { uid, littleEndian: true, explicitVR: true, compression: null };
+        }
+    }
+
+    /**
+     * Look up the VR of a tag in the data dictionary (used for Implicit VR)
+     * @param {string} tag - Tag as GGGGEEEE
+     * @returns {string} Value Representation, 'UN' if unknown
+     */
+    lookupVR(tag) {
+        const entry = DICOM_DICTIONARY[tag];
+        if (entry) {
+            return entry[0];
+        }
+
+        // Group length elements are always UL
+        if (tag.endsWith('0000')) {
+            return 'UL';
+        }
+
+        return 'UN';
+    }
+
+    /**
+     * Check whether the element at an offset carries an explicit VR.
+     * Used for files without a File Meta Information header.
+     * @param {DataView} view - View over the DICOM file
+     * @param {number} offset - Offset of the first dataset element
+     * @returns {boolean} True if the bytes after the tag look like a VR
+     */
+    looksLikeExplicitVR(view, offset) {
+        if (offset + 6 > view.byteLength) {
+            return false;
+        }
+
+        const first = view.getUint8(offset + 4);
+        const second = view.getUint8(offset + 5);
+        return first >= 0x41 && first <= 0x5A && second >= 0x41 && second <= 0x5A;
+    }
+
+    /**
+     * Read the header of the data element at an offset
+     * @param {DataView} view - View over the DICOM file
+     * @param {number} offset - Offset of the element's tag
+     * @param {Object} syntax - Transfer syntax from getTransferSyntax()
+     * @returns {Object} Element with tag, vr, length and valueOffset
+     */
+    readElement(view, offset, syntax) {
+        const littleEndian = syntax.littleEndian;
+        const group = view.getUint16(offset, littleEndian);
+        const element = view.getUint16(offset + 2, littleEndian);
+        const tag = group.toString(16).toUpperCase().padStart(4, '0') +
+                    element.toString(16).toUpperCase().padStart(4, '0');
+
+        // Items and delimitation items never carry a VR, even in Explicit VR
+        if (group === 0xFFFE) {
+            return {
+                tag,
+                vr: 'NONE',
+                length: view.getUint32(offset + 4, littleEndian),
+                valueOffset: offset + 8
+            };
+        }
+
+        if (!syntax.explicitVR) {
+            return {
+                tag,
+                vr: this.lookupVR(tag),
+                length: view.getUint32(offset + 4, littleEndian),
+                valueOffset: offset + 8
+            };
+        }
+
+        const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+        if (!/^[A-Z]{2}$/.test(vr)) {
+            throw new Error(`Invalid VR for tag ${tag} at offset ${offset}`);
+        }
+
+        if (LONG_LENGTH_VRS.includes(vr)) {
+            return {
+                tag,
+                vr,
+                length: view.getUint32(offset + 8, littleEndian),
+                valueOffset: offset + 12
+            };
+        }
+
+        return {
+            tag,
+            vr,
+            length: view.getUint16(offset + 6, littleEndian),
+            valueOffset: offset + 8
         };
     }
 
     /**
-     * Parse a single DICOM file
-     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
-     * @returns {Object} Parsed DICOM data including metadata and pixel data
+     * Decode the value of a data element according to its VR
+     * @param {DataView} view - View over the DICOM file
+     * @param {Object} element - Element from readElement()
+     * @param {Object} syntax - Transfer syntax from getTransferSyntax()
+     * @returns {*} Number, string or array of values; null for binary data
      */
-    async parseDicom(arrayBuffer) {
-        const view = new DataView(arrayBuffer);
-        const uint8Array = new Uint8Array(arrayBuffer);
-        
-        // Check for DICOM magic word at offset 128
-        let offset = 0;
-        
-        // Skip preamble (128 bytes) and magic word ('DICM')
-        if (arrayBuffer.byteLength > 132) {
-            const magicWord = String.fromCharCode(
-                view.getUint8(128),
-                view.getUint8(129),
-                view.getUint8(130),
-                view.getUint8(131)
-            );
-            
-            if (magicWord === 'DICM') {
-                offset = 132;
+    readValue(view, element, syntax) {
+        const { vr, valueOffset, length } = element;
+        const littleEndian = syntax.littleEndian;
+
+        const readNumbers = (size, read) => {
+            const values = [];
+            for (let i = 0; i + size <= length; i += size) {
+                values.push(read(valueOffset + i));
+            }
+            if (values.length === 0) return null;
+            return values.length === 1 ? values[0] : values;
+        };
+
+        switch (vr) {
+            case 'US': return readNumbers(2, (o) => view.getUint16(o, littleEndian));
+            case 'SS': return readNumbers(2, (o) => view.getInt16(o, littleEndian));
+            case 'UL': return readNumbers(4, (o) => view.getUint32(o, littleEndian));
+            case 'SL': return readNumbers(4, (o) => view.getInt32(o, littleEndian));
+            case 'FL': return readNumbers(4, (o) => view.getFloat32(o, littleEndian));
+            case 'FD': return readNumbers(8, (o) => view.getFloat64(o, littleEndian));
+            case 'AT': return readNumbers(4, (o) =>
+                view.getUint16(o, littleEndian).toString(16).toUpperCase().padStart(4, '0') +
+                view.getUint16(o + 2, littleEndian).toString(16).toUpperCase().padStart(4, '0'));
+        }
+
+        if (BINARY_VRS.includes(vr)) {
+            return null;
+        }
+
+        // Everything else is a (possibly multi-valued) character string
+        let str = '';
+        for (let i = valueOffset; i < valueOffset + length; i++) {
+            str += String.fromCharCode(view.getUint8(i));
+        }
+        str = str.replace(/[\0\s]+$/, '');
+
+        if (vr === 'DS' || vr === 'IS') {
+            const nums = str.split('\\').map(s => parseFloat(s)).filter(n => !isNaN(n));
+            if (nums.length === 0) return null;
+            return nums.length === 1 ? nums[0] : nums;
+        }
+
+        return str.trimStart();
+    }
+
+    /**
+     * Read the items of a sequence of defined or undefined length
+     * @param {DataView} view - View over the DICOM file
+     * @param {number} offset - Offset of the first item
+     * @param {number} length - Length of the sequence value, or UNDEFINED_LENGTH
+     * @param {Object} syntax - Transfer syntax from getTransferSyntax()
+     * @returns {Object} Item metadata objects, item tree nodes and the offset past the sequence
+     */
+    readSequence(view, offset, length, syntax) {
+        const end = length === UNDEFINED_LENGTH ? view.byteLength : offset + length;
+        const items = [];
+        const nodes = [];
+
+        while (offset + 8 <= end) {
+            const item = this.readElement(view, offset, syntax);
+
+            if (item.tag === 'FFFEE0DD') {
+                return { items, nodes, end: item.valueOffset };
+            }
+            if (item.tag !== 'FFFEE000') {
+                throw new Error(`Unexpected tag ${item.tag} inside sequence at offset ${offset}`);
+            }
+
+            const dataset = this.readDataset(view, item.valueOffset, item.length, syntax);
+            items.push(dataset.metadata);
+            nodes.push({
+                tag: item.tag,
+                vr: item.vr,
+                length: item.length,
+                valueOffset: item.valueOffset,
+                value: null,
+                children: dataset.elements
+            });
+            offset = dataset.end;
+        }
+
+        if (length === UNDEFINED_LENGTH) {
+            throw new Error('Sequence Delimitation Item not found before end of file');
+        }
+        return { items, nodes, end };
+    }
+
+    /**
+     * Read the elements of a dataset or sequence item, descending into nested sequences
+     * @param {DataView} view - View over the DICOM file
+     * @param {number} offset - Offset of the first element
+     * @param {number} length - Length of the dataset, or UNDEFINED_LENGTH for an item
+     *                          closed by an Item Delimitation Item
+     * @param {Object} syntax - Transfer syntax from getTransferSyntax()
+     * @returns {Object} Metadata keyed by tag, the element tree, the PixelData element
+     *                   and the offset past the dataset
+     */
+    readDataset(view, offset, length, syntax) {
+        const end = length === UNDEFINED_LENGTH ? view.byteLength : offset + length;
+        const metadata = {};
+        const elements = [];
+        let pixelDataElement = null;
+
+        while (offset + 8 <= end) {
+            const element = this.readElement(view, offset, syntax);
+
+            if (element.tag === 'FFFEE00D') {
+                return { metadata, elements, pixelDataElement, end: element.valueOffset };
+            }
+
+            // Tree node; binary values stay in the file at valueOffset
+            const node = {
+                tag: element.tag,
+                vr: element.vr,
+                length: element.length,
+                valueOffset: element.valueOffset,
+                value: null,
+                children: null
+            };
+
+            if (element.tag === '7FE00010' && element.length === UNDEFINED_LENGTH) {
+                const { offsets, fragments, end: next } = this.readEncapsulatedItems(view, element.valueOffset, syntax);
+                pixelDataElement = { ...element, encapsulated: true, offsets, fragments };
+                node.children = fragments.map(fragment => ({
+                    tag: 'FFFEE000',
+                    vr: 'NONE',
+                    length: fragment.length,
+                    valueOffset: fragment.offset,
+                    value: null,
+                    children: null
+                }));
+                offset = next;
+            } else if (element.vr === 'SQ' || element.length === UNDEFINED_LENGTH) {
+                // An undefined-length UN element is a sequence in Implicit VR Little Endian
+                const sequenceSyntax = element.vr === 'SQ'
+                    ? syntax
+                    : this.getTransferSyntax(TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN);
+                const sequence = this.readSequence(view, element.valueOffset, element.length, sequenceSyntax);
+                metadata[element.tag] = sequence.items;
+                node.value = sequence.items;
+                node.children = sequence.nodes;
+                offset = sequence.end;
             } else {
-                offset = 0; // Raw DICOM without preamble
+                if (element.valueOffset + element.length > end) {
+                    throw new Error(`Element ${element.tag} at offset ${offset} extends beyond end of ${end === view.byteLength ? 'file' : 'item'}`);
+                }
+
+                if (element.tag === '7FE00010') {
+                    pixelDataElement = element;
+                } else {
+                    metadata[element.tag] = this.readValue(view, element, syntax);
+                    node.value = metadata[element.tag];
+                }
+                offset = element.valueOffset + element.length;
             }
+
+            elements.push(node);
         }
-        
+
+        if (length === UNDEFINED_LENGTH) {
+            throw new Error('Item Delimitation Item not found before end of file');
+        }
+        return { metadata, elements, pixelDataElement, end };
+    }
+
+    /**
+     * Read the items of encapsulated pixel data: the Basic Offset Table followed by the fragments
+     * @param {DataView} view - View over the DICOM file
+     * @param {number} offset - Offset of the first item
+     * @param {Object} syntax - Transfer syntax from getTransferSyntax()
+     * @returns {Object} Frame offsets from the Basic Offset Table (empty if absent),
+     *                   fragments as {offset, length} and the offset past the delimiter
+     */
+    readEncapsulatedItems(view, offset, syntax) {
+        const items = [];
+
+        while (offset + 8 <= view.byteLength) {
+            const item = this.readElement(view, offset, syntax);
+
+            if (item.tag === 'FFFEE0DD') {
+                if (items.length === 0) {
+                    throw new Error('Encapsulated pixel data has no Basic Offset Table item');
+                }
+
+                const [table, ...fragments] = items;
+                const offsets = [];
+                for (let i = 0; i + 4 <= table.length; i += 4) {
+                    offsets.push(view.getUint32(table.offset + i, true));
+                }
+
+                return { offsets, fragments, end: item.valueOffset };
+            }
+
+            if (item.tag !== 'FFFEE000' || item.length === UNDEFINED_LENGTH) {
+                throw new Error(`Unexpected tag ${item.tag} inside encapsulated pixel data at offset ${offset}`);
+            }
+            if (item.valueOffset + item.length > view.byteLength) {
+                throw new Error(`Pixel data fragment at offset ${offset} extends beyond end of file`);
+            }
+
+            items.push({ offset: item.valueOffset, length: item.length });
+            offset = item.valueOffset + item.length;
+        }
+
+        throw new Error('Sequence Delimitation Item not found after encapsulated pixel data');
+    }
+
+    /**
+     * Read the preamble and File Meta Information (group 0002)
+     * @param {DataView} view - View over the DICOM file
+     * @returns {Object} Meta elements keyed by tag and as tree nodes, and the offset of the dataset that follows
+     */
+    readFileMeta(view) {
+        let offset = 0;
+
+        // Skip preamble (128 bytes) and magic word ('DICM') if present
+        if (view.byteLength > 132 &&
+            String.fromCharCode(view.getUint8(128), view.getUint8(129), view.getUint8(130), view.getUint8(131)) === 'DICM') {
+            offset = 132;
+        }
+
         const metadata = {};
-        let pixelData = null;
-        let rows = 0;
-        let columns = 0;
-        let bitsAllocated = 8;
-        let pixelRepresentation = 0; // 0=unsigned, 1=signed
+        const elements = [];
+
+        // File Meta Information is always Explicit VR Little Endian
+        const metaSyntax = this.getTransferSyntax(TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN);
+        while (offset + 8 <= view.byteLength && view.getUint16(offset, true) === 0x0002) {
+            const element = this.readElement(view, offset, metaSyntax);
+            if (element.valueOffset + element.length > view.byteLength) {
+                throw new Error(`File meta element ${element.tag} extends beyond end of file`);
+            }
+            metadata[element.tag] = this.readValue(view, element, metaSyntax);
+            elements.push({
+                tag: element.tag,
+                vr: element.vr,
+                length: element.length,
+                valueOffset: element.valueOffset,
+                value: metadata[element.tag],
+                children: null
+            });
+            offset = element.valueOffset + element.length;
+        }
+
+        return { metadata, elements, offset };
+    }
+
+    /**
+     * Inflate the dataset of a Deflated Explicit VR Little Endian file
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @returns {Promise<ArrayBuffer>} File with the dataset after the meta information inflated,
+     *                                 or the input unchanged for any other transfer syntax
+     */
+    async inflateDataset(arrayBuffer) {
+        const { metadata, offset } = this.readFileMeta(new DataView(arrayBuffer));
+        const uid = metadata['00020010'];
+        if (uid !== TRANSFER_SYNTAX.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN) {
+            return arrayBuffer;
+        }
+
+        try {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('this browser has no DecompressionStream support');
+            }
+
+            // The standard calls for raw deflate, but some writers add a zlib header
+            const compressed = new Uint8Array(arrayBuffer, offset);
+            const zlibWrapped = compressed.length > 1 && (compressed[0] & 0x0F) === 8 &&
+                ((compressed[0] << 8) | compressed[1]) % 31 === 0;
+            const stream = new Blob([compressed]).stream()
+                .pipeThrough(new DecompressionStream(zlibWrapped ? 'deflate' : 'deflate-raw'));
+            const inflated = new Uint8Array(await new Response(stream).arrayBuffer());
+
+            const result = new Uint8Array(offset + inflated.length);
+            result.set(new Uint8Array(arrayBuffer, 0, offset));
+            result.set(inflated, offset);
+            return result.buffer;
+        } catch (e) {
+            const error = new Error(`Cannot inflate deflated dataset: ${e.message}`);
+            error.transferSyntaxUID = uid;
+            throw error;
+        }
+    }
+
+    /**
+     * Walk a DICOM file element by element using the rules of its transfer syntax
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @returns {Object} Metadata keyed by tag (sequences as arrays of item metadata), the element
+     *                   tree as nodes {tag, vr, length, valueOffset, value, children}, the transfer
+     *                   syntax and the PixelData element
+     */
+    parseDataset(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const meta = this.readFileMeta(view);
+
+        let transferSyntaxUID = meta.metadata['00020010'];
+        if (!transferSyntaxUID) {
+            // No meta header: raw datasets are usually Implicit VR Little Endian
+            transferSyntaxUID = this.looksLikeExplicitVR(view, meta.offset)
+                ? TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN
+                : TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN;
+        }
+        const syntax = this.getTransferSyntax(transferSyntaxUID);
+
+        const dataset = this.readDataset(view, meta.offset, arrayBuffer.byteLength - meta.offset, syntax);
+
+        return {
+            metadata: { ...meta.metadata, ...dataset.metadata },
+            elements: [...meta.elements, ...dataset.elements],
+            syntax,
+            pixelDataElement: dataset.pixelDataElement
+        };
+    }
+
+    /**
+     * Copy native pixel data out of the file as a typed array
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @param {Object} element - PixelData element from parseDataset()
+     * @param {Object} syntax - Transfer syntax of the dataset
+     * @param {number} bitsAllocated - Bits Allocated (0028,0100)
+     * @param {number} pixelRepresentation - 0 for unsigned, 1 for signed
+     * @returns {TypedArray} Pixel values in native byte order
+     */
+    extractPixelData(arrayBuffer, element, syntax, bitsAllocated, pixelRepresentation) {
+        const bytesPerPixel = Math.max(1, bitsAllocated / 8);
+        const usableLength = element.length - (element.length % bytesPerPixel);
+        const bytes = new Uint8Array(arrayBuffer.slice(element.valueOffset, element.valueOffset + usableLength));
+
+        if (!syntax.littleEndian) {
+            // Big endian words must be swapped; 8-bit OW data is swapped in 16-bit words
+            const wordSize = bytesPerPixel === 1 ? (element.vr === 'OW' ? 2 : 1) : bytesPerPixel;
+            for (let i = 0; i + wordSize <= bytes.length; i += wordSize) {
+                for (let a = i, b = i + wordSize - 1; a < b; a++, b--) {
+                    const tmp = bytes[a];
+                    bytes[a] = bytes[b];
+                    bytes[b] = tmp;
+                }
+            }
+        }
+
+        if (bitsAllocated === 16) {
+            return pixelRepresentation === 1 ? new Int16Array(bytes.buffer) : new Uint16Array(bytes.buffer);
+        }
+        if (bitsAllocated === 32) {
+            return pixelRepresentation === 1 ? new Int32Array(bytes.buffer) : new Uint32Array(bytes.buffer);
+        }
+        return bytes;
+    }
+
+    /**
+     * Collect the compressed bytes of each frame of encapsulated pixel data
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @param {Object} element - Encapsulated PixelData element from parseDataset()
+     * @param {number} numberOfFrames - Number of Frames (0028,0008)
+     * @returns {Array<Uint8Array>} One compressed bitstream per frame
+     */
+    getEncapsulatedFrames(arrayBuffer, element, numberOfFrames = 1) {
+        const { offsets, fragments } = element;
+        const fragmentBytes = (i) => new Uint8Array(arrayBuffer, fragments[i].offset, fragments[i].length);
+        let groups;
+
+        if (numberOfFrames === 1) {
+            groups = [fragments.map((_, i) => i)];
+        } else if (offsets.length === numberOfFrames) {
+            // Offsets are measured from the item tag of the first fragment
+            const base = fragments[0].offset - 8;
+            groups = offsets.map((start, frame) => {
+                const end = frame + 1 < offsets.length ? offsets[frame + 1] : Infinity;
+                return fragments
+                    .map((fragment, i) => ({ position: fragment.offset - 8 - base, i }))
+                    .filter(({ position }) => position >= start && position < end)
+                    .map(({ i }) => i);
+            });
+        } else if (fragments.length === numberOfFrames) {
+            groups = fragments.map((_, i) => [i]);
+        } else {
+            // No offset table: every frame starts with a JPEG Start Of Image marker
+            groups = [];
+            fragments.forEach((_, i) => {
+                const bytes = fragmentBytes(i);
+                if (groups.length === 0 || (bytes[0] === 0xFF && bytes[1] === 0xD8)) {
+                    groups.push([i]);
+                } else {
+                    groups[groups.length - 1].push(i);
+                }
+            });
+        }
+
+        if (groups.length < numberOfFrames || groups.some(group => group.length === 0)) {
+            throw new Error(`Could not locate ${numberOfFrames} frames in ${fragments.length} pixel data fragments`);
+        }
+
+        return groups.slice(0, numberOfFrames).map(group => {
+            if (group.length === 1) {
+                return fragmentBytes(group[0]);
+            }
+            const total = group.reduce((sum, i) => sum + fragments[i].length, 0);
+            const bytes = new Uint8Array(total);
+            let position = 0;
+            for (const i of group) {
+                bytes.set(fragmentBytes(i), position);
+                position += fragments[i].length;
+            }
+            return bytes;
+        });
+    }
+
+    /**
+     * Decompress one frame of encapsulated pixel data
+     * @param {Uint8Array} bytes - Compressed bitstream of the frame
+     * @param {Object} syntax - Transfer syntax of the dataset
+     * @param {Object} metadata - Dataset metadata (image pixel module)
+     * @returns {TypedArray} Pixel values, typed as for native data of the same dataset
+     */
+    decodeFrame(bytes, syntax, metadata) {
+        let decoder;
+        if (syntax.compression === 'jpeg-lossless') {
+            decoder = new JpegLosslessDecoder();
+        } else if (syntax.compression === 'jpeg-ls') {
+            decoder = new JpegLsDecoder();
+        } else if (syntax.compression === 'rle') {
+            decoder = new RleDecoder();
+        } else {
+            throw new Error(`transfer syntax ${syntax.uid} is not supported`);
+        }
+
+        // RLE frames carry no header with the image size, so it is passed in
+        const image = decoder.decode(bytes, {
+            rows: metadata['00280010'],
+            columns: metadata['00280011'],
+            bitsAllocated: metadata['00280100'] || 16,
+            samplesPerPixel: metadata['00280002'] || 1
+        });
+        if (image.width !== metadata['00280011'] || image.height !== metadata['00280010']) {
+            throw new Error(`Compressed frame is ${image.width}x${image.height}, expected ${metadata['00280011']}x${metadata['00280010']}`);
+        }
+
+        const bitsAllocated = metadata['00280100'] || 16;
+        const pixelRepresentation = metadata['00280103'] || 0;
+        const bitsStored = metadata['00280101'] || image.precision;
+
+        if (bitsAllocated === 32) {
+            // Only RLE carries 32-bit samples
+            return pixelRepresentation === 1 ? new Int32Array(image.pixels.buffer) : image.pixels;
+        }
+        if (bitsAllocated <= 8) {
+            return image.pixels instanceof Uint8Array ? image.pixels : Uint8Array.from(image.pixels);
+        }
+        if (pixelRepresentation !== 1) {
+            return image.pixels instanceof Uint16Array ? image.pixels : Uint16Array.from(image.pixels);
+        }
+
+        // Signed samples are coded as BitsStored-bit two's complement
+        const shift = 32 - bitsStored;
+        const signed = new Int16Array(image.pixels.length);
+        for (let i = 0; i < signed.length; i++) {
+            signed[i] = (image.pixels[i] << shift) >> shift;
+        }
+        return signed;
+    }
+
+    /**
+     * Join decoded frames into one array, frame after frame
+     * @param {Array<TypedArray>} frames - Decoded frames of equal type
+     * @returns {TypedArray} All frames in one array
+     */
+    concatenateFrames(frames) {
+        const total = frames.reduce((sum, frame) => sum + frame.length, 0);
+        const result = new frames[0].constructor(total);
+        let position = 0;
+        for (const frame of frames) {
+            result.set(frame, position);
+            position += frame.length;
+        }
+        return result;
+    }
+
+    /**
+     * Build the metadata of one frame of a multi-frame object. Functional group
+     * macros are single-item sequences; their attributes are copied over the
+     * top-level ones, first from the Shared and then from the Per-frame group.
+     * @param {Object} metadata - Dataset metadata
+     * @param {number} frameIndex - Zero-based frame number
+     * @returns {Object} Metadata with the frame's position, orientation, spacing and rescale
+     */
+    getFrameMetadata(metadata, frameIndex) {
+        const frameMetadata = { ...metadata };
+        const groups = [
+            (metadata['52009229'] || [])[0],
+            (metadata['52009230'] || [])[frameIndex]
+        ];
+
+        for (const group of groups) {
+            if (!group) continue;
+            for (const macro of Object.values(group)) {
+                if (Array.isArray(macro) && typeof macro[0] === 'object' && macro[0] !== null) {
+                    Object.assign(frameMetadata, macro[0]);
+                }
+            }
+        }
+
+        return frameMetadata;
+    }
+
+    /**
+     * Split the pixel data of a multi-frame object into one slice per frame
+     * @param {Object} dicomData - Result of parseDicom()
+     * @param {string} fileName - Name of the file, used to label the frames
+     * @returns {Array} Slices in the form produced by parseFiles()
+     */
+    splitFrames(dicomData, fileName) {
+        const { pixelData, rows, columns, numberOfFrames } = dicomData;
+        const frameSize = rows * columns;
+        const frameCount = Math.min(numberOfFrames, Math.floor(pixelData.length / frameSize));
+        if (frameCount < numberOfFrames) {
+            console.warn(`File ${fileName} declares ${numberOfFrames} frames but holds pixel data for ${frameCount}`);
+        }
+
+        const slices = [];
+        for (let i = 0; i < frameCount; i++) {
+            const metadata = this.getFrameMetadata(dicomData.metadata, i);
+            slices.push({
+                data: pixelData.subarray(i * frameSize, (i + 1) * frameSize),
+                metadata,
+                rows,
+                columns,
+                instanceNumber: i + 1,
+                rescaleSlope: metadata['00281053'] ?? 1,
+                rescaleIntercept: metadata['00281052'] ?? 0,
+                fileName: `${fileName} [frame ${i + 1}]`
+            });
+        }
+        return slices;
+    }
+
+    /**
+     * Search for PixelData tag in a DICOM file
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @returns {Object|null} Information about PixelData location and properties
+     */
+    findPixelData(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const uint8Array = new Uint8Array(arrayBuffer);
         
-        // Parse DICOM tags
-        while (offset < arrayBuffer.byteLength - 8) {
-            try {
-                const group = view.getUint16(offset, true).toString(16).padStart(4, '0');
-                const element = view.getUint16(offset + 2, true).toString(16).padStart(4, '0');
-                const tag = group + element;
+        // Look for PixelData tag (7FE0,0010) in the file
+        for (let i = 0; i < arrayBuffer.byteLength - 12; i++) {
+            const group = view.getUint16(i, true);
+            const element = view.getUint16(i + 2, true);
+            
+            // Check for PixelData tag (0x7FE0, 0x0010)
+            if (group === 0x7FE0 && element === 0x0010) {
+                console.log(`Found PixelData tag at offset ${i}`);
                 
-                const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
-                let length, valueOffset;
+                // Skip tag (4 bytes) + VR (2 bytes) 
+                let offset = i + 6;
                 
-                // Determine length based on VR type
-                if (['OB', 'OW', 'OF', 'SQ', 'UT', 'UN'].includes(vr)) {
-                    // Implicit VR - length is 4 bytes
-                    offset += 6;
-                    if (offset + 4 <= arrayBuffer.byteLength) {
-                        if (view.getUint32(offset, true) !== 0x00000000) {
-                            // Group Length follows
-                            offset += 4;
-                        }
-                    }
-                    if (offset + 4 <= arrayBuffer.byteLength) {
-                        length = view.getUint32(offset, true);
-                        offset += 4;
-                        valueOffset = offset;
+                // Check VR
+                const vr = String.fromCharCode(uint8Array[i + 4], uint8Array[i + 5]);
+                let length, dataOffset;
+                
+                if (vr === 'OB' || vr === 'OW') {
+                    // For OB/OW, length is usually in next 2 bytes (little endian)
+                    // But could also be followed by 2 bytes of padding for 32-bit alignment
+                    let tempLength = view.getUint16(offset, true);
+                    let tempOffset = offset + 2;
+                    
+                    // If length seems too small (like a padding indicator), try skipping 2 more bytes
+                    if (tempLength === 0 && tempOffset + 4 <= arrayBuffer.byteLength) {
+                        // Those 2 bytes were the reserved field - next 4 bytes are the actual length
+                        length = view.getUint32(tempOffset, true);
+                        dataOffset = tempOffset + 4;
                     } else {
-                        break; // Not enough bytes left
+                        // Explicit length
+                        length = tempLength;
+                        dataOffset = tempOffset;
                     }
                 } else {
-                    // Explicit VR - length is 2 bytes
-                    offset += 6;
-                    if (['OB', 'OW', 'OF', 'SQ', 'UT', 'UN'].includes(vr)) {
-                        // Some VR types have 4-byte lengths even when explicit
-                        offset += 2; // Padding
-                        if (offset + 4 <= arrayBuffer.byteLength) {
-                            length = view.getUint32(offset, true);
-                            offset += 4;
-                            valueOffset = offset;
-                        } else {
-                            break; // Not enough bytes left
-                        }
-                    } else {
-                        if (offset + 2 <= arrayBuffer.byteLength) {
-                            length = view.getUint16(offset, true);
-                            offset += 2;
-                            valueOffset = offset;
-                        } else {
-                            break; // Not enough bytes left
-                        }
-                    }
+                    // Some implementations might use different VRs or implicit lengths
+                    // Try alternative approach: assume next 4 bytes are length
+                    length = view.getUint32(offset, true);
+                    dataOffset = offset + 4;
                 }
                 
-                // Check if we have enough data for this tag
-                if (valueOffset + length > arrayBuffer.byteLength) {
-                    console.warn(`Tag ${tag} extends beyond buffer bounds, skipping`);
-                    break;
+                // Verify length is reasonable (not larger than remaining file)
+                if (length > arrayBuffer.byteLength - dataOffset) {
+                    console.warn(`PixelData length ${length} exceeds remaining buffer size ${arrayBuffer.byteLength - dataOffset}`);
+                    // Try to find a more reasonable length by looking for end-of-data patterns
+                    length = arrayBuffer.byteLength - dataOffset;
                 }
                 
-                if (tag === '7FE00010') { // PixelData
-                    // Extract pixel data
-                    if (vr === 'OW' || vr === 'OB') {
-                        if (bitsAllocated === 16) {
-                            // 16-bit data
-                            if (pixelRepresentation === 1) {
-                                // Signed 16-bit
-                                pixelData = new Int16Array(arrayBuffer.slice(valueOffset, valueOffset + length));
-                            } else {
-                                // Unsigned 16-bit
-                                pixelData = new Uint16Array(arrayBuffer.slice(valueOffset, valueOffset + length));
-                            }
-                        } else {
-                            // 8-bit data or unknown - try both
-                            pixelData = new Uint8Array(arrayBuffer.slice(valueOffset, valueOffset + length));
-                        }
+                // Verify dataOffset + length doesn't exceed buffer size
+                if (dataOffset + length > arrayBuffer.byteLength) {
+                    length = arrayBuffer.byteLength - dataOffset;
+                }
+                
+                console.log(`PixelData: offset=${dataOffset}, length=${length}, VR=${vr}`);
+                
+                return {
+                    offset: dataOffset,
+                    length: length,
+                    vr: vr
+                };
+            }
+        }
+        
+        console.log("PixelData tag not found in file");
+        return null;
+    }
+
+    /**
+     * Search for image dimensions in DICOM file
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @returns {Object} Object containing rows and columns
+     */
+    findImageDimensions(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        
+        let rows = 512;
+        let columns = 512;
+        
+        // Look for Rows (0028,0010) and Columns (0028,0011) tags
+        for (let i = 0; i < arrayBuffer.byteLength - 8; i++) {
+            const group = view.getUint16(i, true);
+            const element = view.getUint16(i + 2, true);
+            
+            if (group === 0x0028) {
+                if (element === 0x0010) { // Rows
+                    // Skip tag (4) + VR (2) + length (2 or 4)
+                    let offset = i + 8;
+                    if (offset + 2 <= arrayBuffer.byteLength) {
+                        rows = view.getUint16(offset, true);
+                        console.log(`Found Rows: ${rows}`);
                     }
-                } else if (tag === '00280010') { // Rows
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    rows = metadata[tag];
-                } else if (tag === '00280011') { // Columns
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    columns = metadata[tag];
-                } else if (tag === '00280100') { // BitsAllocated
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    bitsAllocated = metadata[tag];
-                } else if (tag === '00280103') { // PixelRepresentation (0=unsigned, 1=signed)
-                    metadata[tag] = view.getUint16(valueOffset, true);
-                    pixelRepresentation = metadata[tag];
-                } else if (tag === '00281050') { // WindowCenter
-                    if (length === 2) {
-                        metadata[tag] = view.getInt16(valueOffset, true);
-                    } else if (length === 4) {
-                        metadata[tag] = view.getInt32(valueOffset, true);
-                    } else {
-                        // Handle string values (multiple centers)
-                        let str = '';
-                        for (let i = valueOffset; i < valueOffset + Math.min(length, 100); i++) {
-                            const char = String.fromCharCode(view.getUint8(i));
-                            if (char !== '\0') str += char;
-                        }
-                        const nums = str.split('\\').map(Number).filter(n => !isNaN(n));
-                        metadata[tag] = nums.length > 0 ? nums[0] : 0;
+                } else if (element === 0x0011) { // Columns
+                    // Skip tag (4) + VR (2) + length (2 or 4)
+                    let offset = i + 8;
+                    if (offset + 2 <= arrayBuffer.byteLength) {
+                        columns = view.getUint16(offset, true);
+                        console.log(`Found Columns: ${columns}`);
                     }
-                } else if (tag === '00281051') { // WindowWidth
-                    if (length === 2) {
-                        metadata[tag] = view.getUint16(valueOffset, true);
-                    } else if (length === 4) {
-                        metadata[tag] = view.getUint32(valueOffset, true);
-                    } else {
-                        // Handle string values (multiple widths)
-                        let str = '';
-                        for (let i = valueOffset; i < valueOffset + Math.min(length, 100); i++) {
-                            const char = String.fromCharCode(view.getUint8(i));
-                            if (char !== '\0') str += char;
-                        }
-                        const nums = str.split('\\').map(Number).filter(n => !isNaN(n));
-                        metadata[tag] = nums.length > 0 ? nums[0] : 0;
+                }
+            }
+        }
+        
+        return { rows, columns };
+    }
+
+    /**
+     * Parse a single DICOM file.
+     * The dataset is decoded according to its transfer syntax first; in recovery
+     * mode files that cannot be decoded that way fall back to scanning for pixel data.
+     * Compressed pixel data that cannot be decoded is an error, since scanning
+     * would only recover compressed bytes.
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @returns {Object} Parsed DICOM data including metadata, the element tree and pixel data
+     */
+    async parseDicom(arrayBuffer) {
+        let dataset = null;
+        try {
+            arrayBuffer = await this.inflateDataset(arrayBuffer);
+            dataset = this.parseDataset(arrayBuffer);
+        } catch (e) {
+            if (e.transferSyntaxUID || this.mode === 'strict') {
+                throw e;
+            }
+            console.warn('Structured DICOM parse failed, falling back to scanning:', e.message);
+        }
+
+        if (dataset) {
+            const { metadata, elements, syntax, pixelDataElement } = dataset;
+            const rows = metadata['00280010'];
+            const columns = metadata['00280011'];
+
+            if (pixelDataElement && rows && columns) {
+                const bitsAllocated = metadata['00280100'] || 16;
+                const pixelRepresentation = metadata['00280103'] || 0;
+
+                const numberOfFrames = metadata['00280008'] || 1;
+                let pixelData;
+
+                if (pixelDataElement.encapsulated) {
+                    try {
+                        const frames = this.getEncapsulatedFrames(arrayBuffer, pixelDataElement, numberOfFrames)
+                            .map(bytes => this.decodeFrame(bytes, syntax, metadata));
+                        pixelData = frames.length === 1 ? frames[0] : this.concatenateFrames(frames);
+                    } catch (e) {
+                        const error = new Error(`Cannot decode compressed pixel data: ${e.message}`);
+                        error.transferSyntaxUID = syntax.uid;
+                        throw error;
                     }
-                } else if (tag === '00200013') { // InstanceNumber
-                    if (length === 2) {
-                        metadata[tag] = view.getUint16(valueOffset, true);
-                    } else if (length === 4) {
-                        metadata[tag] = view.getUint32(valueOffset, true);
-                    } else {
-                        // Handle string values
-                        let str = '';
-                        for (let i = valueOffset; i < valueOffset + Math.min(length, 100); i++) {
-                            const char = String.fromCharCode(view.getUint8(i));
-                            if (char !== '\0') str += char;
-                        }
-                        const num = parseInt(str, 10);
-                        metadata[tag] = isNaN(num) ? 0 : num;
+                } else {
+                    pixelData = this.extractPixelData(arrayBuffer, pixelDataElement, syntax, bitsAllocated, pixelRepresentation);
+                }
+
+                return {
+                    metadata,
+                    elements,
+                    pixelData,
+                    rows,
+                    columns,
+                    numberOfFrames,
+                    bitsAllocated,
+                    pixelRepresentation,
+                    rescaleSlope: metadata['00281053'] ?? 1,
+                    rescaleIntercept: metadata['00281052'] ?? 0,
+                    transferSyntaxUID: syntax.uid
+                };
+            }
+
+            if (this.mode === 'strict') {
+                throw new Error(pixelDataElement ? 'Dataset has no Rows/Columns' : 'Dataset has no PixelData element');
+            }
+            console.log('Dataset has no usable PixelData, falling back to scanning');
+        }
+
+        return this.recoverDicom(arrayBuffer);
+    }
+
+    /**
+     * Recover pixel data from a file that could not be parsed element by element,
+     * by scanning for tags and guessing the image dimensions
+     * @param {ArrayBuffer} arrayBuffer - The DICOM file data
+     * @returns {Object} Parsed DICOM data including metadata and pixel data
+     */
+    recoverDicom(arrayBuffer) {
+        // First, try to find pixel data regardless of standard parsing
+        const pixelDataInfo = this.findPixelData(arrayBuffer);
+        let pixelData = null;
+        
+        if (pixelDataInfo) {
+            // Extract pixel data directly
+            const pixelBytes = new Uint8Array(arrayBuffer, pixelDataInfo.offset, pixelDataInfo.length);
+            
+            // Try to determine if it's 8-bit or 16-bit data based on typical patterns
+            // For CT scans, values are often in the range that suggests 16-bit signed integers
+            let bitsAllocated = 16; // Default assumption for CT
+            
+            // Check if this looks like 16-bit data by examining patterns
+            if (pixelBytes.length % 2 === 0) {
+                // Might be 16-bit data - try to interpret as 16-bit values
+                let hasHighValues = false;
+                for (let i = 0; i < Math.min(pixelBytes.length, 1000); i += 2) {
+                    const value = (pixelBytes[i + 1] << 8) | pixelBytes[i]; // Little endian
+                    if (value > 255) {
+                        hasHighValues = true;
+                        break;
                     }
                 }
                 
-                // Move to next tag
-                offset = valueOffset + length;
+                if (hasHighValues) {
+                    // Looks like 16-bit data
+                    pixelData = new Uint16Array(arrayBuffer.slice(pixelDataInfo.offset, pixelDataInfo.offset + pixelDataInfo.length));
+                    bitsAllocated = 16;
+                } else {
+                    // Probably 8-bit data
+                    pixelData = pixelBytes;
+                    bitsAllocated = 8;
+                }
+            } else {
+                // Odd number of bytes - definitely 8-bit
+                pixelData = pixelBytes;
+                bitsAllocated = 8;
+            }
+        }
+        
+        // Find image dimensions
+        const dims = this.findImageDimensions(arrayBuffer);
+        
+        // If we still don't have pixel data, try to estimate from file size
+        if (!pixelData) {
+            const estimatedTotalPixels = dims.rows * dims.columns;
+            const remainingBytes = arrayBuffer.byteLength - (128 + 4); // minus preamble + magic word
+            
+            // If remaining bytes roughly match expected pixel count
+            if (remainingBytes >= estimatedTotalPixels) {
+                // Assume pixel data starts after header
+                let dataStart = 132; // Skip preamble + DICM
+                if (String.fromCharCode(
+                    new DataView(arrayBuffer).getUint8(128),
+                    new DataView(arrayBuffer).getUint8(129),
+                    new DataView(arrayBuffer).getUint8(130),
+                    new DataView(arrayBuffer).getUint8(131)
+                ) !== 'DICM') {
+                    dataStart = 0; // No DICM header
+                }
                 
-                // Align to even boundary
-                if (length % 2 === 1 && vr !== 'SQ' && vr !== 'UT') {
-                    offset += 1;
+                const pixelBytes = new Uint8Array(arrayBuffer.slice(dataStart));
+                if (pixelBytes.length >= estimatedTotalPixels) {
+                    // Trim to expected size
+                    pixelData = pixelBytes.slice(0, estimatedTotalPixels);
                 }
-            } catch (e) {
-                // If we encounter an error, try to continue parsing
-                console.warn('Error parsing DICOM tag at offset', offset, ':', e);
-                // Skip 4 bytes and continue
-                offset += 4;
-                if (offset >= arrayBuffer.byteLength) break;
-            }
-        }
-        
-        // If we couldn't extract dimensions from metadata, estimate them
-        if (!rows || !columns) {
-            // Try to estimate dimensions assuming square image
-            const totalPixels = pixelData ? pixelData.length : 0;
-            if (totalPixels > 0) {
-                const sideLength = Math.sqrt(totalPixels);
-                if (Number.isInteger(sideLength)) {
-                    rows = sideLength;
-                    columns = sideLength;
+            }
+        }
+        
+        // If we still don't have pixel data, try to find the largest contiguous block of data
+        if (!pixelData) {
+            console.log("Attempting to extract pixel data from largest data block in file");
+            
+            // Look for a block that looks like image data based on size
+            const estimatedSize = dims.rows * dims.columns;
+            
+            // Most likely location for pixel data is toward the end of the file
+            // after all the metadata
+            const dataStart = Math.max(0, arrayBuffer.byteLength - (estimatedSize * 2)); // Assume up to 2 bytes per pixel
+            
+            if (arrayBuffer.byteLength - dataStart >= estimatedSize) {
+                const pixelBytes = new Uint8Array(arrayBuffer.slice(dataStart));
+                
+                // If this is approximately the right size, use it
+                if (Math.abs(pixelBytes.length - estimatedSize) < estimatedSize * 0.1) { // Within 10%
+                    pixelData = pixelBytes;
+                }
+            }
+        }
+        
+        // Final fallback: if we still don't have pixel data, look for any reasonable-sized data block
+        if (!pixelData) {
+            const estimatedSize = dims.rows * dims.columns;
+            
+            // If file size is reasonably close to expected image size, treat whole file as pixel data
+            if (Math.abs(arrayBuffer.byteLength - estimatedSize) < estimatedSize * 0.5) { // Within 50%
+                pixelData = new Uint8Array(arrayBuffer);
+            }
+        }
+        
+        // At this point, if we have pixel data but wrong dimensions, try to infer correct dimensions
+        if (pixelData && (dims.rows * dims.columns !== pixelData.length)) {
+            // Try to find dimensions that make sense for the data size
+            const totalPixels = pixelData.length;
+            
+            // Common CT scan sizes
+            const commonSizes = [
+                [512, 512], [256, 256], [1024, 1024], [128, 128], 
+                [256, 512], [512, 256], [1024, 512], [512, 1024]
+            ];
+            
+            for (const [w, h] of commonSizes) {
+                if (w * h === totalPixels) {
+                    dims.rows = h;
+                    dims.columns = w;
+                    break;
+                }
+            }
+            
+            // If still no match, try to find square-like dimensions
+            if (dims.rows * dims.columns !== totalPixels) {
+                const sqrt = Math.sqrt(totalPixels);
+                if (Number.isInteger(sqrt)) {
+                    dims.rows = sqrt;
+                    dims.columns = sqrt;
                 } else {
-                    // Common DICOM sizes
-                    if (totalPixels === 512 * 512) {
-                        rows = 512;
-                        columns = 512;
-                    } else if (totalPixels === 256 * 256) {
-                        rows = 256;
-                        columns = 256;
-                    } else if (totalPixels === 1024 * 1024) {
-                        rows = 1024;
-                        columns = 1024;
-                    } else {
-                        // Default fallback
-                        rows = 512;
-                        columns = 512;
+                    // Find factors closest to square
+                    for (let w = Math.floor(sqrt); w > 0; w--) {
+                        if (totalPixels % w === 0) {
+                            dims.columns = w;
+                            dims.rows = totalPixels / w;
+                            break;
+                        }
                     }
                 }
-            } else {
-                rows = 512;
-                columns = 512;
             }
         }
         
         return {
-            metadata,
-            pixelData,
-            rows,
-            columns,
-            bitsAllocated,
-            pixelRepresentation
+            metadata: {},
+            elements: [],
+            pixelData: pixelData,
+            rows: dims.rows,
+            columns: dims.columns,
+            bitsAllocated: pixelData instanceof Uint16Array ? 16 : 8,
+            pixelRepresentation: 0,
+            rescaleSlope: 1,
+            rescaleIntercept: 0
         };
     }
 
     /**
-     * Process a folder of DICOM files into a 3D volume
+     * Sort slices by the projection of ImagePositionPatient onto the slice normal
+     * and measure the spacing between them. Duplicate positions, gaps and uneven
+     * spacing are reported as warnings; the volume uses the median spacing.
+     * @param {Array} slices - Parsed slices, sorted in place
+     * @returns {Object|null} sliceSpacing, origin, orientation and warnings, or null
+     *                        if the slices lack position/orientation
+     */
+    sortSlicesSpatially(slices) {
+        const orientation = slices[0].metadata['00200037'];
+        const hasGeometry = Array.isArray(orientation) && orientation.length === 6 &&
+            slices.every(slice => Array.isArray(slice.metadata['00200032']) && slice.metadata['00200032'].length === 3);
+        if (!hasGeometry) {
+            return null;
+        }
+        
+        // Slice normal is the cross product of the row and column direction cosines
+        const [rx, ry, rz, cx, cy, cz] = orientation;
+        const normal = [ry * cz - rz * cy, rz * cx - rx * cz, rx * cy - ry * cx];
+        const positionOf = (slice) => {
+            const [x, y, z] = slice.metadata['00200032'];
+            return x * normal[0] + y * normal[1] + z * normal[2];
+        };
+        
+        for (const slice of slices) {
+            slice.position = positionOf(slice);
+        }
+        slices.sort((a, b) => a.position - b.position);
+        
+        const warnings = [];
+        if (slices.length < 2) {
+            return {
+                sliceSpacing: slices[0].metadata['00180088'] || slices[0].metadata['00180050'] || 1,
+                origin: slices[0].metadata['00200032'],
+                orientation,
+                warnings
+            };
+        }
+        
+        const distances = [];
+        for (let i = 1; i < slices.length; i++) {
+            distances.push(slices[i].position - slices[i - 1].position);
+        }
+        
+        const sorted = [...distances].sort((a, b) => a - b);
+        const sliceSpacing = sorted[Math.floor(sorted.length / 2)] || 1;
+        
+        // Allow 1% (and at least 0.01 mm) of jitter from rounding in the headers
+        const tolerance = Math.max(0.01, sliceSpacing * 0.01);
+        let duplicates = 0;
+        let gaps = 0;
+        let uneven = 0;
+        distances.forEach((distance, i) => {
+            if (distance < tolerance) {
+                duplicates++;
+                console.warn(`Slices ${slices[i].fileName} and ${slices[i + 1].fileName} share position ${slices[i].position.toFixed(2)} mm`);
+            } else if (distance > sliceSpacing * 1.5) {
+                gaps++;
+                console.warn(`Gap of ${distance.toFixed(2)} mm after ${slices[i].fileName} (expected ${sliceSpacing.toFixed(2)} mm)`);
+            } else if (Math.abs(distance - sliceSpacing) > tolerance) {
+                uneven++;
+            }
+        });
+        
+        if (duplicates > 0) {
+            warnings.push(`${duplicates} slice(s) share a position with another slice`);
+        }
+        if (gaps > 0) {
+            warnings.push(`${gaps} gap(s) larger than the ${sliceSpacing.toFixed(2)} mm slice spacing`);
+        }
+        if (uneven > 0) {
+            warnings.push(`Uneven slice spacing between ${sorted[0].toFixed(2)} and ${sorted[sorted.length - 1].toFixed(2)} mm`);
+        }
+        
+        console.log(`Slice spacing: ${sliceSpacing.toFixed(3)} mm along normal [${normal.map(n => n.toFixed(3)).join(', ')}]`);
+        
+        return {
+            sliceSpacing,
+            origin: slices[0].metadata['00200032'],
+            orientation,
+            warnings
+        };
+    }
+
+    /**
+     * Process a folder of DICOM files into a 3D volume.
+     * When the folder holds several series, the one with the most slices is used;
+     * call parseFiles(), groupSeries() and buildVolume() to choose another.
      * @param {FileList} files - List of DICOM files
-     * @returns {Object} 3D volume data
+     * @returns {Object} 3D volume data in Hounsfield units, with its min/max value range,
+     *                   voxel spacing in mm and warnings about the slice geometry
      */
     async processDicomFolder(files) {
+        const slices = await this.parseFiles(files);
+        const series = this.groupSeries(slices);
+        const largest = series.reduce((best, s) => s.slices.length > best.slices.length ? s : best);
+        
+        if (series.length > 1) {
+            console.log(`Folder holds ${series.length} series, using "${largest.description}" (${largest.slices.length} slices)`);
+        }
+        
+        return this.buildVolume(largest.slices);
+    }
+
+    /**
+     * Parse every file of a folder into slices with pixel data
+     * @param {FileList} files - List of DICOM files
+     * @returns {Array} Slices with data, metadata, dimensions and rescale values
+     */
+    async parseFiles(files) {
         const slices = [];
+        const decodeErrors = [];
         
         console.log(`Processing ${files.length} DICOM files`);
         
@@ -263,61 +1174,229 @@ class DicomParser {
                 console.log(`Parsing file: ${file.name}`);
                 const arrayBuffer = await file.arrayBuffer();
                 const dicomData = await this.parseDicom(arrayBuffer);
-                
-                if (dicomData.pixelData && dicomData.pixelData.length > 0) {
-                    console.log(`File ${file.name}: rows=${dicomData.rows}, cols=${dicomData.columns}, pixels=${dicomData.pixelData.length}`);
-                    
-                    // Validate that pixel data matches expected dimensions
-                    const expectedPixels = dicomData.rows * dicomData.columns;
-                    if (dicomData.pixelData.length >= expectedPixels) {
-                        slices.push({
-                            data: dicomData.pixelData.slice(0, expectedPixels), // Take only the expected amount
-                            metadata: dicomData.metadata,
-                            rows: dicomData.rows,
-                            columns: dicomData.columns,
-                            instanceNumber: dicomData.metadata['00200013'] || 0,
-                            fileName: file.name
-                        });
-                    } else {
-                        console.warn(`File ${file.name} has fewer pixels than expected (${dicomData.pixelData.length} < ${expectedPixels})`);
-                        // Still try to use it if we have some pixels
-                        if (dicomData.pixelData.length > 100) { // Arbitrary minimum
-                            // Pad with zeros if needed
-                            const paddedData = new Uint8Array(expectedPixels);
-                            paddedData.set(dicomData.pixelData);
-                            slices.push({
-                                data: paddedData,
-                                metadata: dicomData.metadata,
-                                rows: dicomData.rows,
-                                columns: dicomData.columns,
-                                instanceNumber: dicomData.metadata['00200013'] || 0,
-                                fileName: file.name
-                            });
-                        }
-                    }
-                } else {
-                    console.warn(`File ${file.name} has no valid pixel data`);
-                }
+                slices.push(...this.toSlices(dicomData, file.name, slices.length));
             } catch (e) {
                 console.warn('Error parsing DICOM file', file.name, ':', e);
+                if (e.transferSyntaxUID) {
+                    decodeErrors.push(e);
+                }
             }
         }
         
         if (slices.length === 0) {
-            throw new Error('No valid DICOM files found with pixel data');
+            await this.recoverRawSlices(files, slices, decodeErrors);
         }
         
-        console.log(`Successfully processed ${slices.length} slices`);
+        console.log(`Successfully processed ${slices.length} slices with pixel data`);
         
-        // Sort slices by instance number if available, otherwise by filename
-        slices.sort((a, b) => {
-            if (a.instanceNumber !== undefined && b.instanceNumber !== undefined) {
-                return (a.instanceNumber || 0) - (b.instanceNumber || 0);
-            } else {
-                return a.fileName.localeCompare(b.fileName);
+        return slices;
+    }
+
+    /**
+     * Turn one parsed file into slices, one per frame
+     * @param {Object} dicomData - Result of parseDicom()
+     * @param {string} fileName - Name of the file
+     * @param {number} [fallbackInstanceNumber=0] - Instance number for files without (0020,0013)
+     * @returns {Array} Slices with data, metadata, dimensions and rescale values; empty if the
+     *                  file has no usable pixel data
+     */
+    toSlices(dicomData, fileName, fallbackInstanceNumber = 0) {
+        if (dicomData.numberOfFrames > 1 && dicomData.pixelData) {
+            const frames = this.splitFrames(dicomData, fileName);
+            console.log(`File ${fileName}: ${frames.length} frames of ${dicomData.columns}x${dicomData.rows}`);
+            return frames;
+        }
+        
+        if (!dicomData.pixelData || dicomData.pixelData.length === 0) {
+            console.log(`File ${fileName} has no detectable pixel data`);
+            return [];
+        }
+        
+        console.log(`File ${fileName}: rows=${dicomData.rows}, cols=${dicomData.columns}, pixels=${dicomData.pixelData.length}`);
+        
+        // Validate that pixel data matches expected dimensions
+        const expectedPixels = dicomData.rows * dicomData.columns;
+        let data;
+        
+        if (dicomData.pixelData.length === expectedPixels) {
+            data = dicomData.pixelData;
+        } else if (dicomData.pixelData.length > expectedPixels) {
+            data = dicomData.pixelData.slice(0, expectedPixels); // Take only the expected amount
+        } else if (this.mode === 'strict') {
+            throw new Error(`Pixel data holds ${dicomData.pixelData.length} of ${expectedPixels} pixels`);
+        } else if (dicomData.pixelData.length > 100) { // Arbitrary minimum for valid slice
+            console.log(`File ${fileName} has fewer pixels than expected (${dicomData.pixelData.length} < ${expectedPixels}), but has sufficient data to include`);
+            // Pad with zeros if needed
+            data = new dicomData.pixelData.constructor(expectedPixels);
+            data.set(dicomData.pixelData);
+        } else {
+            console.log(`File ${fileName} has insufficient pixel data (${dicomData.pixelData.length} pixels)`);
+            return [];
+        }
+        
+        return [{
+            data,
+            metadata: dicomData.metadata,
+            rows: dicomData.rows,
+            columns: dicomData.columns,
+            instanceNumber: dicomData.metadata['00200013'] ?? fallbackInstanceNumber,
+            rescaleSlope: dicomData.rescaleSlope,
+            rescaleIntercept: dicomData.rescaleIntercept,
+            fileName
+        }];
+    }
+
+    /**
+     * Handle a load that produced no slices. Compressed files that failed to decode
+     * are reported; otherwise recovery mode reads the files as raw images.
+     * @param {Array} files - The files of the load
+     * @param {Array} slices - Slices of the load, filled in place
+     * @param {Array<Error>} decodeErrors - Errors that carry a transferSyntaxUID
+     * @throws {Error} If there still are no slices
+     */
+    async recoverRawSlices(files, slices, decodeErrors) {
+        if (decodeErrors.length > 0) {
+            // Reading compressed files as raw images would only show noise
+            throw new Error(`No slices could be decoded. ${decodeErrors[0].message}`);
+        }
+        
+        if (this.mode === 'recovery') {
+            // Last resort: try to treat any file as a potential image
+            console.log("No slices found, attempting to treat files as raw image data");
+            
+            for (const file of files) {
+                try {
+                    const slice = this.rawSlice(await file.arrayBuffer(), file.name, slices.length);
+                    if (slice) {
+                        slices.push(slice);
+                    }
+                } catch (e) {
+                    console.warn('Error in last-resort parsing of', file.name, ':', e);
+                }
+            }
+        }
+        
+        if (slices.length === 0) {
+            throw new Error(this.mode === 'recovery'
+                ? 'No valid DICOM files found with pixel data after extensive recovery attempts'
+                : 'No valid DICOM files found with pixel data');
+        }
+    }
+
+    /**
+     * Read the start of a file as an 8-bit image of a common CT size
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {string} fileName - Name of the file
+     * @param {number} instanceNumber - Instance number to give the slice
+     * @returns {Object|null} Slice, or null if the file is smaller than any common size
+     */
+    rawSlice(arrayBuffer, fileName, instanceNumber) {
+        const uint8Array = new Uint8Array(arrayBuffer);
+        
+        // Try common square dimensions that match the file size
+        const commonDims = [
+            {w: 512, h: 512, pixels: 512 * 512},
+            {w: 256, h: 256, pixels: 256 * 256},
+            {w: 1024, h: 1024, pixels: 1024 * 1024},
+            {w: 512, h: 256, pixels: 512 * 256}
+        ];
+        
+        for (const dim of commonDims) {
+            if (uint8Array.length >= dim.pixels) {
+                console.log(`Recovered data from ${fileName} as ${dim.w}x${dim.h} image`);
+                return {
+                    data: uint8Array.slice(0, dim.pixels),
+                    metadata: {},
+                    rows: dim.h,
+                    columns: dim.w,
+                    instanceNumber,
+                    fileName
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Group slices into series by Series Instance UID, splitting a series further
+     * when its slices differ in size or orientation (scouts, reformats)
+     * @param {Array} slices - Slices from parseFiles()
+     * @returns {Array} Series with description, modality, slice count and slices,
+     *                  ordered by series number
+     */
+    groupSeries(slices) {
+        const groups = new Map();
+        
+        for (const slice of slices) {
+            const metadata = slice.metadata;
+            const seriesUID = metadata['0020000E'] || 'unknown';
+            const orientation = Array.isArray(metadata['00200037'])
+                ? metadata['00200037'].map(v => v.toFixed(3)).join(',')
+                : 'none';
+            const key = `${seriesUID}|${slice.columns}x${slice.rows}|${orientation}`;
+            
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    seriesInstanceUID: seriesUID,
+                    seriesNumber: metadata['00200011'],
+                    description: metadata['0008103E'] || 'Unnamed series',
+                    modality: metadata['00080060'] || 'Unknown',
+                    rows: slice.rows,
+                    columns: slice.columns,
+                    slices: []
+                });
+            }
+            groups.get(key).slices.push(slice);
+        }
+        
+        const series = [...groups.values()].sort((a, b) => (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity));
+        
+        // Series split by size or orientation get a suffix so they can be told apart
+        const partCounts = {};
+        for (const s of series) {
+            partCounts[s.seriesInstanceUID] = (partCounts[s.seriesInstanceUID] || 0) + 1;
+        }
+        const partIndex = {};
+        series.forEach((s, i) => {
+            s.id = i;
+            if (partCounts[s.seriesInstanceUID] > 1) {
+                partIndex[s.seriesInstanceUID] = (partIndex[s.seriesInstanceUID] || 0) + 1;
+                s.description += ` (part ${partIndex[s.seriesInstanceUID]}, ${s.columns}×${s.rows})`;
             }
         });
         
+        console.log(`Found ${series.length} series: ${series.map(s => `${s.description} [${s.modality}, ${s.slices.length}]`).join('; ')}`);
+        
+        return series;
+    }
+
+    /**
+     * Assemble the slices of one series into a 3D volume
+     * @param {Array} slices - Slices of a single series, all the same size
+     * @returns {Object} 3D volume data in Hounsfield units, with its min/max value range,
+     *                   voxel spacing in mm and warnings about the slice geometry
+     */
+    buildVolume(slices) {
+        slices = [...slices];
+        
+        // Order slices in space when the files carry the image plane attributes,
+        // otherwise by instance number
+        const geometry = this.sortSlicesSpatially(slices);
+        const warnings = geometry ? geometry.warnings : [];
+        if (!geometry) {
+            console.warn('Slices lack ImagePositionPatient/ImageOrientationPatient, ordering by instance number with unit spacing');
+            slices.sort((a, b) => (a.instanceNumber || 0) - (b.instanceNumber || 0));
+        }
+        
+        // Voxel spacing in mm as [x, y, z]; PixelSpacing is stored as row spacing\column spacing
+        const pixelSpacing = slices[0].metadata['00280030'];
+        const sliceSpacing = geometry ? geometry.sliceSpacing
+            : (slices[0].metadata['00180088'] || slices[0].metadata['00180050'] || 1);
+        const spacing = Array.isArray(pixelSpacing) && pixelSpacing.length >= 2
+            ? [pixelSpacing[1], pixelSpacing[0], sliceSpacing]
+            : [1, 1, sliceSpacing];
+        
         // Create 3D volume - ensure all slices have the same dimensions
         const rows = slices[0].rows;
         const cols = slices[0].columns;
@@ -325,54 +1404,74 @@ class DicomParser {
         
         console.log(`Creating 3D volume: ${cols} x ${rows} x ${depth}`);
         
-        // Determine data type based on first slice
-        const is16Bit = slices.some(slice => slice.data instanceof Uint16Array || slice.data instanceof Int16Array);
-        const volumeSize = rows * cols * depth;
+        const sliceSize = rows * cols;
+        const volumeSize = sliceSize * depth;
         
-        let volumeData;
-        if (is16Bit) {
-            // Check if any slices have signed data
-            const isSigned = slices.some(slice => slice.data instanceof Int16Array);
-            if (isSigned) {
-                volumeData = new Int16Array(volumeSize);
-            } else {
-                volumeData = new Uint16Array(volumeSize);
-            }
-        } else {
-            volumeData = new Uint8Array(volumeSize);
-        }
+        // Rescale Slope/Intercept turn stored values into Hounsfield units. CT
+        // normally uses integer rescale values, so HU fit in 16 bits; anything
+        // else (fractional slopes, very large intercepts) is kept as float.
+        const rescaleOf = (slice) => ({
+            slope: slice.rescaleSlope ?? 1,
+            intercept: slice.rescaleIntercept ?? 0
+        });
+        const integerRescale = slices.every(slice => {
+            const { slope, intercept } = rescaleOf(slice);
+            return Number.isInteger(slope) && Number.isInteger(intercept);
+        });
         
-        // Fill volume data
-        for (let z = 0; z < depth; z++) {
+        // Slices are streamed into one preallocated array while the value range is
+        // measured, so the data is read once and never held twice at full size
+        let volumeData = integerRescale ? new Int16Array(volumeSize) : new Float32Array(volumeSize);
+        let minValue = Infinity;
+        let maxValue = -Infinity;
+        
+        const fillSlice = (z) => {
             const sliceData = slices[z].data;
-            const sliceSize = rows * cols;
+            const { slope, intercept } = rescaleOf(slices[z]);
+            const offset = z * sliceSize;
+            const count = Math.min(sliceSize, sliceData.length);
             
-            for (let i = 0; i < sliceSize && i < sliceData.length; i++) {
-                volumeData[z * sliceSize + i] = sliceData[i];
+            for (let i = 0; i < count; i++) {
+                const value = sliceData[i] * slope + intercept;
+                if (value < minValue) minValue = value;
+                if (value > maxValue) maxValue = value;
+                volumeData[offset + i] = value;
             }
-        }
+        };
         
-        // Normalize 16-bit data to 8-bit if needed for WebGL
-        if (is16Bit) {
-            const maxVal = Math.max(...Array.from(volumeData));
-            const minVal = Math.min(...Array.from(volumeData));
-            const range = maxVal - minVal || 1;
+        for (let z = 0; z < depth; z++) {
+            fillSlice(z);
             
-            const normalizedVolume = new Uint8Array(volumeSize);
-            for (let i = 0; i < volumeSize; i++) {
-                normalizedVolume[i] = Math.round(((volumeData[i] - minVal) / range) * 255);
+            if (volumeData instanceof Int16Array && (minValue < -32768 || maxValue > 32767)) {
+                // This slice overflowed 16 bits: move what is done to float and redo it
+                console.log(`Slice ${z} exceeds the 16-bit range, storing the volume as float`);
+                const floatData = new Float32Array(volumeSize);
+                floatData.set(volumeData.subarray(0, z * sliceSize));
+                volumeData = floatData;
+                fillSlice(z);
             }
-            
-            console.log(`Normalized 16-bit data: min=${minVal}, max=${maxVal}, range=${range}`);
-            
-            volumeData = normalizedVolume;
         }
         
+        console.log(`Rescaled volume to ${slices[0].metadata['00281054'] || 'HU'}: min=${minValue}, max=${maxValue}, type=${volumeData.constructor.name}`);
+        
+        // Display window suggested by the first slice, if any
+        const firstValue = (value) => Array.isArray(value) ? value[0] : value;
+        const windowCenter = firstValue(slices[0].metadata['00281050']);
+        const windowWidth = firstValue(slices[0].metadata['00281051']);
+        
         console.log(`Final volume created: ${cols} x ${rows} x ${depth}, total elements: ${volumeData.length}`);
         
         return {
             data: volumeData,
-            dimensions: [cols, rows, depth]
+            dimensions: [cols, rows, depth],
+            spacing,
+            origin: geometry ? geometry.origin : null,
+            orientation: geometry ? geometry.orientation : null,
+            warnings,
+            minValue,
+            maxValue,
+            windowCenter,
+            windowWidth
         };
     }
 }
\ No newline at end of file
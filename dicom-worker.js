@@ -0,0 +1,77 @@
+/**
+ * DICOM Worker
+ * Web Worker entry point that parses DICOM files and assembles volumes off the
+ * main thread. Requests and replies are plain messages carrying an id:
+ * - { type: 'parse', fileName, buffer, mode, fallbackInstanceNumber } is answered
+ *   with { type: 'parsed', slices } or { type: 'error', message, transferSyntaxUID }
+ * - { type: 'build', slices, mode } is answered with { type: 'built', volume, sliceData }
+ *   or { type: 'error', message, sliceData }
+ * File contents, pixel data and volumes are transferred, not copied.
+ */
+
+import { DicomParser } from './dicom-parser.js';
+
+/**
+ * Collect the distinct buffers behind some typed arrays, for a transfer list
+ * @param {Array<TypedArray>} arrays - Typed arrays, possibly views of the same buffer
+ * @returns {Array<ArrayBuffer>} Each buffer once
+ */
+export function transferListOf(arrays) {
+    return [...new Set(arrays.filter(Boolean).map(array => array.buffer))];
+}
+
+/**
+ * Handle one request
+ * @param {Object} request - Message from DicomLoader
+ * @returns {Promise<Object>} Reply message and the buffers to transfer with it
+ */
+export async function handleMessage(request) {
+    const { id, type } = request;
+    const parser = new DicomParser({ mode: request.mode });
+
+    if (type === 'parse') {
+        try {
+            const dicomData = await parser.parseDicom(request.buffer);
+            const slices = parser.toSlices(dicomData, request.fileName, request.fallbackInstanceNumber);
+            return {
+                message: { id, type: 'parsed', slices },
+                transfer: transferListOf(slices.map(slice => slice.data))
+            };
+        } catch (e) {
+            return {
+                message: { id, type: 'error', message: e.message, transferSyntaxUID: e.transferSyntaxUID },
+                transfer: []
+            };
+        }
+    }
+
+    if (type === 'build') {
+        // The slice data goes back to the page either way, so the series can be built again
+        const sliceData = request.slices.map(slice => slice.data);
+        try {
+            const volume = parser.buildVolume(request.slices);
+            return {
+                message: { id, type: 'built', volume, sliceData },
+                transfer: transferListOf([volume.data, ...sliceData])
+            };
+        } catch (e) {
+            return {
+                message: { id, type: 'error', message: e.message, sliceData },
+                transfer: transferListOf(sliceData)
+            };
+        }
+    }
+
+    return {
+        message: { id, type: 'error', message: `Unknown request type '${type}'` },
+        transfer: []
+    };
+}
+
+// Only listen for messages when running as a worker, so the module can be imported elsewhere
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = async (event) => {
+        const { message, transfer } = await handleMessage(event.data);
+        self.postMessage(message, transfer);
+    };
+}
@@ -0,0 +1,355 @@
+/**
+ * JPEG Lossless Decoder
+ * Pure JavaScript decoder for lossless Huffman-coded JPEG (ITU T.81 Process 14),
+ * used by the DICOM transfer syntaxes 1.2.840.10008.1.2.4.57 and
+ * 1.2.840.10008.1.2.4.70 (Selection Value 1)
+ */
+
+// Codes up to this length are decoded with a single table lookup
+const JPEG_LOOKUP_BITS = 9;
+
+export class JpegLosslessDecoder {
+    /**
+     * Decode a lossless JPEG image
+     * @param {Uint8Array} data - JPEG bitstream from SOI to EOI
+     * @returns {Object} width, height, components, precision and pixels
+     *                   (Uint16Array above 8 bits, else Uint8Array; components interleaved)
+     */
+    decode(data) {
+        if (data[0] !== 0xFF || data[1] !== 0xD8) {
+            throw new Error('Not a JPEG stream (missing SOI marker)');
+        }
+
+        let offset = 2;
+        let frame = null;
+        let pixels = null;
+        let restartInterval = 0;
+        const huffmanTables = [];
+
+        while (offset < data.length) {
+            if (data[offset] !== 0xFF) {
+                throw new Error(`Expected JPEG marker at offset ${offset}`);
+            }
+
+            const marker = data[offset + 1];
+            offset += 2;
+
+            // Fill bytes before a marker and stray restart markers carry no segment
+            if (marker === 0xFF) {
+                offset--;
+                continue;
+            }
+            if (marker === 0xD9) {
+                break;
+            }
+            if (marker >= 0xD0 && marker <= 0xD7) {
+                continue;
+            }
+
+            const length = (data[offset] << 8) | data[offset + 1];
+            const segmentEnd = offset + length;
+
+            if (marker === 0xC3) {
+                frame = this.readFrameHeader(data, offset + 2);
+                pixels = frame.precision > 8
+                    ? new Uint16Array(frame.width * frame.height * frame.components.length)
+                    : new Uint8Array(frame.width * frame.height * frame.components.length);
+            } else if (marker === 0xC4) {
+                this.readHuffmanTables(data, offset + 2, segmentEnd, huffmanTables);
+            } else if (marker === 0xDD) {
+                restartInterval = (data[offset + 2] << 8) | data[offset + 3];
+            } else if (marker === 0xDA) {
+                if (!frame) {
+                    throw new Error('JPEG scan found before the SOF3 frame header');
+                }
+                const scan = this.readScanHeader(data, offset + 2, frame);
+                offset = this.decodeScan(data, segmentEnd, frame, scan, huffmanTables, restartInterval, pixels);
+                continue;
+            } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC8 && marker !== 0xCC) {
+                throw new Error(`Unsupported JPEG process (SOF marker 0xFF${marker.toString(16).toUpperCase()}); only lossless SOF3 is supported`);
+            }
+            // APPn, COM and other segments are skipped
+
+            offset = segmentEnd;
+        }
+
+        if (!frame) {
+            throw new Error('JPEG stream has no SOF3 frame header');
+        }
+
+        return {
+            width: frame.width,
+            height: frame.height,
+            components: frame.components.length,
+            precision: frame.precision,
+            pixels
+        };
+    }
+
+    /**
+     * Read a SOF3 frame header
+     * @param {Uint8Array} data - JPEG bitstream
+     * @param {number} offset - Offset just past the segment length
+     * @returns {Object} precision, width, height and components
+     */
+    readFrameHeader(data, offset) {
+        const precision = data[offset];
+        const height = (data[offset + 1] << 8) | data[offset + 2];
+        const width = (data[offset + 3] << 8) | data[offset + 4];
+        const count = data[offset + 5];
+
+        const components = [];
+        for (let i = 0; i < count; i++) {
+            const base = offset + 6 + i * 3;
+            const sampling = data[base + 1];
+            if (sampling !== 0x11) {
+                throw new Error('Subsampled lossless JPEG components are not supported');
+            }
+            components.push({ id: data[base], index: i });
+        }
+
+        if (height === 0) {
+            throw new Error('JPEG streams with a DNL-defined height are not supported');
+        }
+
+        return { precision, width, height, components };
+    }
+
+    /**
+     * Read the Huffman tables of a DHT segment
+     * @param {Uint8Array} data - JPEG bitstream
+     * @param {number} offset - Offset just past the segment length
+     * @param {number} end - Offset of the end of the segment
+     * @param {Array} tables - Tables indexed by destination, updated in place
+     */
+    readHuffmanTables(data, offset, end, tables) {
+        while (offset < end) {
+            const destination = data[offset] & 0x0F;
+            const counts = data.subarray(offset + 1, offset + 17);
+            let total = 0;
+            for (let i = 0; i < 16; i++) {
+                total += counts[i];
+            }
+            const values = data.subarray(offset + 17, offset + 17 + total);
+
+            tables[destination] = this.buildHuffmanTable(counts, values);
+            offset += 17 + total;
+        }
+    }
+
+    /**
+     * Build decoding tables for a canonical Huffman code (T.81 Annex C/F.2.2.3)
+     * @param {Uint8Array} counts - Number of codes of each length 1..16
+     * @param {Uint8Array} values - Symbols in order of increasing code length
+     * @returns {Object} Lookup table for short codes plus maxCode/valuePointer/minCode
+     */
+    buildHuffmanTable(counts, values) {
+        const lookup = new Uint16Array(1 << JPEG_LOOKUP_BITS);
+        const maxCode = new Int32Array(18).fill(-1);
+        const minCode = new Int32Array(17);
+        const valuePointer = new Int32Array(17);
+
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            const count = counts[length - 1];
+            valuePointer[length] = k;
+            minCode[length] = code;
+
+            for (let i = 0; i < count; i++, k++, code++) {
+                if (length <= JPEG_LOOKUP_BITS) {
+                    // Every lookup index that starts with this code resolves to it
+                    const shift = JPEG_LOOKUP_BITS - length;
+                    const first = code << shift;
+                    for (let j = 0; j < (1 << shift); j++) {
+                        lookup[first + j] = (length << 8) | values[k];
+                    }
+                }
+            }
+
+            maxCode[length] = count > 0 ? code - 1 : -1;
+            code <<= 1;
+        }
+        // Sentinel so that the slow path always terminates
+        maxCode[17] = 0x7FFFFFFF;
+
+        return { lookup, maxCode, minCode, valuePointer, values };
+    }
+
+    /**
+     * Read a scan header
+     * @param {Uint8Array} data - JPEG bitstream
+     * @param {number} offset - Offset just past the segment length
+     * @param {Object} frame - Frame header
+     * @returns {Object} Scan components with their Huffman table, predictor and point transform
+     */
+    readScanHeader(data, offset, frame) {
+        const count = data[offset];
+        const components = [];
+
+        for (let i = 0; i < count; i++) {
+            const id = data[offset + 1 + i * 2];
+            const component = frame.components.find(c => c.id === id);
+            if (!component) {
+                throw new Error(`JPEG scan references unknown component ${id}`);
+            }
+            components.push({ index: component.index, table: data[offset + 2 + i * 2] >> 4 });
+        }
+
+        const base = offset + 1 + count * 2;
+        return {
+            components,
+            predictor: data[base],
+            pointTransform: data[base + 2] & 0x0F
+        };
+    }
+
+    /**
+     * Decode the entropy-coded data of a scan into the output pixels
+     * @param {Uint8Array} data - JPEG bitstream
+     * @param {number} offset - Offset of the entropy-coded data
+     * @param {Object} frame - Frame header
+     * @param {Object} scan - Scan header
+     * @param {Array} huffmanTables - DC Huffman tables by destination
+     * @param {number} restartInterval - MCUs per restart interval, 0 for none
+     * @param {TypedArray} pixels - Output samples, components interleaved
+     * @returns {number} Offset of the marker that ends the scan
+     */
+    decodeScan(data, offset, frame, scan, huffmanTables, restartInterval, pixels) {
+        const { width, height, precision } = frame;
+        const stride = frame.components.length;
+        const { predictor, pointTransform } = scan;
+        const tables = scan.components.map(c => {
+            if (!huffmanTables[c.table]) {
+                throw new Error(`JPEG scan uses undefined Huffman table ${c.table}`);
+            }
+            return huffmanTables[c.table];
+        });
+
+        // Bit reader over the entropy-coded data; 0xFF00 is a stuffed 0xFF and
+        // any other 0xFFxx is a marker, after which zeros are fed
+        let pos = offset;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let markerHit = false;
+
+        const fill = () => {
+            while (bitCount <= 24) {
+                let byte = 0;
+                if (!markerHit && pos < data.length) {
+                    byte = data[pos];
+                    if (byte === 0xFF) {
+                        if (data[pos + 1] === 0x00) {
+                            pos += 2;
+                        } else {
+                            markerHit = true;
+                            byte = 0;
+                        }
+                    } else {
+                        pos++;
+                    }
+                }
+                bitBuffer = (bitBuffer << 8) | byte;
+                bitCount += 8;
+            }
+        };
+
+        const readBits = (count) => {
+            if (count === 0) return 0;
+            fill();
+            bitCount -= count;
+            return (bitBuffer >>> bitCount) & ((1 << count) - 1);
+        };
+
+        const decodeSymbol = (table) => {
+            fill();
+            const entry = table.lookup[(bitBuffer >>> (bitCount - JPEG_LOOKUP_BITS)) & ((1 << JPEG_LOOKUP_BITS) - 1)];
+            if (entry !== 0) {
+                bitCount -= entry >> 8;
+                return entry & 0xFF;
+            }
+
+            for (let length = JPEG_LOOKUP_BITS + 1; length <= 16; length++) {
+                const code = (bitBuffer >>> (bitCount - length)) & ((1 << length) - 1);
+                if (code <= table.maxCode[length]) {
+                    bitCount -= length;
+                    return table.values[table.valuePointer[length] + code - table.minCode[length]];
+                }
+            }
+
+            throw new Error('Invalid Huffman code in JPEG Lossless data');
+        };
+
+        const decodeDifference = (table) => {
+            const category = decodeSymbol(table);
+            if (category === 0) return 0;
+            if (category === 16) return 32768;
+
+            const bits = readBits(category);
+            return bits < (1 << (category - 1)) ? bits - (1 << category) + 1 : bits;
+        };
+
+        const defaultPrediction = 1 << (precision - pointTransform - 1);
+        const rowStride = width * stride;
+        let intervalStartRow = 0;
+
+        for (let y = 0; y < height; y++) {
+            // Restart intervals span whole lines in the lossless process
+            if (restartInterval > 0 && y > 0 && (y * width) % restartInterval === 0) {
+                if (data[pos] !== 0xFF || data[pos + 1] < 0xD0 || data[pos + 1] > 0xD7) {
+                    throw new Error(`Missing JPEG restart marker before line ${y}`);
+                }
+                pos += 2;
+                bitBuffer = 0;
+                bitCount = 0;
+                markerHit = false;
+                intervalStartRow = y;
+            }
+
+            const firstRow = y === intervalStartRow;
+
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < scan.components.length; c++) {
+                    const index = y * rowStride + x * stride + scan.components[c].index;
+                    let prediction;
+
+                    if (x === 0) {
+                        prediction = firstRow ? defaultPrediction : pixels[index - rowStride];
+                    } else if (firstRow) {
+                        prediction = pixels[index - stride];
+                    } else {
+                        const ra = pixels[index - stride];
+                        const rb = pixels[index - rowStride];
+                        const rc = pixels[index - rowStride - stride];
+                        switch (predictor) {
+                            case 1: prediction = ra; break;
+                            case 2: prediction = rb; break;
+                            case 3: prediction = rc; break;
+                            case 4: prediction = ra + rb - rc; break;
+                            case 5: prediction = ra + ((rb - rc) >> 1); break;
+                            case 6: prediction = rb + ((ra - rc) >> 1); break;
+                            case 7: prediction = (ra + rb) >> 1; break;
+                            default:
+                                throw new Error(`Invalid JPEG Lossless predictor ${predictor}`);
+                        }
+                    }
+
+                    // Differences are modulo 2^16
+                    pixels[index] = (prediction + decodeDifference(tables[c])) & 0xFFFF;
+                }
+            }
+        }
+
+        if (pointTransform > 0) {
+            for (let i = 0; i < pixels.length; i++) {
+                pixels[i] <<= pointTransform;
+            }
+        }
+
+        // Continue at the next marker after the entropy-coded data
+        while (pos < data.length - 1 && !(data[pos] === 0xFF && data[pos + 1] !== 0x00 && (data[pos + 1] < 0xD0 || data[pos + 1] > 0xD7))) {
+            pos++;
+        }
+        return pos;
+    }
+}
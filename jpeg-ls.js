@@ -0,0 +1,471 @@
+/**
+ * JPEG-LS Decoder
+ * Pure JavaScript decoder for JPEG-LS (ITU T.87), used by the DICOM transfer
+ * syntaxes 1.2.840.10008.1.2.4.80 (lossless) and 1.2.840.10008.1.2.4.81 (near-lossless)
+ */
+
+// Run length order table J (T.87 A.7.1.2)
+const JPEG_LS_RUN_ORDER = [
+    0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3,
+    4, 4, 5, 5, 6, 6, 7, 7, 8, 9, 10, 11, 12, 13, 14, 15
+];
+
+export class JpegLsDecoder {
+    /**
+     * Decode a JPEG-LS image
+     * @param {Uint8Array} data - JPEG-LS bitstream from SOI to EOI
+     * @returns {Object} width, height, components, precision and pixels
+     *                   (Uint16Array above 8 bits, else Uint8Array; components interleaved)
+     */
+    decode(data) {
+        if (data[0] !== 0xFF || data[1] !== 0xD8) {
+            throw new Error('Not a JPEG-LS stream (missing SOI marker)');
+        }
+
+        let offset = 2;
+        let frame = null;
+        let pixels = null;
+        let preset = {};
+
+        while (offset < data.length) {
+            if (data[offset] !== 0xFF) {
+                throw new Error(`Expected JPEG-LS marker at offset ${offset}`);
+            }
+
+            const marker = data[offset + 1];
+            offset += 2;
+
+            if (marker === 0xFF) {
+                offset--;
+                continue;
+            }
+            if (marker === 0xD9) {
+                break;
+            }
+
+            const length = (data[offset] << 8) | data[offset + 1];
+            const segmentEnd = offset + length;
+
+            if (marker === 0xF7) {
+                frame = this.readFrameHeader(data, offset + 2);
+                pixels = frame.precision > 8
+                    ? new Uint16Array(frame.width * frame.height * frame.components.length)
+                    : new Uint8Array(frame.width * frame.height * frame.components.length);
+            } else if (marker === 0xF8) {
+                preset = this.readPresetParameters(data, offset + 2, preset);
+            } else if (marker === 0xDD) {
+                if (((data[offset + 2] << 8) | data[offset + 3]) !== 0) {
+                    throw new Error('JPEG-LS restart intervals are not supported');
+                }
+            } else if (marker === 0xDA) {
+                if (!frame) {
+                    throw new Error('JPEG-LS scan found before the SOF55 frame header');
+                }
+                const scan = this.readScanHeader(data, offset + 2, frame);
+                offset = this.decodeScan(data, segmentEnd, frame, scan, preset, pixels);
+                continue;
+            } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                throw new Error(`Not a JPEG-LS stream (SOF marker 0xFF${marker.toString(16).toUpperCase()})`);
+            }
+
+            offset = segmentEnd;
+        }
+
+        if (!frame) {
+            throw new Error('JPEG-LS stream has no SOF55 frame header');
+        }
+
+        return {
+            width: frame.width,
+            height: frame.height,
+            components: frame.components.length,
+            precision: frame.precision,
+            pixels
+        };
+    }
+
+    /**
+     * Read a SOF55 frame header
+     * @param {Uint8Array} data - JPEG-LS bitstream
+     * @param {number} offset - Offset just past the segment length
+     * @returns {Object} precision, width, height and components
+     */
+    readFrameHeader(data, offset) {
+        const precision = data[offset];
+        const height = (data[offset + 1] << 8) | data[offset + 2];
+        const width = (data[offset + 3] << 8) | data[offset + 4];
+        const count = data[offset + 5];
+
+        const components = [];
+        for (let i = 0; i < count; i++) {
+            const base = offset + 6 + i * 3;
+            if (data[base + 1] !== 0x11) {
+                throw new Error('Subsampled JPEG-LS components are not supported');
+            }
+            components.push({ id: data[base], index: i });
+        }
+
+        if (precision < 2 || precision > 16) {
+            throw new Error(`Invalid JPEG-LS sample precision ${precision}`);
+        }
+        if (width === 0 || height === 0) {
+            throw new Error('JPEG-LS streams with oversize or undefined dimensions are not supported');
+        }
+
+        return { precision, width, height, components };
+    }
+
+    /**
+     * Read an LSE segment with coding parameters (T.87 C.2.4.1.1)
+     * @param {Uint8Array} data - JPEG-LS bitstream
+     * @param {number} offset - Offset just past the segment length
+     * @param {Object} preset - Parameters read so far
+     * @returns {Object} maxValue, t1, t2, t3 and reset; zero means default
+     */
+    readPresetParameters(data, offset, preset) {
+        const id = data[offset];
+        if (id !== 1) {
+            throw new Error(`JPEG-LS extension segment type ${id} is not supported`);
+        }
+
+        const read = (i) => (data[offset + 1 + i * 2] << 8) | data[offset + 2 + i * 2];
+        return { ...preset, maxValue: read(0), t1: read(1), t2: read(2), t3: read(3), reset: read(4) };
+    }
+
+    /**
+     * Read a scan header
+     * @param {Uint8Array} data - JPEG-LS bitstream
+     * @param {number} offset - Offset just past the segment length
+     * @param {Object} frame - Frame header
+     * @returns {Object} Scan components, NEAR and interleave mode
+     */
+    readScanHeader(data, offset, frame) {
+        const count = data[offset];
+        const components = [];
+
+        for (let i = 0; i < count; i++) {
+            const id = data[offset + 1 + i * 2];
+            const component = frame.components.find(c => c.id === id);
+            if (!component) {
+                throw new Error(`JPEG-LS scan references unknown component ${id}`);
+            }
+            components.push(component.index);
+        }
+
+        const base = offset + 1 + count * 2;
+        const interleave = data[base + 1];
+        if (count > 1 && interleave !== 0) {
+            throw new Error('Interleaved JPEG-LS scans are not supported');
+        }
+
+        return {
+            components,
+            near: data[base],
+            interleave
+        };
+    }
+
+    /**
+     * Compute the coding parameters of a scan, filling in defaults (T.87 C.2.4.1.1.1)
+     * @param {number} precision - Sample precision in bits
+     * @param {number} near - NEAR, the allowed reconstruction error
+     * @param {Object} preset - Values from an LSE segment
+     * @returns {Object} maxValue, t1, t2, t3, reset, range, qbpp and limit
+     */
+    getCodingParameters(precision, near, preset) {
+        const maxValue = preset.maxValue || (1 << precision) - 1;
+        const clamp = (value, low) => (value > maxValue || value < low ? low : value);
+
+        let t1;
+        let t2;
+        let t3;
+        if (maxValue >= 128) {
+            const factor = Math.floor((Math.min(maxValue, 4095) + 128) / 256);
+            t1 = clamp(factor * (3 - 2) + 2 + 3 * near, near + 1);
+            t2 = clamp(factor * (7 - 3) + 3 + 5 * near, t1);
+            t3 = clamp(factor * (21 - 4) + 4 + 7 * near, t2);
+        } else {
+            const factor = Math.floor(256 / (maxValue + 1));
+            t1 = clamp(Math.max(2, Math.floor(3 / factor) + 3 * near), near + 1);
+            t2 = clamp(Math.max(3, Math.floor(7 / factor) + 5 * near), t1);
+            t3 = clamp(Math.max(4, Math.floor(21 / factor) + 7 * near), t2);
+        }
+
+        const range = Math.floor((maxValue + 2 * near) / (2 * near + 1)) + 1;
+        const qbpp = Math.ceil(Math.log2(range));
+        const bpp = Math.max(2, Math.ceil(Math.log2(maxValue + 1)));
+
+        return {
+            maxValue,
+            t1: preset.t1 || t1,
+            t2: preset.t2 || t2,
+            t3: preset.t3 || t3,
+            reset: preset.reset || 64,
+            range,
+            qbpp,
+            limit: 2 * (bpp + Math.max(8, bpp))
+        };
+    }
+
+    /**
+     * Decode the entropy-coded data of a scan into the output pixels
+     * @param {Uint8Array} data - JPEG-LS bitstream
+     * @param {number} offset - Offset of the entropy-coded data
+     * @param {Object} frame - Frame header
+     * @param {Object} scan - Scan header
+     * @param {Object} preset - Values from an LSE segment
+     * @param {TypedArray} pixels - Output samples, components interleaved
+     * @returns {number} Offset of the marker that ends the scan
+     */
+    decodeScan(data, offset, frame, scan, preset, pixels) {
+        const { width, height } = frame;
+        const near = scan.near;
+        const { maxValue, t1, t2, t3, reset, range, qbpp, limit } =
+            this.getCodingParameters(frame.precision, near, preset);
+        const quantStep = 2 * near + 1;
+
+        // Bit reader; after a 0xFF data byte the next byte carries only 7 bits,
+        // and 0xFF followed by a byte with its high bit set is a marker
+        let pos = offset;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let afterFF = false;
+        let markerHit = false;
+
+        const fill = () => {
+            while (bitCount <= 24) {
+                if (markerHit || pos >= data.length) {
+                    bitBuffer <<= 8;
+                    bitCount += 8;
+                    continue;
+                }
+                const byte = data[pos];
+                if (byte === 0xFF && (pos + 1 >= data.length || (data[pos + 1] & 0x80))) {
+                    markerHit = true;
+                    continue;
+                }
+                if (afterFF) {
+                    bitBuffer = (bitBuffer << 7) | byte;
+                    bitCount += 7;
+                } else {
+                    bitBuffer = (bitBuffer << 8) | byte;
+                    bitCount += 8;
+                }
+                afterFF = byte === 0xFF;
+                pos++;
+            }
+        };
+
+        const readBits = (count) => {
+            if (count === 0) return 0;
+            fill();
+            bitCount -= count;
+            return (bitBuffer >>> bitCount) & ((1 << count) - 1);
+        };
+
+        // Count the zero bits before the next one bit
+        const readUnary = () => {
+            let count = 0;
+            for (;;) {
+                fill();
+                const aligned = bitBuffer << (32 - bitCount);
+                const zeros = Math.clz32(aligned);
+                if (zeros < bitCount) {
+                    bitCount -= zeros + 1;
+                    return count + zeros;
+                }
+                count += bitCount;
+                bitCount = 0;
+                if (count > 65535) {
+                    throw new Error('Invalid JPEG-LS code (unterminated unary prefix)');
+                }
+            }
+        };
+
+        // Limited-length Golomb code (T.87 A.5.3)
+        const decodeValue = (k, codeLimit) => {
+            const high = readUnary();
+            if (high >= codeLimit - (qbpp + 1)) {
+                return readBits(qbpp) + 1;
+            }
+            return k === 0 ? high : (high << k) + readBits(k);
+        };
+
+        const reconstruct = (prediction, error) => {
+            let value = prediction + error * quantStep;
+            if (value < -near) {
+                value += range * quantStep;
+            } else if (value > maxValue + near) {
+                value -= range * quantStep;
+            }
+            return value < 0 ? 0 : (value > maxValue ? maxValue : value);
+        };
+
+        const quantize = (d) => {
+            if (d <= -t3) return -4;
+            if (d <= -t2) return -3;
+            if (d <= -t1) return -2;
+            if (d < -near) return -1;
+            if (d <= near) return 0;
+            if (d < t1) return 1;
+            if (d < t2) return 2;
+            if (d < t3) return 3;
+            return 4;
+        };
+
+        // Regular mode contexts, indexed by the sign-folded context number
+        const initialA = Math.max(2, Math.floor((range + 32) / 64));
+        const contextA = new Int32Array(365).fill(initialA);
+        const contextB = new Int32Array(365);
+        const contextC = new Int32Array(365);
+        const contextN = new Int32Array(365).fill(1);
+
+        // Run interruption contexts: 0 when Ra and Rb differ, 1 when they match
+        const runA = [initialA, initialA];
+        const runN = [1, 1];
+        const runNn = [0, 0];
+        let runIndex = 0;
+
+        const decodeRegular = (q, ra, rb, rc) => {
+            const sign = q < 0 ? -1 : 1;
+            q *= sign;
+
+            let prediction;
+            if (rc >= Math.max(ra, rb)) {
+                prediction = Math.min(ra, rb);
+            } else if (rc <= Math.min(ra, rb)) {
+                prediction = Math.max(ra, rb);
+            } else {
+                prediction = ra + rb - rc;
+            }
+            prediction += sign * contextC[q];
+            prediction = prediction < 0 ? 0 : (prediction > maxValue ? maxValue : prediction);
+
+            let k = 0;
+            while ((contextN[q] << k) < contextA[q]) k++;
+
+            const mapped = decodeValue(k, limit);
+            let error = (mapped & 1) ? -((mapped + 1) >> 1) : mapped >> 1;
+            if (near === 0 && k === 0 && 2 * contextB[q] <= -contextN[q]) {
+                error = -error - 1;
+            }
+
+            // Context update and bias correction (T.87 A.6)
+            contextB[q] += error * quantStep;
+            contextA[q] += Math.abs(error);
+            if (contextN[q] === reset) {
+                contextA[q] >>= 1;
+                contextB[q] >>= 1;
+                contextN[q] >>= 1;
+            }
+            contextN[q]++;
+
+            if (contextB[q] <= -contextN[q]) {
+                contextB[q] += contextN[q];
+                if (contextC[q] > -128) contextC[q]--;
+                if (contextB[q] <= -contextN[q]) contextB[q] = -contextN[q] + 1;
+            } else if (contextB[q] > 0) {
+                contextB[q] -= contextN[q];
+                if (contextC[q] < 127) contextC[q]++;
+                if (contextB[q] > 0) contextB[q] = 0;
+            }
+
+            return reconstruct(prediction, sign * error);
+        };
+
+        const decodeRunInterruption = (ra, rb) => {
+            const type = Math.abs(ra - rb) <= near ? 1 : 0;
+            const temp = runA[type] + (type ? runN[type] >> 1 : 0);
+
+            let k = 0;
+            while ((runN[type] << k) < temp) k++;
+
+            const mapped = decodeValue(k, limit - JPEG_LS_RUN_ORDER[runIndex] - 1);
+            const map = (mapped + type) & 1;
+            const magnitude = (mapped + type + map) >> 1;
+            const negative = (k !== 0 || 2 * runNn[type] >= runN[type]) === (map === 1);
+            const error = negative ? -magnitude : magnitude;
+
+            if (error < 0) runNn[type]++;
+            runA[type] += (mapped + 1 - type) >> 1;
+            if (runN[type] === reset) {
+                runA[type] >>= 1;
+                runN[type] >>= 1;
+                runNn[type] >>= 1;
+            }
+            runN[type]++;
+
+            return type ? reconstruct(ra, error) : reconstruct(rb, rb < ra ? -error : error);
+        };
+
+        // Line buffers carry one sample of padding on each side
+        let previous = new Int32Array(width + 2);
+        let current = new Int32Array(width + 2);
+
+        for (const component of scan.components) {
+            previous.fill(0);
+            runIndex = 0;
+
+            for (let y = 0; y < height; y++) {
+                previous[width + 1] = previous[width];
+                current[0] = previous[1];
+
+                let x = 0;
+                while (x < width) {
+                    const ra = current[x];
+                    const rb = previous[x + 1];
+                    const rc = previous[x];
+                    const rd = previous[x + 2];
+                    const q = quantize(rd - rb) * 81 + quantize(rb - rc) * 9 + quantize(rc - ra);
+
+                    if (q !== 0) {
+                        current[x + 1] = decodeRegular(q, ra, rb, rc);
+                        x++;
+                        continue;
+                    }
+
+                    // Run mode (T.87 A.7)
+                    const remaining = width - x;
+                    let run = 0;
+                    while (readBits(1)) {
+                        const count = Math.min(1 << JPEG_LS_RUN_ORDER[runIndex], remaining - run);
+                        run += count;
+                        if (count === (1 << JPEG_LS_RUN_ORDER[runIndex])) {
+                            runIndex = Math.min(31, runIndex + 1);
+                        }
+                        if (run === remaining) break;
+                    }
+                    if (run !== remaining) {
+                        run += readBits(JPEG_LS_RUN_ORDER[runIndex]);
+                    }
+                    if (run > remaining) {
+                        throw new Error('Invalid JPEG-LS run length');
+                    }
+
+                    current.fill(ra, x + 1, x + 1 + run);
+                    x += run;
+
+                    if (x < width) {
+                        current[x + 1] = decodeRunInterruption(ra, previous[x + 1]);
+                        runIndex = Math.max(0, runIndex - 1);
+                        x++;
+                    }
+                }
+
+                const stride = frame.components.length;
+                const rowStart = y * width * stride + component;
+                for (let i = 0; i < width; i++) {
+                    pixels[rowStart + i * stride] = current[i + 1];
+                }
+
+                [previous, current] = [current, previous];
+            }
+        }
+
+        // Continue at the next marker after the entropy-coded data
+        while (pos < data.length - 1 && !(data[pos] === 0xFF && (data[pos + 1] & 0x80))) {
+            pos++;
+        }
+        return pos;
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Keyboard Shortcuts
+ * Maps key combinations to named viewer actions. The bindings are plain JSON, so the
+ * page can let the user change them and keep them between visits.
+ */
+
+// Combination → action; combinations are written like eventToCombo() writes them
+export const DEFAULT_SHORTCUTS = {
+    'ArrowLeft': 'rotateLeft',
+    'ArrowRight': 'rotateRight',
+    'ArrowUp': 'rotateUp',
+    'ArrowDown': 'rotateDown',
+    'Shift+ArrowLeft': 'rollLeft',
+    'Shift+ArrowRight': 'rollRight',
+    '+': 'zoomIn',
+    '=': 'zoomIn',
+    '-': 'zoomOut',
+    'Home': 'resetView',
+    'a': 'viewAnterior',
+    'p': 'viewPosterior',
+    'l': 'viewLeft',
+    'r': 'viewRight',
+    's': 'viewSuperior',
+    'i': 'viewInferior',
+    'PageUp': 'windowLevelUp',
+    'PageDown': 'windowLevelDown',
+    ']': 'windowWidthUp',
+    '[': 'windowWidthDown',
+    '.': 'opacityUp',
+    ',': 'opacityDown',
+    'm': 'nextRenderMode',
+    '1': 'preset1',
+    '2': 'preset2',
+    '3': 'preset3',
+    '4': 'preset4',
+    '5': 'preset5'
+};
+
+// Labels for the shortcut list, in the order it shows them
+export const SHORTCUT_ACTIONS = {
+    rotateLeft: 'Rotate left',
+    rotateRight: 'Rotate right',
+    rotateUp: 'Rotate up',
+    rotateDown: 'Rotate down',
+    rollLeft: 'Roll left',
+    rollRight: 'Roll right',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    resetView: 'Reset view',
+    viewAnterior: 'View from anterior',
+    viewPosterior: 'View from posterior',
+    viewLeft: 'View from left',
+    viewRight: 'View from right',
+    viewSuperior: 'View from superior',
+    viewInferior: 'View from inferior',
+    windowLevelUp: 'Window level up',
+    windowLevelDown: 'Window level down',
+    windowWidthUp: 'Window width up',
+    windowWidthDown: 'Window width down',
+    opacityUp: 'Opacity up',
+    opacityDown: 'Opacity down',
+    nextRenderMode: 'Next render mode',
+    preset1: 'Preset 1',
+    preset2: 'Preset 2',
+    preset3: 'Preset 3',
+    preset4: 'Preset 4',
+    preset5: 'Preset 5'
+};
+
+// Keys that only change the next key, never shortcuts on their own
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+/**
+ * Write a key event as a combination such as 'Ctrl+ArrowUp'. Shift is left out for
+ * printable keys, whose character already shows it ('+' rather than 'Shift+=').
+ * @param {KeyboardEvent} event - Key event, or an object with the same fields
+ * @returns {string|null} Combination, or null for a modifier key by itself
+ */
+export function eventToCombo(event) {
+    const { key } = event;
+    if (!key || MODIFIER_KEYS.includes(key)) return null;
+
+    const printable = key.length === 1;
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && !printable) parts.push('Shift');
+    parts.push(printable ? key.toLowerCase() : key);
+    return parts.join('+');
+}
+
+export class KeyboardShortcuts {
+    /**
+     * @param {Object} [bindings=DEFAULT_SHORTCUTS] - Combination → action
+     */
+    constructor(bindings = DEFAULT_SHORTCUTS) {
+        this.bindings = new Map();
+        this.fromJSON(bindings);
+    }
+
+    /**
+     * @param {KeyboardEvent} event - Key event
+     * @returns {string|null} Action bound to the event's combination
+     */
+    getAction(event) {
+        const combo = eventToCombo(event);
+        return (combo && this.bindings.get(combo)) || null;
+    }
+
+    /**
+     * Bind a combination to an action, taking it from any action it was bound to
+     * @param {string} combo - Combination, as from eventToCombo()
+     * @param {string} action - One of SHORTCUT_ACTIONS
+     */
+    bind(combo, action) {
+        if (!(action in SHORTCUT_ACTIONS)) {
+            throw new Error(`Unknown shortcut action: ${action}`);
+        }
+        if (typeof combo !== 'string' || !combo) {
+            throw new Error(`Invalid key combination for ${action}`);
+        }
+        this.bindings.set(combo, action);
+    }
+
+    /**
+     * Remove every combination bound to an action
+     * @param {string} action - Action to unbind
+     */
+    unbind(action) {
+        for (const [combo, bound] of this.bindings) {
+            if (bound === action) this.bindings.delete(combo);
+        }
+    }
+
+    /**
+     * @param {string} action - Action to look up
+     * @returns {Array<string>} Combinations bound to it
+     */
+    getBindings(action) {
+        return [...this.bindings].filter(([, bound]) => bound === action).map(([combo]) => combo);
+    }
+
+    /**
+     * @returns {Object} Combination → action, for saving
+     */
+    toJSON() {
+        return Object.fromEntries(this.bindings);
+    }
+
+    /**
+     * Replace the bindings, e.g. with saved ones
+     * @param {Object} json - Combination → action
+     */
+    fromJSON(json) {
+        if (!json || typeof json !== 'object') {
+            throw new Error('Shortcuts must be a JSON object');
+        }
+        const bindings = this.bindings;
+        this.bindings = new Map();
+        try {
+            for (const [combo, action] of Object.entries(json)) {
+                this.bind(combo, action);
+            }
+        } catch (error) {
+            // Keep the old bindings rather than half of the new ones
+            this.bindings = bindings;
+            throw error;
+        }
+    }
+}
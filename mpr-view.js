@@ -0,0 +1,440 @@
+/**
+ * Multiplanar Reconstruction Views
+ * Slice panes through a volume: planes through the shared cursor, which start out
+ * axial, coronal and sagittal and can be tilted to any oblique angle, and a curved
+ * plane that follows a polyline drawn in them.
+ * Positions are texture coordinates (0-1 along each volume axis, voxel centres
+ * at (i + 0.5) / n), so the renderer can sample the volume texture it already holds.
+ * Directions are unit vectors in millimetres along the volume axes, so angles stay
+ * true for anisotropic voxels.
+ */
+
+// Starting directions of each pane: across, up and through it. Volumes are stored as
+// columns (x), rows (y) and slices (z), with slices ordered along the slice normal.
+// Axial panes show the first row at the top, so their up vector points to lower rows.
+export const MPR_ORIENTATIONS = {
+    axial: { label: 'Axial', right: [1, 0, 0], up: [0, -1, 0], normal: [0, 0, 1], color: [1.0, 0.35, 0.35] },
+    coronal: { label: 'Coronal', right: [1, 0, 0], up: [0, 0, 1], normal: [0, 1, 0], color: [0.35, 1.0, 0.35] },
+    sagittal: { label: 'Sagittal', right: [0, 1, 0], up: [0, 0, 1], normal: [1, 0, 0], color: [1.0, 0.85, 0.3] }
+};
+
+// Longest polyline a curved view follows; the renderer passes it to the shader as a uniform array
+export const MAX_CURVE_POINTS = 32;
+
+// Most samples averaged across a slab
+export const MAX_SLAB_SAMPLES = 64;
+
+// Crosshair handles for tilting planes: radius in pixels, and distance from the
+// crosshair centre as a fraction of the smaller pane side
+export const HANDLE_RADIUS = 5;
+const HANDLE_DISTANCE = 0.3;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+
+/**
+ * Rotate a vector about a unit axis (Rodrigues' formula)
+ * @param {Array<number>} vector - Vector to rotate
+ * @param {Array<number>} axis - Unit rotation axis
+ * @param {number} angle - Angle in radians, counterclockwise looking down the axis
+ * @returns {Array<number>} Rotated vector
+ */
+function rotateVector(vector, axis, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const axisCross = cross(axis, vector);
+    const axisDot = dot(axis, vector) * (1 - cos);
+    return vector.map((v, i) => v * cos + axisCross[i] * sin + axis[i] * axisDot);
+}
+
+/**
+ * Size of the volume in mm
+ * @param {Object} volume - dimensions [x, y, z] in voxels and spacing [x, y, z] in mm
+ * @returns {Array<number>} [x, y, z] in mm
+ */
+function getBoxSize(volume) {
+    return volume.dimensions.map((size, i) => size * volume.spacing[i]);
+}
+
+/**
+ * Length of the volume's shadow on a direction, the span a plane needs along it to
+ * show every voxel
+ * @param {Array<number>} direction - Unit vector in mm
+ * @param {Array<number>} boxSize - Volume size in mm
+ * @returns {number} Length in mm
+ */
+function extentAlong(direction, boxSize) {
+    return direction.reduce((sum, d, i) => sum + Math.abs(d) * boxSize[i], 0);
+}
+
+/**
+ * Scale from pane coordinates to plane coordinates that fits a plane in a pane
+ * without distorting it; the plane fills one direction and is letterboxed in the other
+ * @param {number} width - Plane width in mm
+ * @param {number} height - Plane height in mm
+ * @param {number} paneWidth - Pane width in pixels
+ * @param {number} paneHeight - Pane height in pixels
+ * @returns {Array<number>} [x, y] scale, 1 along the direction the plane fills
+ */
+function fitPlane(width, height, paneWidth, paneHeight) {
+    const planeAspect = width / height;
+    const paneAspect = paneWidth / paneHeight;
+
+    return planeAspect > paneAspect
+        ? [1, planeAspect / paneAspect]
+        : [paneAspect / planeAspect, 1];
+}
+
+/**
+ * Check a position lies in the volume
+ * @param {Array<number>} position - Texture coordinates
+ * @returns {boolean}
+ */
+function insideVolume(position) {
+    const epsilon = 1e-9;
+    return position.every(p => p >= -epsilon && p <= 1 + epsilon);
+}
+
+/**
+ * Number of samples a slab is averaged from, so they are no further apart than the smallest voxel side
+ * @param {number} thickness - Slab thickness in mm, 0 for a single plane
+ * @param {Array<number>} spacing - Voxel size in mm [x, y, z]
+ * @returns {number} Sample count, 1 for a single plane
+ */
+export function getSlabSampleCount(thickness, spacing) {
+    if (!(thickness > 0)) {
+        return 1;
+    }
+    return Math.min(MAX_SLAB_SAMPLES, Math.ceil(thickness / Math.min(...spacing)) + 1);
+}
+
+/**
+ * Tilt the planes of the other views about the normal of one view's pane, so the
+ * crosshair lines in that pane turn with a dragged handle. The planes stay
+ * perpendicular to each other and keep passing through the cursor.
+ * @param {Array<MprView>} views - All MPR views
+ * @param {MprView} view - View whose pane the handle was dragged in
+ * @param {number} angle - Angle in radians, counterclockwise in the pane
+ */
+export function tiltPlanes(views, view, angle) {
+    // Counterclockwise in the pane turns right towards up
+    const axis = cross(view.right, view.up);
+    for (const other of views) {
+        if (other !== view) {
+            other.rotate(axis, angle);
+        }
+    }
+}
+
+// Window shared by every kind of pane, adjusted by right-dragging in it
+class PaneView {
+    constructor() {
+        this.windowLevel = 40;
+        this.windowWidth = 400;
+    }
+
+    /**
+     * Adjust the window from a drag: horizontal changes the width, vertical the level
+     * @param {number} deltaX - Horizontal movement in pixels
+     * @param {number} deltaY - Vertical movement in pixels, positive downwards
+     */
+    adjustWindow(deltaX, deltaY) {
+        this.windowWidth = Math.max(1, this.windowWidth + deltaX * 2);
+        this.windowLevel += deltaY * 2;
+    }
+}
+
+export class MprView extends PaneView {
+    /**
+     * @param {string} orientation - 'axial', 'coronal' or 'sagittal'
+     */
+    constructor(orientation) {
+        super();
+        if (!MPR_ORIENTATIONS[orientation]) {
+            throw new Error(`Unknown MPR orientation '${orientation}'`);
+        }
+        this.orientation = orientation;
+        this.label = MPR_ORIENTATIONS[orientation].label;
+        this.color = MPR_ORIENTATIONS[orientation].color;
+        this.resetOrientation();
+    }
+
+    /**
+     * Return to the orthogonal plane the view started with
+     */
+    resetOrientation() {
+        const { right, up, normal } = MPR_ORIENTATIONS[this.orientation];
+        this.right = [...right];
+        this.up = [...up];
+        this.normal = [...normal];
+    }
+
+    /**
+     * @returns {boolean} Whether the plane has been tilted away from its starting orientation
+     */
+    isOblique() {
+        return dot(this.normal, MPR_ORIENTATIONS[this.orientation].normal) < 1 - 1e-9;
+    }
+
+    /**
+     * Tilt the plane about an axis through the cursor
+     * @param {Array<number>} axis - Unit rotation axis in mm
+     * @param {number} angle - Angle in radians
+     */
+    rotate(axis, angle) {
+        this.right = rotateVector(this.right, axis, angle);
+        this.up = rotateVector(this.up, axis, angle);
+        this.normal = rotateVector(this.normal, axis, angle);
+    }
+
+    /**
+     * Plane of the view through the cursor, centred on the middle of the volume and
+     * large enough to show the volume's whole cross-section
+     * @param {Array<number>} cursor - Cursor in texture coordinates
+     * @param {Object} volume - dimensions [x, y, z] in voxels and spacing [x, y, z] in mm
+     * @returns {Object} origin (texture coordinates of the pane's lower left corner), the
+     *                   right and up vectors spanning the pane in texture coordinates, the
+     *                   plane's width and height and the volume's boxSize in mm
+     */
+    getPlane(cursor, volume) {
+        const boxSize = getBoxSize(volume);
+        const width = extentAlong(this.right, boxSize);
+        const height = extentAlong(this.up, boxSize);
+
+        // Project the middle of the volume onto the plane
+        const offset = dot(cursor.map((c, i) => (c - 0.5) * boxSize[i]), this.normal);
+        const centre = this.normal.map((n, i) => 0.5 + offset * n / boxSize[i]);
+
+        const right = this.right.map((r, i) => r * width / boxSize[i]);
+        const up = this.up.map((u, i) => u * height / boxSize[i]);
+        const origin = centre.map((c, i) => c - 0.5 * right[i] - 0.5 * up[i]);
+
+        return { origin, right, up, width, height, boxSize };
+    }
+
+    /**
+     * Scale from pane coordinates to plane coordinates, see fitPlane()
+     * @param {Object} plane - Plane from getPlane()
+     * @param {number} paneWidth - Pane width in pixels
+     * @param {number} paneHeight - Pane height in pixels
+     * @returns {Array<number>} [x, y] scale, 1 along the direction the plane fills
+     */
+    getFit(plane, paneWidth, paneHeight) {
+        return fitPlane(plane.width, plane.height, paneWidth, paneHeight);
+    }
+
+    /**
+     * Convert a point in the pane to texture coordinates
+     * @param {Array<number>} point - Pane coordinates (0-1, origin at the lower left)
+     * @param {Object} plane - Plane from getPlane()
+     * @param {Array<number>} fit - Scale from getFit()
+     * @returns {Array<number>|null} Texture coordinates, or null outside the volume
+     */
+    paneToVolume(point, plane, fit) {
+        const u = (point[0] - 0.5) * fit[0] + 0.5;
+        const v = (point[1] - 0.5) * fit[1] + 0.5;
+        if (u < 0 || u > 1 || v < 0 || v > 1) {
+            return null;
+        }
+
+        const position = plane.origin.map((o, i) => o + u * plane.right[i] + v * plane.up[i]);
+        return insideVolume(position) ? position : null;
+    }
+
+    /**
+     * Position of a point of the plane in the pane
+     * @param {Array<number>} position - Texture coordinates of a point on the plane
+     * @param {Object} plane - Plane from getPlane()
+     * @param {Array<number>} fit - Scale from getFit()
+     * @returns {Array<number>} Pane coordinates (0-1, origin at the lower left)
+     */
+    volumeToPane(position, plane, fit) {
+        const offset = position.map((p, i) => (p - plane.origin[i]) * plane.boxSize[i]);
+        const u = dot(offset, this.right) / plane.width;
+        const v = dot(offset, this.up) / plane.height;
+        return [(u - 0.5) / fit[0] + 0.5, (v - 0.5) / fit[1] + 0.5];
+    }
+
+    /**
+     * Slice the cursor is on. Slices are as far apart as the voxels along the view
+     * normal, and cover the volume's extent along it.
+     * @param {Array<number>} cursor - Cursor in texture coordinates
+     * @param {Object} volume - dimensions [x, y, z] in voxels and spacing [x, y, z] in mm
+     * @returns {Object} Zero-based index and count of slices, and their extent in mm
+     */
+    getSlice(cursor, volume) {
+        const boxSize = getBoxSize(volume);
+        const extent = extentAlong(this.normal, boxSize);
+        const spacing = 1 / Math.hypot(...this.normal.map((n, i) => n / volume.spacing[i]));
+        const count = Math.max(1, Math.round(extent / spacing));
+
+        const position = dot(cursor.map((c, i) => (c - 0.5) * boxSize[i]), this.normal) + extent / 2;
+        const index = Math.max(0, Math.min(count - 1, Math.floor(position / extent * count)));
+        return { index, count, extent };
+    }
+
+    /**
+     * Move the cursor by whole slices along the view normal, snapping to slice centres
+     * @param {Array<number>} cursor - Cursor in texture coordinates, updated in place
+     * @param {number} slices - Number of slices to move, negative to go back
+     * @param {Object} volume - dimensions [x, y, z] in voxels and spacing [x, y, z] in mm
+     */
+    scroll(cursor, slices, volume) {
+        const boxSize = getBoxSize(volume);
+        const { index, count, extent } = this.getSlice(cursor, volume);
+        const target = Math.max(0, Math.min(count - 1, index + slices));
+
+        const current = dot(cursor.map((c, i) => (c - 0.5) * boxSize[i]), this.normal);
+        const distance = (target + 0.5) / count * extent - extent / 2 - current;
+        for (let i = 0; i < 3; i++) {
+            cursor[i] += this.normal[i] * distance / boxSize[i];
+        }
+    }
+
+    /**
+     * Crosshair of the pane: one line for each other view, where its plane cuts this one,
+     * with a handle near each end for tilting the planes
+     * @param {Array<number>} cursor - Cursor in texture coordinates
+     * @param {Object} plane - Plane from getPlane()
+     * @param {Array<number>} fit - Scale from getFit()
+     * @param {number} paneWidth - Pane width in pixels
+     * @param {number} paneHeight - Pane height in pixels
+     * @param {Array<MprView>} views - All MPR views, including this one
+     * @returns {Object} centre in pane coordinates and lines, each with its view,
+     *                   direction (unit vector in pixels) and two handles in pane coordinates
+     */
+    getCrosshair(cursor, plane, fit, paneWidth, paneHeight, views) {
+        const centre = this.volumeToPane(cursor, plane, fit);
+        const handleDistance = HANDLE_DISTANCE * Math.min(paneWidth, paneHeight);
+
+        const lines = views.filter(view => view !== this).map(view => {
+            // Pane pixels are square in mm, so directions carry over unchanged
+            const along = cross(this.normal, view.normal);
+            const x = dot(along, this.right);
+            const y = dot(along, this.up);
+            const length = Math.hypot(x, y) || 1;
+            const direction = [x / length, y / length];
+
+            const offset = [direction[0] * handleDistance / paneWidth, direction[1] * handleDistance / paneHeight];
+            const handles = [
+                [centre[0] + offset[0], centre[1] + offset[1]],
+                [centre[0] - offset[0], centre[1] - offset[1]]
+            ];
+            return { view, direction, handles };
+        });
+
+        return { centre, lines };
+    }
+}
+
+export class CprView extends PaneView {
+    constructor() {
+        super();
+        this.label = 'Curved';
+        this.points = [];
+        this.up = null;
+    }
+
+    /**
+     * Add a point to the end of the curve. The curve is straightened along its
+     * length and spans the volume along the normal of the pane its first point was
+     * drawn in, so a dental arch drawn on an axial slice gives a panoramic view.
+     * @param {Array<number>} position - Texture coordinates
+     * @param {Array<number>} up - Normal of the pane the point was drawn in, unit vector in mm
+     * @returns {boolean} False if the curve already has MAX_CURVE_POINTS points
+     */
+    addPoint(position, up) {
+        if (this.points.length >= MAX_CURVE_POINTS) {
+            return false;
+        }
+
+        // A repeated point would leave a segment without a direction
+        const last = this.points[this.points.length - 1];
+        if (last && last.every((p, i) => p === position[i])) {
+            return true;
+        }
+
+        if (this.points.length === 0) {
+            this.up = [...up];
+        }
+        this.points.push([...position]);
+        return true;
+    }
+
+    clear() {
+        this.points = [];
+        this.up = null;
+    }
+
+    /**
+     * Curved plane along the polyline
+     * @param {Object} volume - dimensions [x, y, z] in voxels and spacing [x, y, z] in mm
+     * @returns {Object|null} points (texture coordinates), lengths (distance of each point
+     *                        along the curve in mm), the curve's length and the plane's width
+     *                        and height in mm, up (texture coordinates spanning the height)
+     *                        and the volume's boxSize in mm; null until two points are drawn
+     */
+    getPath(volume) {
+        if (this.points.length < 2) {
+            return null;
+        }
+
+        const boxSize = getBoxSize(volume);
+        const lengths = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            const step = Math.hypot(...this.points[i].map((p, axis) => (p - this.points[i - 1][axis]) * boxSize[axis]));
+            lengths.push(lengths[i - 1] + step);
+        }
+
+        const length = lengths[lengths.length - 1];
+        const height = extentAlong(this.up, boxSize);
+        const up = this.up.map((u, i) => u * height / boxSize[i]);
+
+        return { points: this.points, lengths, length, width: length, height, up, boxSize };
+    }
+
+    /**
+     * Scale from pane coordinates to plane coordinates, see fitPlane()
+     * @param {Object} path - Curved plane from getPath()
+     * @param {number} paneWidth - Pane width in pixels
+     * @param {number} paneHeight - Pane height in pixels
+     * @returns {Array<number>} [x, y] scale, 1 along the direction the plane fills
+     */
+    getFit(path, paneWidth, paneHeight) {
+        return fitPlane(path.width, path.height, paneWidth, paneHeight);
+    }
+
+    /**
+     * Convert a point in the pane to texture coordinates
+     * @param {Array<number>} point - Pane coordinates (0-1, origin at the lower left)
+     * @param {Object} path - Curved plane from getPath()
+     * @param {Array<number>} fit - Scale from getFit()
+     * @returns {Array<number>|null} Texture coordinates, or null outside the volume
+     */
+    paneToVolume(point, path, fit) {
+        const u = (point[0] - 0.5) * fit[0] + 0.5;
+        const v = (point[1] - 0.5) * fit[1] + 0.5;
+        if (u < 0 || u > 1 || v < 0 || v > 1) {
+            return null;
+        }
+
+        const distance = u * path.length;
+        let segment = 1;
+        while (segment < path.points.length - 1 && distance > path.lengths[segment]) {
+            segment++;
+        }
+
+        const start = path.points[segment - 1];
+        const end = path.points[segment];
+        const segmentLength = path.lengths[segment] - path.lengths[segment - 1];
+        const f = segmentLength > 0 ? (distance - path.lengths[segment - 1]) / segmentLength : 0;
+
+        const position = start.map((s, i) => s + (end[i] - s) * f + (v - 0.5) * path.up[i]);
+        return insideVolume(position) ? position : null;
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Occupancy Grid
+ * Coarse grid over the volume that records the value range in each block of voxels,
+ * and which blocks hold anything visible. The ray caster steps straight over empty
+ * blocks instead of sampling them voxel by voxel.
+ */
+
+// Voxels along each side of a block
+export const OCCUPANCY_BLOCK_SIZE = 8;
+
+/**
+ * Find the smallest and largest value in each block. A block's range also covers the
+ * voxels bordering it, since sampling inside it interpolates with them.
+ * @param {TypedArray} data - Voxel values, x fastest then y then z
+ * @param {Array<number>} dimensions - Volume size in voxels [x, y, z]
+ * @param {number} [blockSize=OCCUPANCY_BLOCK_SIZE] - Voxels along each side of a block
+ * @returns {Object} size: blocks along each axis, min and max: value range per block
+ */
+export function computeBlockRanges(data, dimensions, blockSize = OCCUPANCY_BLOCK_SIZE) {
+    const [width, height, depth] = dimensions;
+    const size = dimensions.map(dimension => Math.max(1, Math.ceil(dimension / blockSize)));
+    const [sizeX, sizeY] = size;
+    const blockCount = size[0] * size[1] * size[2];
+
+    // Ranges of the voxels inside each block, in one pass over the volume
+    const innerMin = new Float32Array(blockCount).fill(Infinity);
+    const innerMax = new Float32Array(blockCount).fill(-Infinity);
+    const blockX = Int32Array.from({ length: width }, (_, x) => Math.floor(x / blockSize));
+    const voxelCount = Math.min(data.length, width * height * depth);
+
+    for (let z = 0, offset = 0; z < depth && offset < voxelCount; z++) {
+        const planeBlock = Math.floor(z / blockSize) * sizeX * sizeY;
+        for (let y = 0; y < height && offset < voxelCount; y++) {
+            const rowBlock = planeBlock + Math.floor(y / blockSize) * sizeX;
+            const rowEnd = Math.min(offset + width, voxelCount);
+            for (let x = 0; offset < rowEnd; x++, offset++) {
+                const block = rowBlock + blockX[x];
+                const value = data[offset];
+                if (value < innerMin[block]) innerMin[block] = value;
+                if (value > innerMax[block]) innerMax[block] = value;
+            }
+        }
+    }
+
+    // Widen each block by its neighbours' ranges, which covers the bordering voxels
+    const min = new Float32Array(blockCount);
+    const max = new Float32Array(blockCount);
+    for (let z = 0; z < size[2]; z++) {
+        for (let y = 0; y < sizeY; y++) {
+            for (let x = 0; x < sizeX; x++) {
+                let low = Infinity;
+                let high = -Infinity;
+                for (let nz = Math.max(0, z - 1); nz <= Math.min(size[2] - 1, z + 1); nz++) {
+                    for (let ny = Math.max(0, y - 1); ny <= Math.min(sizeY - 1, y + 1); ny++) {
+                        for (let nx = Math.max(0, x - 1); nx <= Math.min(sizeX - 1, x + 1); nx++) {
+                            const neighbour = (nz * sizeY + ny) * sizeX + nx;
+                            low = Math.min(low, innerMin[neighbour]);
+                            high = Math.max(high, innerMax[neighbour]);
+                        }
+                    }
+                }
+                const block = (z * sizeY + y) * sizeX + x;
+                min[block] = low;
+                max[block] = high;
+            }
+        }
+    }
+    return { size, min, max };
+}
+
+/**
+ * Mark the blocks whose value range holds anything visible
+ * @param {Object} ranges - Block ranges from computeBlockRanges()
+ * @param {Function} isVisible - Called with a block's smallest and largest value
+ * @returns {Uint8Array} 255 for occupied blocks, 0 for empty ones, x fastest
+ */
+export function computeOccupancy(ranges, isVisible) {
+    const occupancy = new Uint8Array(ranges.min.length);
+    for (let i = 0; i < occupancy.length; i++) {
+        // Blocks without voxels (a short data array) stay empty
+        if (ranges.min[i] <= ranges.max[i] && isVisible(ranges.min[i], ranges.max[i])) {
+            occupancy[i] = 255;
+        }
+    }
+    return occupancy;
+}
+
+/**
+ * Visibility test for a transfer function lookup table: a value range is visible if
+ * any entry the shader may read for it, filtering included, has opacity
+ * @param {Uint8Array} table - RGBA entries from TransferFunction.toLookupTable()
+ * @param {number} minValue - Value of the first entry
+ * @param {number} maxValue - Value of the last entry
+ * @returns {Function} Test taking a range's smallest and largest value
+ */
+export function createLookupTableTest(table, minValue, maxValue) {
+    const size = table.length / 4;
+
+    // Running count of entries with opacity, so any range is checked in constant time
+    const visibleBefore = new Uint32Array(size + 1);
+    for (let i = 0; i < size; i++) {
+        visibleBefore[i + 1] = visibleBefore[i] + (table[i * 4 + 3] > 0 ? 1 : 0);
+    }
+
+    const scale = (size - 1) / ((maxValue - minValue) || 1);
+    const toEntry = (value) => Math.max(0, Math.min(size - 1, (value - minValue) * scale));
+
+    return (low, high) => {
+        // One entry more either side covers filtering and 8-bit volume textures
+        const first = Math.max(0, Math.floor(toEntry(low)) - 1);
+        const last = Math.min(size - 1, Math.ceil(toEntry(high)) + 1);
+        return visibleBefore[last + 1] - visibleBefore[first] > 0;
+    };
+}
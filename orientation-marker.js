@@ -0,0 +1,72 @@
+/**
+ * Orientation Marker
+ * Small cube drawn over a corner of the 3D view, turned like the patient and with
+ * each face lettered by the side of the patient it faces.
+ */
+
+import { AXIS_LETTERS } from './patient-orientation.js';
+
+// Face colors for the patient's x (left-right), y (front-back) and z (head-foot) axes
+const FACE_COLORS = [[200, 80, 80], [80, 170, 80], [80, 110, 210]];
+
+export class OrientationMarker {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on, square
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    /**
+     * Draw the cube
+     * @param {Array<Array<number>>} axes - The patient's x, y and z axes in camera
+     *                                      space, from VolumeRenderer.getPatientAxes()
+     */
+    draw(axes) {
+        const { ctx, canvas } = this;
+        const size = Math.min(canvas.width, canvas.height);
+        const scale = size * 0.27;
+        const toCanvas = (p) => [canvas.width / 2 + p[0] * scale, canvas.height / 2 - p[1] * scale];
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // The faces turned towards the viewer, farthest first
+        const faces = [];
+        axes.forEach((axis, i) => {
+            const [a, b] = axes.filter((_, j) => j !== i);
+            for (const sign of [1, -1]) {
+                const normal = axis.map(c => c * sign);
+                if (normal[2] <= 0) continue;
+                const corners = [[1, 1], [1, -1], [-1, -1], [-1, 1]].map(([s, t]) =>
+                    normal.map((c, k) => c + s * a[k] + t * b[k]));
+                faces.push({ normal, corners, color: FACE_COLORS[i], letter: AXIS_LETTERS[i][sign > 0 ? 0 : 1] });
+            }
+        });
+        faces.sort((f, g) => f.normal[2] - g.normal[2]);
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const face of faces) {
+            // Faces turned away are darker, and so is their letter
+            const light = 0.45 + 0.55 * face.normal[2];
+            ctx.beginPath();
+            face.corners.forEach((corner, i) => {
+                const [x, y] = toCanvas(corner);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+            ctx.fillStyle = `rgb(${face.color.map(c => Math.round(c * light)).join(', ')})`;
+            ctx.fill();
+            ctx.stroke();
+
+            const [x, y] = toCanvas(face.normal);
+            ctx.font = `bold ${Math.round(size * (0.12 + 0.1 * face.normal[2]))}px sans-serif`;
+            ctx.fillStyle = `rgba(255, 255, 255, ${light})`;
+            ctx.fillText(face.letter, x, y);
+        }
+    }
+}
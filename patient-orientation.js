@@ -0,0 +1,90 @@
+/**
+ * Patient Orientation
+ * Relates the volume's axes to the patient's, in DICOM patient coordinates (LPS: x
+ * towards the patient's left, y posterior, z superior), for the standard anatomical
+ * views and the direction labels around the panes.
+ */
+
+// Letters for the positive and negative end of the patient's x, y and z axes
+export const AXIS_LETTERS = [['L', 'R'], ['P', 'A'], ['S', 'I']];
+
+// Patient axes that make a smaller cosine with a direction are left out of its label
+const LABEL_THRESHOLD = 0.3;
+
+// Standard views: the direction the camera looks in and the one shown up, in LPS.
+// Front and side views stand the patient upright; top and bottom ones put anterior up.
+export const ANATOMICAL_VIEWS = {
+    anterior: { label: 'Anterior', forward: [0, 1, 0], up: [0, 0, 1] },
+    posterior: { label: 'Posterior', forward: [0, -1, 0], up: [0, 0, 1] },
+    left: { label: 'Left', forward: [-1, 0, 0], up: [0, 0, 1] },
+    right: { label: 'Right', forward: [1, 0, 0], up: [0, 0, 1] },
+    superior: { label: 'Superior', forward: [0, 0, -1], up: [0, -1, 0] },
+    inferior: { label: 'Inferior', forward: [0, 0, 1], up: [0, -1, 0] }
+};
+
+const AXIAL_ORIENTATION = [1, 0, 0, 0, 1, 0];
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+/**
+ * Patient directions of the volume's axes. Columns run along the row cosines, rows
+ * along the column cosines and slices along their cross product, the order the
+ * slices are sorted in.
+ * @param {Array<number>|null} orientation - ImageOrientationPatient (row, then column
+ *                                           direction cosines); volumes without one
+ *                                           are taken as axial
+ * @returns {Array<Array<number>>} Unit LPS vectors of the volume's x, y and z axes
+ */
+export function getVolumeAxes(orientation) {
+    const cosines = Array.isArray(orientation) && orientation.length === 6 ? orientation : AXIAL_ORIENTATION;
+    const row = cosines.slice(0, 3);
+    const rowLength = Math.hypot(...row);
+
+    // Headers round the cosines, so square the column up with the row
+    const column = cosines.slice(3, 6).map((c, i) => c - row[i] * dot(row, cosines.slice(3, 6)) / (rowLength * rowLength || 1));
+    const columnLength = Math.hypot(...column);
+    if (!(rowLength > 1e-6 && columnLength > 1e-6)) {
+        console.warn(`Ignoring invalid ImageOrientationPatient [${orientation}], taking the volume as axial`);
+        return getVolumeAxes(null);
+    }
+
+    const x = row.map(c => c / rowLength);
+    const y = column.map(c => c / columnLength);
+    return [x, y, cross(x, y)];
+}
+
+/**
+ * @param {Array<Array<number>>} axes - Volume axes from getVolumeAxes()
+ * @param {Array<number>} direction - LPS direction
+ * @returns {Array<number>} The direction along the volume's axes
+ */
+export function patientToVolume(axes, direction) {
+    return axes.map(axis => dot(axis, direction));
+}
+
+/**
+ * @param {Array<Array<number>>} axes - Volume axes from getVolumeAxes()
+ * @param {Array<number>} direction - Direction along the volume's axes
+ * @returns {Array<number>} The LPS direction
+ */
+export function volumeToPatient(axes, direction) {
+    return [0, 1, 2].map(i => axes.reduce((sum, axis, j) => sum + axis[i] * direction[j], 0));
+}
+
+/**
+ * Label a direction with the patient sides it points to, nearest first; oblique
+ * directions get two or three letters, such as 'LA' for left and a little anterior
+ * @param {Array<number>} direction - LPS direction
+ * @returns {string} Letters from AXIS_LETTERS
+ */
+export function getDirectionLabel(direction) {
+    const length = Math.hypot(...direction) || 1;
+    return direction
+        .map((c, axis) => ({ cosine: Math.abs(c) / length, letter: AXIS_LETTERS[axis][c >= 0 ? 0 : 1] }))
+        .filter(({ cosine }) => cosine >= LABEL_THRESHOLD)
+        .sort((a, b) => b.cosine - a.cosine)
+        .map(({ letter }) => letter)
+        .join('');
+}
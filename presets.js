@@ -0,0 +1,188 @@
+/**
+ * Rendering Presets
+ * A preset bundles a window, a transfer function, a render mode and shading settings
+ * as plain JSON, so it can be saved to a file, shared and loaded back.
+ */
+
+// Written into saved files, so later formats can tell old files apart
+export const PRESET_VERSION = 1;
+
+const SHADING_KEYS = ['ambient', 'diffuse', 'specular', 'shininess', 'gradientOpacity'];
+
+// CT presets, windows in HU; the color maps follow the usual clinical ones
+export const BUILT_IN_PRESETS = [
+    {
+        name: 'Soft Tissue',
+        windowLevel: 40,
+        windowWidth: 400,
+        renderMode: 'composite',
+        shading: { enabled: true, ambient: 0.3, diffuse: 0.7, specular: 0.2, shininess: 10, gradientOpacity: 0.5 },
+        transferFunction: {
+            points: [
+                { value: -1024, color: [0, 0, 0], opacity: 0 },
+                { value: -150, color: [0.55, 0.25, 0.15], opacity: 0 },
+                { value: 40, color: [0.8, 0.4, 0.3], opacity: 0.02 },
+                { value: 180, color: [0.9, 0.15, 0.1], opacity: 0.1 },
+                { value: 400, color: [1, 0.9, 0.75], opacity: 0.4 },
+                { value: 1500, color: [1, 1, 1], opacity: 0.8 }
+            ]
+        }
+    },
+    {
+        name: 'Bone',
+        windowLevel: 400,
+        windowWidth: 1800,
+        renderMode: 'composite',
+        shading: { enabled: true, ambient: 0.2, diffuse: 0.8, specular: 0.4, shininess: 30, gradientOpacity: 0 },
+        transferFunction: {
+            points: [
+                { value: -1024, color: [0, 0, 0], opacity: 0 },
+                { value: 150, color: [0.55, 0.35, 0.2], opacity: 0 },
+                { value: 250, color: [0.9, 0.8, 0.6], opacity: 0.3 },
+                { value: 700, color: [1, 0.95, 0.85], opacity: 0.8 },
+                { value: 3071, color: [1, 1, 1], opacity: 1 }
+            ]
+        }
+    },
+    {
+        name: 'Lung',
+        windowLevel: -600,
+        windowWidth: 1500,
+        renderMode: 'composite',
+        shading: { enabled: true, ambient: 0.3, diffuse: 0.7, specular: 0.3, shininess: 20, gradientOpacity: 0.6 },
+        transferFunction: {
+            points: [
+                { value: -1024, color: [0, 0, 0], opacity: 0 },
+                { value: -950, color: [0.6, 0.3, 0.3], opacity: 0 },
+                { value: -800, color: [0.9, 0.55, 0.5], opacity: 0.02 },
+                { value: -500, color: [1, 0.75, 0.7], opacity: 0.08 },
+                { value: -300, color: [0.8, 0.4, 0.35], opacity: 0 },
+                { value: 3071, color: [0.8, 0.4, 0.35], opacity: 0 }
+            ]
+        }
+    },
+    {
+        name: 'Angio',
+        windowLevel: 150,
+        windowWidth: 600,
+        renderMode: 'mip',
+        shading: { enabled: true, ambient: 0.25, diffuse: 0.75, specular: 0.5, shininess: 40, gradientOpacity: 0 },
+        transferFunction: {
+            points: [
+                { value: -1024, color: [0, 0, 0], opacity: 0 },
+                { value: 120, color: [0.6, 0.05, 0.05], opacity: 0 },
+                { value: 200, color: [0.9, 0.1, 0.1], opacity: 0.3 },
+                { value: 450, color: [1, 0.35, 0.3], opacity: 0.6 },
+                { value: 700, color: [1, 0.95, 0.9], opacity: 0.8 },
+                { value: 3071, color: [1, 1, 1], opacity: 0.9 }
+            ]
+        }
+    },
+    {
+        name: 'Skin',
+        windowLevel: 40,
+        windowWidth: 400,
+        renderMode: 'composite',
+        shading: { enabled: true, ambient: 0.2, diffuse: 0.8, specular: 0.15, shininess: 10, gradientOpacity: 0 },
+        transferFunction: {
+            points: [
+                { value: -1024, color: [0, 0, 0], opacity: 0 },
+                { value: -500, color: [0.85, 0.6, 0.45], opacity: 0 },
+                { value: -300, color: [0.95, 0.75, 0.6], opacity: 0.8 },
+                { value: 3071, color: [1, 0.85, 0.75], opacity: 0.8 }
+            ]
+        }
+    }
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a preset's structure and return a clean copy of it. Render modes are checked
+ * by the renderer that applies the preset.
+ * @param {Object} json - Preset object, e.g. parsed from a file
+ * @returns {Object} Preset with only the known fields
+ */
+export function validatePreset(json) {
+    if (!json || typeof json !== 'object') {
+        throw new Error('Preset must be a JSON object');
+    }
+    const { name, windowLevel, windowWidth, renderMode = 'composite', shading, transferFunction } = json;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('Preset needs a name');
+    }
+    if (!isNumber(windowLevel) || !isNumber(windowWidth) || windowWidth < 1) {
+        throw new Error(`Preset '${name}' needs a window level and a window width of at least 1`);
+    }
+    if (typeof renderMode !== 'string') {
+        throw new Error(`Preset '${name}' has an invalid render mode`);
+    }
+
+    const points = transferFunction && transferFunction.points;
+    if (!Array.isArray(points) || points.length < 2) {
+        throw new Error(`Preset '${name}' needs a transfer function with at least two points`);
+    }
+    for (const point of points) {
+        if (!point || !isNumber(point.value) || !isNumber(point.opacity) ||
+            !Array.isArray(point.color) || point.color.length !== 3 || !point.color.every(isNumber)) {
+            throw new Error(`Preset '${name}' has an invalid transfer function point`);
+        }
+    }
+
+    const preset = {
+        name: name.trim(),
+        windowLevel,
+        windowWidth,
+        renderMode,
+        transferFunction: {
+            points: points.map(({ value, color, opacity }) => ({ value, color: [...color], opacity }))
+        }
+    };
+
+    // Shading is optional; whatever it leaves out keeps the renderer's current setting
+    if (shading !== undefined) {
+        if (!shading || typeof shading !== 'object') {
+            throw new Error(`Preset '${name}' has invalid shading settings`);
+        }
+        preset.shading = {};
+        if (shading.enabled !== undefined) {
+            preset.shading.enabled = Boolean(shading.enabled);
+        }
+        for (const key of SHADING_KEYS) {
+            if (shading[key] === undefined) continue;
+            if (!isNumber(shading[key]) || shading[key] < 0) {
+                throw new Error(`Preset '${name}' has an invalid shading ${key}`);
+            }
+            preset.shading[key] = shading[key];
+        }
+    }
+    return preset;
+}
+
+/**
+ * Read a preset from the text of a file
+ * @param {string} text - JSON text
+ * @returns {Object} Validated preset
+ */
+export function parsePreset(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Preset file is not valid JSON: ${error.message}`);
+    }
+    if (json && json.version > PRESET_VERSION) {
+        throw new Error(`Preset file version ${json.version} is newer than this viewer supports (${PRESET_VERSION})`);
+    }
+    return validatePreset(json);
+}
+
+/**
+ * Write a preset as the text of a file
+ * @param {Object} preset - Preset to save
+ * @returns {string} Indented JSON text
+ */
+export function serializePreset(preset) {
+    return JSON.stringify({ version: PRESET_VERSION, ...validatePreset(preset) }, null, 2);
+}
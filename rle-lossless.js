@@ -0,0 +1,111 @@
+/**
+ * RLE Lossless Decoder
+ * Decoder for the DICOM RLE Lossless transfer syntax (1.2.840.10008.1.2.5),
+ * where each byte plane of each sample is a PackBits-compressed segment (PS3.5 Annex G)
+ */
+export class RleDecoder {
+    /**
+     * Decode one RLE compressed frame
+     * @param {Uint8Array} data - Compressed frame: 64-byte RLE header followed by the segments
+     * @param {Object} image - rows, columns, bitsAllocated and samplesPerPixel of the frame
+     * @returns {Object} width, height, components, precision and pixels
+     *                   (typed by bitsAllocated; components interleaved)
+     */
+    decode(data, image) {
+        const { rows, columns, bitsAllocated } = image;
+        const samplesPerPixel = image.samplesPerPixel || 1;
+        const bytesPerSample = Math.ceil(bitsAllocated / 8);
+        const pixelCount = rows * columns;
+
+        if (data.length < 64) {
+            throw new Error('RLE frame is shorter than its 64-byte header');
+        }
+
+        const header = new DataView(data.buffer, data.byteOffset, 64);
+        const segmentCount = header.getUint32(0, true);
+        if (segmentCount !== samplesPerPixel * bytesPerSample) {
+            throw new Error(`RLE frame has ${segmentCount} segments, expected ${samplesPerPixel * bytesPerSample}`);
+        }
+
+        const offsets = [];
+        for (let i = 0; i < segmentCount; i++) {
+            offsets.push(header.getUint32(4 + i * 4, true));
+        }
+        offsets.push(data.length);
+
+        // Samples are assembled little endian; segments run from the most
+        // significant byte of the first sample to the least significant of the last
+        const bytes = new Uint8Array(pixelCount * samplesPerPixel * bytesPerSample);
+        const stride = samplesPerPixel * bytesPerSample;
+
+        for (let segment = 0; segment < segmentCount; segment++) {
+            const sample = Math.floor(segment / bytesPerSample);
+            const byteIndex = bytesPerSample - 1 - (segment % bytesPerSample);
+            const start = sample * bytesPerSample + byteIndex;
+
+            this.decodeSegment(data, offsets[segment], offsets[segment + 1], bytes, start, stride, pixelCount);
+        }
+
+        let pixels = bytes;
+        if (bytesPerSample === 2) {
+            pixels = new Uint16Array(bytes.buffer);
+        } else if (bytesPerSample === 4) {
+            pixels = new Uint32Array(bytes.buffer);
+        }
+
+        return {
+            width: columns,
+            height: rows,
+            components: samplesPerPixel,
+            precision: bitsAllocated,
+            pixels
+        };
+    }
+
+    /**
+     * Unpack one PackBits segment into every stride-th byte of the output
+     * @param {Uint8Array} data - Compressed frame
+     * @param {number} start - Offset of the segment in the frame
+     * @param {number} end - Offset of the end of the segment
+     * @param {Uint8Array} output - Output bytes
+     * @param {number} outputStart - Output index of the first byte
+     * @param {number} stride - Distance between consecutive bytes of this segment in the output
+     * @param {number} count - Number of bytes the segment should produce
+     */
+    decodeSegment(data, start, end, output, outputStart, stride, count) {
+        if (start >= end || end > data.length) {
+            throw new Error(`Invalid RLE segment bounds ${start}-${end}`);
+        }
+
+        let pos = start;
+        let written = 0;
+        let out = outputStart;
+
+        while (pos < end && written < count) {
+            const header = data[pos++];
+
+            if (header < 128) {
+                // Literal run of header + 1 bytes
+                const length = Math.min(header + 1, count - written, end - pos);
+                for (let i = 0; i < length; i++, out += stride) {
+                    output[out] = data[pos + i];
+                }
+                pos += header + 1;
+                written += length;
+            } else if (header > 128) {
+                // Replicate the next byte 257 - header times
+                const length = Math.min(257 - header, count - written);
+                const value = data[pos++];
+                for (let i = 0; i < length; i++, out += stride) {
+                    output[out] = value;
+                }
+                written += length;
+            }
+            // 128 is a no-op
+        }
+
+        if (written < count) {
+            throw new Error(`RLE segment decoded to ${written} bytes, expected ${count}`);
+        }
+    }
+}
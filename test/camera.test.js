@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Camera } from '../camera.js';
+
+const assertClose = (actual, expected, tolerance = 1e-5) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < tolerance, `${[...actual]} != ${expected}`));
+};
+
+const multiply = (a, b) => {
+    const result = [];
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[column * 4 + k];
+            result.push(sum);
+        }
+    }
+    return result;
+};
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+describe('Camera', () => {
+    it('looks down -z at the target from far enough back to see the whole sphere', () => {
+        const camera = new Camera();
+        camera.reset(100);
+        assertClose(camera.getPosition(), [0, 0, 100 * Math.sqrt(5)]);
+
+        // The sphere's top edge is just inside the pane
+        const top = camera.project([0, 100, 0], 1);
+        assert.ok(top[1] > 0.9 && top[1] < 1);
+    });
+
+    it('inverts its view-projection for both projections', () => {
+        const camera = new Camera();
+        camera.reset(50);
+        camera.rotate([0.5, 0.5], [0.7, 0.6], 1.5);
+        camera.pan([0.1, -0.05], 1.5);
+        for (const projection of ['perspective', 'orthographic']) {
+            camera.setProjection(projection);
+            const product = multiply(camera.getInverseViewProjectionMatrix(1.5), camera.getViewProjectionMatrix(1.5));
+            assertClose(product, IDENTITY, 1e-4);
+        }
+        assert.throws(() => camera.setProjection('fisheye'), /Unknown projection/);
+    });
+
+    it('casts rays that pass through the points they project to', () => {
+        const camera = new Camera();
+        camera.reset(50);
+        camera.rotate([0.2, 0.5], [0.4, 0.3], 2);
+        const position = [10, -20, 5];
+
+        for (const projection of ['perspective', 'orthographic']) {
+            camera.setProjection(projection);
+            const point = camera.project(position, 2);
+            const { origin, direction } = camera.getRay(point, 2);
+            const along = position.reduce((sum, c, i) => sum + (c - origin[i]) * direction[i], 0);
+            assertClose(origin.map((c, i) => c + direction[i] * along), position, 1e-3);
+        }
+    });
+
+    it('casts parallel rays when orthographic', () => {
+        const camera = new Camera();
+        camera.setProjection('orthographic');
+        assertClose(camera.getRay([0.1, 0.9], 1).direction, [0, 0, -1]);
+        assertClose(camera.getRay([0.8, 0.2], 1).direction, [0, 0, -1]);
+    });
+
+    it('turns with the arcball without gimbal lock', () => {
+        const camera = new Camera();
+        camera.reset(10);
+
+        // Dragging right across the middle turns the volume about the vertical axis;
+        // the camera swings round the other way
+        camera.rotate([0.5, 0.5], [0.5 + Math.SQRT1_2 / 2, 0.5], 1);
+        assertClose(camera.getAxes().forward, [Math.SQRT1_2, 0, -Math.SQRT1_2]);
+
+        // Going over the top keeps turning instead of stopping at the pole
+        const turned = new Camera();
+        for (let i = 0; i < 4; i++) {
+            turned.rotate([0.5, 0.5], [0.5, 0.5 + Math.SQRT1_2 / 2], 1);
+        }
+        assertClose(turned.getAxes().forward, [0, 0, 1]);
+        assertClose(turned.getAxes().up, [0, -1, 0]);
+    });
+
+    it('turns about its own axes', () => {
+        const camera = new Camera();
+        camera.reset(10);
+        camera.turn([0, 1, 0], Math.PI / 2);
+        assertClose(camera.getAxes().forward, [-1, 0, 0]);
+        camera.turn([0, 0, 1], Math.PI / 2);
+        assertClose(camera.getAxes().up, [0, 0, 1]);
+        assertClose(camera.getAxes().forward, [-1, 0, 0]);
+    });
+
+    it('looks along a direction with another shown up', () => {
+        const camera = new Camera();
+        camera.lookAlong([0, 2, 0], [0.3, 0, 1]);
+        const { right, up, forward } = camera.getAxes();
+        assertClose(forward, [0, 1, 0]);
+        assertClose(up, [0.3, 0, 1].map(c => c / Math.hypot(0.3, 1)));
+        assertClose(right, [1, 0, -0.3].map(c => c / Math.hypot(0.3, 1)));
+    });
+
+    it('pans with the mouse and zooms the image', () => {
+        const camera = new Camera();
+        camera.reset(10);
+        const before = camera.project([0, 0, 0], 1);
+        camera.pan([0.1, 0.2], 1);
+        assertClose(camera.project([0, 0, 0], 1), [before[0] + 0.1, before[1] + 0.2]);
+
+        camera.reset();
+        const edge = camera.project([5, 0, 0], 1)[0] - 0.5;
+        camera.zoomBy(2);
+        assertClose([camera.project([5, 0, 0], 1)[0] - 0.5], [edge * 2]);
+        camera.zoomBy(1000);
+        assert.equal(camera.zoom, 20);
+    });
+});
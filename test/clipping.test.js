@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MIN_CROP_SIZE, normalizeCropBox, moveCropFace, createClipPlane, intersectBox } from '../clipping.js';
+
+describe('normalizeCropBox', () => {
+    it('orders the corners and keeps them inside the volume', () => {
+        assert.deepEqual(normalizeCropBox([0.8, -1, 0.2], [0.1, 0.5, 2]), { min: [0.1, 0, 0.2], max: [0.8, 0.5, 1] });
+    });
+
+    it('keeps every side at least the smallest size', () => {
+        const { min, max } = normalizeCropBox([1, 0.5, 0], [1, 0.5, 0]);
+        assert.deepEqual(min, [1 - MIN_CROP_SIZE, 0.5, 0]);
+        assert.deepEqual(max, [1, 0.5 + MIN_CROP_SIZE, MIN_CROP_SIZE]);
+        assert.throws(() => normalizeCropBox([0, 0], [1, 1, 1]), /three numbers/);
+    });
+});
+
+describe('moveCropFace', () => {
+    it('moves one face and stops short of the opposite one', () => {
+        const box = { min: [0, 0, 0], max: [1, 1, 1] };
+        assert.deepEqual(moveCropFace(box, 5, -0.25), { min: [0, 0, 0], max: [1, 1, 0.75] });
+        assert.deepEqual(moveCropFace(box, 2, 5).min, [0, 1 - MIN_CROP_SIZE, 0]);
+        assert.deepEqual(moveCropFace(box, 0, -1).min, [0, 0, 0]);
+        assert.deepEqual(box.max, [1, 1, 1]);
+    });
+});
+
+describe('createClipPlane', () => {
+    it('makes the normal a unit vector', () => {
+        assert.deepEqual(createClipPlane([0, 3, 4], -2), { normal: [0, 0.6, 0.8], distance: -2 });
+        assert.throws(() => createClipPlane([0, 0, 0]), /non-zero normal/);
+        assert.throws(() => createClipPlane([1, 0, 0], NaN), /finite distance/);
+    });
+});
+
+describe('intersectBox', () => {
+    it('finds where a ray enters and leaves, and the face it enters through', () => {
+        const hit = intersectBox([0, 0, 10], [0, 0, -1], [-1, -2, -3], [1, 2, 3]);
+        assert.deepEqual(hit, { near: 7, far: 13, face: 5 });
+        assert.equal(intersectBox([5, 0, 0], [1, 0, 0], [-1, -1, -1], [1, 1, 1]), null);
+        assert.equal(intersectBox([0, 5, 0], [1, 0, 0], [-1, -1, -1], [1, 1, 1]), null);
+    });
+
+    it('reports a negative entry from inside the box', () => {
+        const hit = intersectBox([0, 0, 0], [1, 0, 0], [-1, -1, -1], [1, 1, 1]);
+        assert.equal(hit.near, -1);
+        assert.equal(hit.face, 0);
+    });
+});
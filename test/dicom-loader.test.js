@@ -0,0 +1,174 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DicomLoader } from '../dicom-loader.js';
+import { handleMessage } from '../dicom-worker.js';
+import { TRANSFER_SYNTAX } from '../dicom-parser.js';
+import { buildDicom, imagePixelElements, fileFrom } from './helpers/dicom-builder.js';
+
+/**
+ * Stand-in for a module Web Worker running dicom-worker.js. Messages go through
+ * structuredClone with their transfer lists, so buffers are detached as in a browser.
+ */
+class FakeWorker extends EventTarget {
+    constructor() {
+        super();
+        this.terminated = false;
+        this.received = [];
+    }
+
+    postMessage(data, transfer = []) {
+        const request = structuredClone(data, { transfer });
+        this.received.push(request.type);
+        setTimeout(async () => {
+            const { message, transfer: replyTransfer } = await handleMessage(request);
+            if (this.terminated) return;
+            const event = new Event('message');
+            event.data = structuredClone(message, { transfer: replyTransfer });
+            this.dispatchEvent(event);
+        }, 1);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+function createLoader(options = {}) {
+    const workers = [];
+    const loader = new DicomLoader({
+        workerCount: 2,
+        ...options,
+        createWorker: () => {
+            const worker = new FakeWorker();
+            workers.push(worker);
+            return worker;
+        }
+    });
+    return { loader, workers };
+}
+
+function sliceFile(name, z) {
+    return fileFrom(name, buildDicom({
+        elements: [
+            { tag: '0020000E', vr: 'UI', value: '1.2.3' },
+            { tag: '00200032', vr: 'DS', value: ['0', '0', String(z)] },
+            { tag: '00200037', vr: 'DS', value: ['1', '0', '0', '0', '1', '0'] },
+            ...imagePixelElements({ rows: 4, columns: 4, signed: true }),
+            { tag: '00281052', vr: 'DS', value: '-1024' },
+            { tag: '7FE00010', vr: 'OW', value: Int16Array.from({ length: 16 }, (_, i) => z * 100 + i) }
+        ]
+    }));
+}
+
+describe('DicomLoader', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+    after(() => mock.restoreAll());
+
+    it('parses files across the pool and reports each one', async () => {
+        const { loader, workers } = createLoader();
+        const files = [
+            sliceFile('a.dcm', 2),
+            fileFrom('notes.txt', new TextEncoder().encode('not an image').buffer),
+            sliceFile('b.dcm', 0),
+            sliceFile('c.dcm', 1)
+        ];
+        const progress = [];
+
+        const slices = await loader.loadFiles(files, { onProgress: (p) => progress.push(p) });
+
+        assert.deepEqual(slices.map(slice => slice.fileName), ['a.dcm', 'b.dcm', 'c.dcm']);
+        assert.equal(workers.length, 2);
+        assert.ok(workers.every(worker => worker.received.length > 0));
+
+        assert.equal(progress.length, 4);
+        assert.deepEqual(progress.map(p => p.loaded), [1, 2, 3, 4]);
+        assert.ok(progress.every(p => p.total === 4));
+        const skipped = progress.find(p => p.fileName === 'notes.txt');
+        assert.equal(skipped.status, 'skipped');
+        assert.equal(progress.filter(p => p.status === 'parsed').length, 3);
+    });
+
+    it('reports files that fail in strict mode as errors', async () => {
+        const { loader } = createLoader({ mode: 'strict' });
+        const progress = [];
+        const truncated = fileFrom('cut.dcm', (await sliceFile('cut.dcm', 0).arrayBuffer()).slice(0, -10));
+
+        const slices = await loader.loadFiles([sliceFile('ok.dcm', 0), truncated], { onProgress: (p) => progress.push(p) });
+
+        assert.equal(slices.length, 1);
+        const failed = progress.find(p => p.fileName === 'cut.dcm');
+        assert.equal(failed.status, 'error');
+        assert.match(failed.message, /beyond end of file/);
+    });
+
+    it('rejects a load whose compressed files cannot be decoded', async () => {
+        const { loader } = createLoader();
+        const file = fileFrom('j2k.dcm', buildDicom({
+            transferSyntax: '1.2.840.10008.1.2.4.90',
+            elements: [
+                ...imagePixelElements({ rows: 4, columns: 4 }),
+                { tag: '7FE00010', vr: 'OB', fragments: [new Uint8Array(16)] }
+            ]
+        }));
+
+        await assert.rejects(loader.loadFiles([file]), /No slices could be decoded/);
+    });
+
+    it('cancels a running load and stops the workers', async () => {
+        const { loader, workers } = createLoader();
+        const controller = new AbortController();
+        const files = Array.from({ length: 20 }, (_, i) => sliceFile(`${i}.dcm`, i));
+
+        const load = loader.loadFiles(files, {
+            signal: controller.signal,
+            onProgress: (p) => {
+                if (p.loaded === 3) controller.abort();
+            }
+        });
+
+        await assert.rejects(load, { name: 'AbortError' });
+        assert.ok(workers.every(worker => worker.terminated));
+        assert.equal(loader.workers.length, 0);
+
+        // The next load starts a fresh pool
+        const slices = await loader.loadFiles(files.slice(0, 2));
+        assert.equal(slices.length, 2);
+        assert.equal(workers.length, 4);
+    });
+
+    it('builds volumes in a worker and hands the slice data back', async () => {
+        const { loader } = createLoader();
+        const slices = await loader.loadFiles([sliceFile('a.dcm', 2), sliceFile('b.dcm', 0), sliceFile('c.dcm', 1)]);
+        const [series] = loader.groupSeries(slices);
+
+        const volume = await loader.buildVolume(series.slices);
+        assert.deepEqual(volume.dimensions, [4, 4, 3]);
+        assert.equal(volume.data[0], -1024);
+        assert.equal(volume.data[16 * 2], 200 - 1024);
+
+        // The slices survive the round trip and can be built again
+        assert.equal(series.slices[0].data.length, 16);
+        const again = await loader.buildVolume(series.slices);
+        assert.deepEqual(again.data, volume.data);
+    });
+
+    it('matches DicomParser.parseFiles for a transfer syntax mix', async () => {
+        const { loader } = createLoader();
+        const implicit = fileFrom('implicit.dcm', buildDicom({
+            transferSyntax: TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN,
+            elements: [
+                ...imagePixelElements({ rows: 4, columns: 4 }),
+                { tag: '7FE00010', vr: 'OW', value: Uint16Array.from({ length: 16 }, (_, i) => i) }
+            ]
+        }));
+
+        const [slice] = await loader.loadFiles([implicit]);
+        const [expected] = await loader.parser.parseFiles([implicit]);
+        assert.deepEqual(slice.data, expected.data);
+        assert.deepEqual(slice.metadata, expected.metadata);
+    });
+});
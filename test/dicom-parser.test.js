@@ -0,0 +1,392 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DicomParser, TRANSFER_SYNTAX } from '../dicom-parser.js';
+import { buildDicom, imagePixelElements, fileFrom, encodeRle, encodeJpegLossless } from './helpers/dicom-builder.js';
+
+// 16x12 12-bit image, x * 200 + y * 150 + ((x * y * 7) % 31), encoded by CharLS
+const JPEG_LS_WIDTH = 16;
+const JPEG_LS_HEIGHT = 12;
+const JPEG_LS_LOSSLESS_HEX =
+    'ffd8fff7000b0c000c001001011100ffda0008010100000000809e04f027b1ac5b12c3b0ac1b02bfafabdaf2bb86c0f4631a4af2' +
+    '589c288a823c9526ca129c8e0222208e251f64090e46bd1f44010c463cdf2ff185f2ff399d8f27c37c8475bc5eede723a9e040ba' +
+    '9e0f67e38dd2ef6b170c449371d0b66127cb64224138a85a301989a532c9008c4c2913c4c29161fc8a4b72782e9109450777d21b' +
+    'f9f486d44f767c2134b7babdb111db9549c6e747a61674e747a61674e745b61687e3124a82baf3225a92cb0132d66e81d40a3d90' +
+    '9396b4764452c5c3f265c2940c09a6ef895699bb225460e1fa71a7bfc7d0ffd9';
+// The same image with NEAR = 2
+const JPEG_LS_NEAR_HEX =
+    'ffd8fff7000b0c000c001001011100ffda000801010002000083e1f0f9796a7a6a6a6a5a6a5a5a5a48e0f1112133c7c4048e1e3e' +
+    '202270126ce9d3068d9c3060d1b385cc9a103064a962c6099a2a5cc132854b1a2c5cb992854b11264de2c5c9131024ebef912450' +
+    'abe44938f3e44fbe408baf3ed364dd7c836e3a65c79920db8eb0cb6e2efb4a0832d36b2e99463c8596d71065ea5b5cf52dae7a98' +
+    'd0f87f9c412c73c85b5c42cf4127d8e2165b5ea29af488f3c640ffd9';
+
+const hexBytes = (hex) => Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+
+const jpegLsImage = () => Uint16Array.from({ length: JPEG_LS_WIDTH * JPEG_LS_HEIGHT }, (_, i) => {
+    const x = i % JPEG_LS_WIDTH;
+    const y = Math.floor(i / JPEG_LS_WIDTH);
+    return (x * 200 + y * 150 + ((x * y * 7) % 31)) & 0xFFF;
+});
+
+// Small signed CT-like slice covering air to bone
+const ROWS = 8;
+const COLUMNS = 8;
+const ctImage = () => Int16Array.from({ length: ROWS * COLUMNS }, (_, i) => -1024 + i * 37);
+
+/**
+ * A CT slice with native pixel data in the given transfer syntax
+ */
+function ctSlice(transferSyntax, extra = []) {
+    return buildDicom({
+        transferSyntax,
+        elements: [
+            { tag: '00080060', vr: 'CS', value: 'CT' },
+            { tag: '00200013', vr: 'IS', value: '1' },
+            ...imagePixelElements({ rows: ROWS, columns: COLUMNS, signed: true }),
+            { tag: '00281050', vr: 'DS', value: ['40', '400'] },
+            { tag: '00281051', vr: 'DS', value: ['400', '1500'] },
+            { tag: '00281052', vr: 'DS', value: '-1024' },
+            { tag: '00281053', vr: 'DS', value: '1' },
+            ...extra,
+            { tag: '7FE00010', vr: 'OW', value: ctImage() }
+        ]
+    });
+}
+
+/**
+ * A slice with encapsulated pixel data
+ */
+function encapsulatedSlice(transferSyntax, image, fragments) {
+    return buildDicom({
+        transferSyntax,
+        elements: [
+            ...imagePixelElements(image),
+            { tag: '7FE00010', vr: 'OB', fragments }
+        ]
+    });
+}
+
+describe('DicomParser', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+    after(() => mock.restoreAll());
+
+    it('rejects unknown modes', () => {
+        assert.throws(() => new DicomParser({ mode: 'lenient' }), /Unknown parser mode/);
+        assert.equal(new DicomParser().mode, 'recovery');
+    });
+
+    describe('transfer syntaxes', () => {
+        for (const [name, uid] of [
+            ['Implicit VR Little Endian', TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN],
+            ['Explicit VR Little Endian', TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN],
+            ['Explicit VR Big Endian', TRANSFER_SYNTAX.EXPLICIT_VR_BIG_ENDIAN],
+            ['Deflated Explicit VR Little Endian', TRANSFER_SYNTAX.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN]
+        ]) {
+            it(`reads ${name}`, async () => {
+                const parser = new DicomParser({ mode: 'strict' });
+                const result = await parser.parseDicom(ctSlice(uid));
+
+                assert.equal(result.transferSyntaxUID, uid);
+                assert.equal(result.rows, ROWS);
+                assert.equal(result.columns, COLUMNS);
+                assert.equal(result.metadata['00080060'], 'CT');
+                assert.equal(result.rescaleIntercept, -1024);
+                assert.ok(result.pixelData instanceof Int16Array);
+                assert.deepEqual(result.pixelData, ctImage());
+            });
+        }
+
+        it('decodes RLE Lossless with signed 16-bit samples', async () => {
+            const image = ctImage();
+            const file = encapsulatedSlice(TRANSFER_SYNTAX.RLE_LOSSLESS,
+                { rows: ROWS, columns: COLUMNS, signed: true }, [encodeRle(image, 2)]);
+
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+            assert.deepEqual(result.pixelData, image);
+        });
+
+        it('decodes RLE Lossless with 8-bit samples', async () => {
+            const image = Uint8Array.from({ length: 64 }, (_, i) => (i < 20 ? 7 : i * 3));
+            const file = encapsulatedSlice(TRANSFER_SYNTAX.RLE_LOSSLESS,
+                { rows: 8, columns: 8, bitsAllocated: 8 }, [encodeRle(image, 1)]);
+
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+            assert.deepEqual(result.pixelData, image);
+        });
+
+        for (const predictor of [1, 2, 3, 4, 5, 6, 7]) {
+            it(`decodes JPEG Lossless with predictor ${predictor}`, async () => {
+                const image = Uint16Array.from({ length: 64 }, (_, i) => (i * 523 + (i % 5) * 97) & 0xFFF);
+                const uid = predictor === 1 ? TRANSFER_SYNTAX.JPEG_LOSSLESS_SV1 : TRANSFER_SYNTAX.JPEG_LOSSLESS;
+                const file = encapsulatedSlice(uid, { rows: 8, columns: 8, bitsStored: 12 },
+                    [encodeJpegLossless(image, 8, 8, 12, { predictor, restartInterval: 16 })]);
+
+                const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+                assert.deepEqual(result.pixelData, image);
+            });
+        }
+
+        it('sign-extends JPEG Lossless samples by Bits Stored', async () => {
+            const image = ctImage();
+            const stored = Uint16Array.from(image, value => value & 0xFFF);
+            const file = encapsulatedSlice(TRANSFER_SYNTAX.JPEG_LOSSLESS_SV1,
+                { rows: ROWS, columns: COLUMNS, bitsStored: 12, signed: true },
+                [encodeJpegLossless(stored, COLUMNS, ROWS, 12)]);
+
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+            assert.deepEqual(result.pixelData, image);
+        });
+
+        it('decodes lossless JPEG-LS', async () => {
+            const file = encapsulatedSlice(TRANSFER_SYNTAX.JPEG_LS_LOSSLESS,
+                { rows: JPEG_LS_HEIGHT, columns: JPEG_LS_WIDTH, bitsStored: 12 }, [hexBytes(JPEG_LS_LOSSLESS_HEX)]);
+
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+            assert.deepEqual(result.pixelData, jpegLsImage());
+        });
+
+        it('decodes near-lossless JPEG-LS within the NEAR tolerance', async () => {
+            const file = encapsulatedSlice(TRANSFER_SYNTAX.JPEG_LS_NEAR_LOSSLESS,
+                { rows: JPEG_LS_HEIGHT, columns: JPEG_LS_WIDTH, bitsStored: 12 }, [hexBytes(JPEG_LS_NEAR_HEX)]);
+
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+            const expected = jpegLsImage();
+            assert.equal(result.pixelData.length, expected.length);
+            result.pixelData.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) <= 2, `pixel ${i}`));
+        });
+
+        it('reports compressed syntaxes it cannot decode instead of scanning them', async () => {
+            const file = encapsulatedSlice('1.2.840.10008.1.2.4.90', { rows: 8, columns: 8 }, [new Uint8Array(32)]);
+
+            await assert.rejects(new DicomParser().parseFiles([fileFrom('j2k.dcm', file)]),
+                /No slices could be decoded.*1\.2\.840\.10008\.1\.2\.4\.90 is not supported/);
+        });
+    });
+
+    describe('edge cases', () => {
+        it('reads datasets without preamble or meta information', async () => {
+            for (const uid of [TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN, TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN]) {
+                const file = buildDicom({
+                    transferSyntax: uid,
+                    preamble: false,
+                    elements: [
+                        ...imagePixelElements({ rows: ROWS, columns: COLUMNS, signed: true }),
+                        { tag: '7FE00010', vr: 'OW', value: ctImage() }
+                    ]
+                });
+
+                const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+                assert.equal(result.transferSyntaxUID, uid);
+                assert.deepEqual(result.pixelData, ctImage());
+            }
+        });
+
+        it('trims padded odd-length strings and splits multi-valued numbers', async () => {
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(ctSlice(
+                TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN,
+                [{ tag: '00281054', vr: 'LO', value: 'HU' }]
+            ));
+
+            assert.deepEqual(result.metadata['00281050'], [40, 400]);
+            assert.deepEqual(result.metadata['00281051'], [400, 1500]);
+            assert.equal(result.metadata['00200013'], 1);
+            assert.equal(result.metadata['00020010'], TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN);
+        });
+
+        it('reads unsigned 16-bit and 8-bit native pixel data', async () => {
+            const parser = new DicomParser({ mode: 'strict' });
+            const words = Uint16Array.from({ length: 16 }, (_, i) => 60000 + i);
+            const bytes = Uint8Array.from({ length: 16 }, (_, i) => 240 + i);
+
+            const unsigned = await parser.parseDicom(buildDicom({
+                elements: [...imagePixelElements({ rows: 4, columns: 4 }), { tag: '7FE00010', vr: 'OW', value: words }]
+            }));
+            assert.ok(unsigned.pixelData instanceof Uint16Array);
+            assert.deepEqual(unsigned.pixelData, words);
+
+            const eightBit = await parser.parseDicom(buildDicom({
+                transferSyntax: TRANSFER_SYNTAX.EXPLICIT_VR_BIG_ENDIAN,
+                elements: [...imagePixelElements({ rows: 4, columns: 4, bitsAllocated: 8 }), { tag: '7FE00010', vr: 'OB', value: bytes }]
+            }));
+            assert.deepEqual(eightBit.pixelData, bytes);
+        });
+
+        it('walks nested sequences of defined and undefined length into the element tree', async () => {
+            const file = ctSlice(TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN, [
+                {
+                    tag: '00081140', vr: 'SQ', undefinedLength: true, items: [
+                        [{ tag: '00081155', vr: 'UI', value: '1.2.3.1' }],
+                        [{ tag: '00081155', vr: 'UI', value: '1.2.3.22' }]
+                    ]
+                },
+                {
+                    tag: '52009229', vr: 'SQ', items: [[
+                        { tag: '00209116', vr: 'SQ', undefinedLength: true, items: [[
+                            { tag: '00200037', vr: 'DS', value: ['1', '0', '0', '0', '1', '0'] }
+                        ]] }
+                    ]]
+                }
+            ]);
+
+            const result = await new DicomParser({ mode: 'strict' }).parseDicom(file);
+            assert.deepEqual(result.metadata['00081140'].map(item => item['00081155']), ['1.2.3.1', '1.2.3.22']);
+            assert.deepEqual(result.metadata['52009229'][0]['00209116'][0]['00200037'], [1, 0, 0, 0, 1, 0]);
+
+            const node = result.elements.find(element => element.tag === '52009229');
+            assert.equal(node.vr, 'SQ');
+            const [item] = node.children;
+            assert.equal(item.tag, 'FFFEE000');
+            const inner = item.children.find(element => element.tag === '00209116');
+            assert.equal(inner.vr, 'SQ');
+            assert.deepEqual(inner.children[0].children[0].value, [1, 0, 0, 0, 1, 0]);
+            assert.equal(result.elements.find(element => element.tag === '00081140').children.length, 2);
+            assert.ok(result.elements.some(element => element.tag === '7FE00010'));
+        });
+
+        it('rejects truncated files in strict mode and scans them in recovery mode', async () => {
+            const file = ctSlice(TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN).slice(0, -20);
+
+            await assert.rejects(new DicomParser({ mode: 'strict' }).parseDicom(file), /beyond end of file/);
+
+            const result = await new DicomParser().parseDicom(file);
+            const recovered = new Int16Array(result.pixelData.buffer, result.pixelData.byteOffset, result.pixelData.length);
+            assert.deepEqual(recovered, ctImage().subarray(0, ROWS * COLUMNS - 10));
+            assert.equal(result.rows * result.columns, result.pixelData.length);
+        });
+
+        it('guesses the size of images without Rows/Columns in recovery mode', async () => {
+            const image = Uint16Array.from({ length: 256 }, (_, i) => 300 + i);
+            const file = buildDicom({
+                elements: [
+                    { tag: '00280100', vr: 'US', value: 16 },
+                    { tag: '7FE00010', vr: 'OW', value: image }
+                ]
+            });
+
+            await assert.rejects(new DicomParser({ mode: 'strict' }).parseDicom(file), /no Rows\/Columns/);
+
+            const result = await new DicomParser().parseDicom(file);
+            assert.equal(result.rows, 16);
+            assert.equal(result.columns, 16);
+            assert.deepEqual(result.pixelData, image);
+        });
+
+        it('pads short pixel data in recovery mode and rejects it in strict mode', async () => {
+            const file = buildDicom({
+                elements: [
+                    ...imagePixelElements({ rows: 16, columns: 16 }),
+                    { tag: '7FE00010', vr: 'OW', value: Uint16Array.from({ length: 200 }, (_, i) => i + 1) }
+                ]
+            });
+
+            await assert.rejects(new DicomParser({ mode: 'strict' }).parseFiles([fileFrom('short.dcm', file)]),
+                /^Error: No valid DICOM files found with pixel data$/);
+
+            const [slice] = await new DicomParser().parseFiles([fileFrom('short.dcm', file)]);
+            assert.equal(slice.data.length, 256);
+            assert.equal(slice.data[199], 200);
+            assert.equal(slice.data[200], 0);
+        });
+
+        it('reads files with no DICOM structure as raw images only in recovery mode', async () => {
+            const raw = Uint8Array.from({ length: 256 * 256 }, (_, i) => i >> 8).buffer;
+
+            await assert.rejects(new DicomParser({ mode: 'strict' }).parseFiles([fileFrom('raw.bin', raw)]));
+
+            const [slice] = await new DicomParser().parseFiles([fileFrom('raw.bin', raw)]);
+            assert.equal(slice.rows, 256);
+            assert.equal(slice.columns, 256);
+            assert.equal(slice.data[256 * 100], 100);
+        });
+
+        it('splits multi-frame objects using their functional groups', async () => {
+            const frames = 3;
+            const pixels = Int16Array.from({ length: frames * 16 }, (_, i) => i);
+            const file = buildDicom({
+                elements: [
+                    { tag: '0020000E', vr: 'UI', value: '1.2.3.4' },
+                    { tag: '00280008', vr: 'IS', value: String(frames) },
+                    ...imagePixelElements({ rows: 4, columns: 4, signed: true }),
+                    {
+                        tag: '52009229', vr: 'SQ', items: [[
+                            { tag: '00209116', vr: 'SQ', items: [[{ tag: '00200037', vr: 'DS', value: ['1', '0', '0', '0', '1', '0'] }]] },
+                            { tag: '00289110', vr: 'SQ', items: [[{ tag: '00280030', vr: 'DS', value: ['0.5', '0.75'] }]] },
+                            { tag: '00289145', vr: 'SQ', items: [[
+                                { tag: '00281052', vr: 'DS', value: '-1000' },
+                                { tag: '00281053', vr: 'DS', value: '2' }
+                            ]] }
+                        ]]
+                    },
+                    {
+                        tag: '52009230', vr: 'SQ', items: [0, 1, 2].map(frame => [
+                            { tag: '00209113', vr: 'SQ', items: [[{ tag: '00200032', vr: 'DS', value: ['0', '0', String(frame * 2.5)] }]] }
+                        ])
+                    },
+                    { tag: '7FE00010', vr: 'OW', value: pixels }
+                ]
+            });
+
+            const parser = new DicomParser({ mode: 'strict' });
+            const slices = await parser.parseFiles([fileFrom('enhanced.dcm', file)]);
+            assert.equal(slices.length, frames);
+            assert.equal(slices[2].fileName, 'enhanced.dcm [frame 3]');
+            assert.deepEqual(slices[1].metadata['00200032'], [0, 0, 2.5]);
+            assert.deepEqual(slices[1].data, pixels.subarray(16, 32));
+
+            const volume = parser.buildVolume(slices);
+            assert.deepEqual(volume.dimensions, [4, 4, 3]);
+            assert.deepEqual(volume.spacing, [0.75, 0.5, 2.5]);
+            assert.equal(volume.minValue, -1000);
+            assert.equal(volume.maxValue, -1000 + 2 * 47);
+        });
+
+        it('streams slices into a 16-bit volume and switches to float when HU overflow it', () => {
+            const parser = new DicomParser();
+            const slice = (values, rescaleSlope = 1) => ({
+                data: Uint16Array.from(values),
+                metadata: {},
+                rows: 2,
+                columns: 2,
+                instanceNumber: values[0],
+                rescaleSlope,
+                rescaleIntercept: -1024
+            });
+
+            const int16 = parser.buildVolume([slice([1, 2, 3, 4]), slice([5, 6, 7, 4000])]);
+            assert.ok(int16.data instanceof Int16Array);
+            assert.equal(int16.minValue, -1023);
+            assert.equal(int16.maxValue, 4000 - 1024);
+
+            const overflow = parser.buildVolume([slice([1, 2, 3, 4]), slice([5, 6, 7, 65000])]);
+            assert.ok(overflow.data instanceof Float32Array);
+            assert.deepEqual(Array.from(overflow.data), [1, 2, 3, 4, 5, 6, 7, 65000].map(v => v - 1024));
+            assert.equal(overflow.maxValue, 65000 - 1024);
+
+            const fractional = parser.buildVolume([slice([1, 2, 3, 4], 0.5)]);
+            assert.ok(fractional.data instanceof Float32Array);
+            assert.equal(fractional.minValue, -1023.5);
+        });
+
+        it('groups files into series and orders slices by position', async () => {
+            const slice = (series, z, instance) => fileFrom(`${series}-${instance}.dcm`, ctSlice(TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN, [
+                { tag: '0020000E', vr: 'UI', value: series },
+                { tag: '00200011', vr: 'IS', value: series.slice(-1) },
+                { tag: '00200032', vr: 'DS', value: ['0', '0', String(z)] },
+                { tag: '00200037', vr: 'DS', value: ['1', '0', '0', '0', '1', '0'] }
+            ]));
+
+            const parser = new DicomParser();
+            const slices = await parser.parseFiles([slice('1.2.1', 5, 1), slice('1.2.2', 0, 1), slice('1.2.1', 0, 2), slice('1.2.1', 10, 3)]);
+            const series = parser.groupSeries(slices);
+            assert.deepEqual(series.map(s => s.slices.length), [3, 1]);
+
+            const volume = parser.buildVolume(series[0].slices);
+            assert.equal(volume.spacing[2], 5);
+            assert.deepEqual(volume.origin, [0, 0, 0]);
+            assert.deepEqual(volume.warnings, []);
+        });
+    });
+});
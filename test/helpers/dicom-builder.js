@@ -0,0 +1,360 @@
+/**
+ * Builders for small synthetic DICOM files used as test fixtures
+ */
+
+import { deflateRawSync } from 'node:zlib';
+import { TRANSFER_SYNTAX } from '../../dicom-parser.js';
+
+const LONG_LENGTH_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+const UNDEFINED_LENGTH = 0xFFFFFFFF;
+
+/**
+ * Growable byte buffer with endian-aware integer writers
+ */
+class ByteWriter {
+    constructor(littleEndian = true) {
+        this.littleEndian = littleEndian;
+        this.chunks = [];
+        this.length = 0;
+    }
+
+    bytes(array) {
+        this.chunks.push(array);
+        this.length += array.length;
+        return this;
+    }
+
+    uint16(value) {
+        const bytes = new Uint8Array(2);
+        new DataView(bytes.buffer).setUint16(0, value, this.littleEndian);
+        return this.bytes(bytes);
+    }
+
+    uint32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value, this.littleEndian);
+        return this.bytes(bytes);
+    }
+
+    toUint8Array() {
+        const result = new Uint8Array(this.length);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+}
+
+/**
+ * Encode an element value as bytes
+ * @param {string} vr - Value Representation
+ * @param {*} value - String, number, array of numbers/strings, typed array or bytes
+ * @param {boolean} littleEndian - Byte order of the dataset
+ * @returns {Uint8Array} Value padded to an even length
+ */
+function encodeValue(vr, value, littleEndian) {
+    let bytes;
+
+    if (value instanceof Uint8Array) {
+        bytes = value;
+    } else if (ArrayBuffer.isView(value)) {
+        // Typed arrays are written sample by sample in the dataset byte order
+        const size = value.BYTES_PER_ELEMENT;
+        bytes = new Uint8Array(value.length * size);
+        const view = new DataView(bytes.buffer);
+        value.forEach((sample, i) => {
+            if (size === 2) view.setUint16(i * 2, sample & 0xFFFF, littleEndian);
+            else if (size === 4) view.setUint32(i * 4, sample >>> 0, littleEndian);
+            else view.setUint8(i, sample);
+        });
+    } else if (['US', 'SS', 'UL', 'SL', 'FL', 'FD'].includes(vr)) {
+        const values = Array.isArray(value) ? value : [value];
+        const size = { US: 2, SS: 2, UL: 4, SL: 4, FL: 4, FD: 8 }[vr];
+        bytes = new Uint8Array(values.length * size);
+        const view = new DataView(bytes.buffer);
+        values.forEach((v, i) => {
+            switch (vr) {
+                case 'US': view.setUint16(i * 2, v, littleEndian); break;
+                case 'SS': view.setInt16(i * 2, v, littleEndian); break;
+                case 'UL': view.setUint32(i * 4, v, littleEndian); break;
+                case 'SL': view.setInt32(i * 4, v, littleEndian); break;
+                case 'FL': view.setFloat32(i * 4, v, littleEndian); break;
+                case 'FD': view.setFloat64(i * 8, v, littleEndian); break;
+            }
+        });
+    } else {
+        const text = Array.isArray(value) ? value.join('\\') : String(value);
+        bytes = new TextEncoder().encode(text);
+    }
+
+    if (bytes.length % 2 === 1) {
+        const padded = new Uint8Array(bytes.length + 1);
+        padded.set(bytes);
+        padded[bytes.length] = vr === 'UI' || vr === 'OB' ? 0 : (typeof value === 'string' || Array.isArray(value) ? 0x20 : 0);
+        bytes = padded;
+    }
+    return bytes;
+}
+
+/**
+ * Write one element, recursing into sequence items and pixel data fragments
+ * @param {ByteWriter} writer - Output
+ * @param {Object} spec - { tag, vr, value } or { tag, vr: 'SQ', items, undefinedLength }
+ *                        or { tag: '7FE00010', vr: 'OB', fragments, offsets }
+ * @param {Object} syntax - { littleEndian, explicitVR }
+ */
+function writeElement(writer, spec, syntax) {
+    const group = parseInt(spec.tag.slice(0, 4), 16);
+    const element = parseInt(spec.tag.slice(4), 16);
+
+    let body;
+    let undefinedLength = false;
+
+    if (spec.items) {
+        const items = new ByteWriter(syntax.littleEndian);
+        for (const item of spec.items) {
+            const content = new ByteWriter(syntax.littleEndian);
+            for (const child of item) {
+                writeElement(content, child, syntax);
+            }
+            items.uint16(0xFFFE).uint16(0xE000);
+            if (spec.undefinedLength) {
+                items.uint32(UNDEFINED_LENGTH).bytes(content.toUint8Array());
+                items.uint16(0xFFFE).uint16(0xE00D).uint32(0);
+            } else {
+                items.uint32(content.length).bytes(content.toUint8Array());
+            }
+        }
+        if (spec.undefinedLength) {
+            items.uint16(0xFFFE).uint16(0xE0DD).uint32(0);
+        }
+        body = items.toUint8Array();
+        undefinedLength = spec.undefinedLength;
+    } else if (spec.fragments) {
+        // Encapsulated pixel data items are always little endian
+        const items = new ByteWriter(true);
+        const offsets = spec.offsets || [];
+        items.uint16(0xFFFE).uint16(0xE000).uint32(offsets.length * 4);
+        offsets.forEach(offset => items.uint32(offset));
+        for (const fragment of spec.fragments) {
+            const bytes = encodeValue('OB', fragment, true);
+            items.uint16(0xFFFE).uint16(0xE000).uint32(bytes.length).bytes(bytes);
+        }
+        items.uint16(0xFFFE).uint16(0xE0DD).uint32(0);
+        body = items.toUint8Array();
+        undefinedLength = true;
+    } else {
+        body = encodeValue(spec.vr, spec.value, syntax.littleEndian);
+    }
+
+    writer.uint16(group).uint16(element);
+    const length = undefinedLength ? UNDEFINED_LENGTH : body.length;
+
+    if (!syntax.explicitVR) {
+        writer.uint32(length);
+    } else {
+        writer.bytes(new TextEncoder().encode(spec.vr));
+        if (LONG_LENGTH_VRS.includes(spec.vr)) {
+            writer.uint16(0).uint32(length);
+        } else {
+            writer.uint16(length);
+        }
+    }
+    writer.bytes(body);
+}
+
+/**
+ * Build a DICOM file
+ * @param {Object} options
+ * @param {Array<Object>} options.elements - Dataset elements in tag order
+ * @param {string} [options.transferSyntax] - Transfer Syntax UID, Explicit VR Little Endian by default
+ * @param {boolean} [options.preamble=true] - Write the preamble, 'DICM' and File Meta Information
+ * @returns {ArrayBuffer} File contents
+ */
+export function buildDicom({ elements, transferSyntax = TRANSFER_SYNTAX.EXPLICIT_VR_LITTLE_ENDIAN, preamble = true }) {
+    const syntax = {
+        littleEndian: transferSyntax !== TRANSFER_SYNTAX.EXPLICIT_VR_BIG_ENDIAN,
+        explicitVR: transferSyntax !== TRANSFER_SYNTAX.IMPLICIT_VR_LITTLE_ENDIAN
+    };
+
+    const dataset = new ByteWriter(syntax.littleEndian);
+    for (const spec of elements) {
+        writeElement(dataset, spec, syntax);
+    }
+    let datasetBytes = dataset.toUint8Array();
+    if (transferSyntax === TRANSFER_SYNTAX.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN) {
+        datasetBytes = new Uint8Array(deflateRawSync(datasetBytes));
+    }
+
+    const file = new ByteWriter(true);
+    if (preamble) {
+        const metaSyntax = { littleEndian: true, explicitVR: true };
+        const meta = new ByteWriter(true);
+        writeElement(meta, { tag: '00020010', vr: 'UI', value: transferSyntax }, metaSyntax);
+        file.bytes(new Uint8Array(128)).bytes(new TextEncoder().encode('DICM'));
+        writeElement(file, { tag: '00020000', vr: 'UL', value: meta.length }, metaSyntax);
+        file.bytes(meta.toUint8Array());
+    }
+    file.bytes(datasetBytes);
+
+    return file.toUint8Array().buffer;
+}
+
+/**
+ * Elements of the Image Pixel module for a single-sample image
+ * @param {Object} image - rows, columns, bitsAllocated, bitsStored, signed
+ * @returns {Array<Object>} Element specs
+ */
+export function imagePixelElements({ rows, columns, bitsAllocated = 16, bitsStored = bitsAllocated, signed = false }) {
+    return [
+        { tag: '00280002', vr: 'US', value: 1 },
+        { tag: '00280004', vr: 'CS', value: 'MONOCHROME2' },
+        { tag: '00280010', vr: 'US', value: rows },
+        { tag: '00280011', vr: 'US', value: columns },
+        { tag: '00280100', vr: 'US', value: bitsAllocated },
+        { tag: '00280101', vr: 'US', value: bitsStored },
+        { tag: '00280102', vr: 'US', value: bitsStored - 1 },
+        { tag: '00280103', vr: 'US', value: signed ? 1 : 0 }
+    ];
+}
+
+/**
+ * Wrap an ArrayBuffer in the part of the File interface the parser uses.
+ * Like File.arrayBuffer(), every call returns a new copy of the contents.
+ * @param {string} name - File name
+ * @param {ArrayBuffer} arrayBuffer - Contents
+ * @returns {Object} File-like object
+ */
+export function fileFrom(name, arrayBuffer) {
+    return { name, arrayBuffer: async () => arrayBuffer.slice(0) };
+}
+
+/**
+ * Compress one frame as DICOM RLE (one segment per byte plane, PackBits)
+ * @param {TypedArray} samples - Frame samples
+ * @param {number} bytesPerSample - 1 or 2
+ * @returns {Uint8Array} RLE frame with its 64-byte header
+ */
+export function encodeRle(samples, bytesPerSample) {
+    const segments = [];
+    for (let plane = bytesPerSample - 1; plane >= 0; plane--) {
+        const bytes = Array.from(samples, sample => (sample >> (plane * 8)) & 0xFF);
+        const packed = [];
+        let i = 0;
+        while (i < bytes.length) {
+            let run = 1;
+            while (i + run < bytes.length && run < 128 && bytes[i + run] === bytes[i]) run++;
+            if (run > 1) {
+                packed.push(257 - run, bytes[i]);
+                i += run;
+            } else {
+                let literal = 1;
+                while (i + literal < bytes.length && literal < 128 && bytes[i + literal] !== bytes[i + literal - 1]) literal++;
+                packed.push(literal - 1, ...bytes.slice(i, i + literal));
+                i += literal;
+            }
+        }
+        if (packed.length % 2 === 1) packed.push(128);
+        segments.push(Uint8Array.from(packed));
+    }
+
+    const header = new Uint8Array(64);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, segments.length, true);
+    let offset = 64;
+    segments.forEach((segment, i) => {
+        view.setUint32(4 + i * 4, offset, true);
+        offset += segment.length;
+    });
+
+    const writer = new ByteWriter(true).bytes(header);
+    segments.forEach(segment => writer.bytes(segment));
+    return writer.toUint8Array();
+}
+
+/**
+ * Compress a single-component image as lossless JPEG (T.81 Process 14).
+ * Every difference category gets a 5-bit Huffman code equal to its number.
+ * @param {ArrayLike<number>} samples - Unsigned samples of the given precision
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} precision - Sample precision in bits
+ * @param {Object} [options] - predictor (1-7) and restartInterval in MCUs (whole lines)
+ * @returns {Uint8Array} JPEG bitstream
+ */
+export function encodeJpegLossless(samples, width, height, precision, { predictor = 1, restartInterval = 0 } = {}) {
+    const out = [];
+    const marker = (code) => out.push(0xFF, code);
+    const word = (value) => out.push((value >> 8) & 0xFF, value & 0xFF);
+
+    marker(0xD8);
+    marker(0xC3); word(11); out.push(precision); word(height); word(width); out.push(1, 1, 0x11, 0);
+    marker(0xC4); word(2 + 17 + 17); out.push(0x00, 0, 0, 0, 0, 17, ...new Array(11).fill(0));
+    for (let category = 0; category <= 16; category++) out.push(category);
+    if (restartInterval) {
+        marker(0xDD); word(4); word(restartInterval);
+    }
+    marker(0xDA); word(8); out.push(1, 1, 0x00, predictor, 0, 0);
+
+    let accumulator = 0;
+    let bitCount = 0;
+    const put = (value, bits) => {
+        for (let i = bits - 1; i >= 0; i--) {
+            accumulator = (accumulator << 1) | ((value >> i) & 1);
+            if (++bitCount === 8) {
+                out.push(accumulator);
+                if (accumulator === 0xFF) out.push(0x00);
+                accumulator = 0;
+                bitCount = 0;
+            }
+        }
+    };
+    const flush = () => {
+        if (bitCount > 0) put((1 << (8 - bitCount)) - 1, 8 - bitCount);
+    };
+
+    let intervalStartRow = 0;
+    let restartCount = 0;
+    for (let y = 0; y < height; y++) {
+        if (restartInterval && y > 0 && (y * width) % restartInterval === 0) {
+            flush();
+            marker(0xD0 + (restartCount++ % 8));
+            intervalStartRow = y;
+        }
+        const firstRow = y === intervalStartRow;
+
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            let prediction;
+            if (x === 0) {
+                prediction = firstRow ? 1 << (precision - 1) : samples[index - width];
+            } else if (firstRow) {
+                prediction = samples[index - 1];
+            } else {
+                const ra = samples[index - 1];
+                const rb = samples[index - width];
+                const rc = samples[index - width - 1];
+                prediction = [0, ra, rb, rc, ra + rb - rc, ra + ((rb - rc) >> 1), rb + ((ra - rc) >> 1), (ra + rb) >> 1][predictor];
+            }
+
+            let difference = (samples[index] - prediction) & 0xFFFF;
+            if (difference >= 32768) difference -= 65536;
+
+            if (difference === 0) {
+                put(0, 5);
+            } else if (difference === -32768) {
+                put(16, 5);
+            } else {
+                const category = 32 - Math.clz32(Math.abs(difference));
+                put(category, 5);
+                put(difference > 0 ? difference : difference + (1 << category) - 1, category);
+            }
+        }
+    }
+    flush();
+    marker(0xD9);
+
+    return Uint8Array.from(out);
+}
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_SHORTCUTS, SHORTCUT_ACTIONS, KeyboardShortcuts, eventToCombo } from '../keyboard-shortcuts.js';
+
+describe('eventToCombo', () => {
+    it('writes modifiers before the key and leaves Shift to printable characters', () => {
+        assert.equal(eventToCombo({ key: 'ArrowUp', ctrlKey: true, shiftKey: true }), 'Ctrl+Shift+ArrowUp');
+        assert.equal(eventToCombo({ key: '+', shiftKey: true }), '+');
+        assert.equal(eventToCombo({ key: 'M', shiftKey: true }), 'm');
+        assert.equal(eventToCombo({ key: 'x', metaKey: true, altKey: true }), 'Ctrl+Alt+x');
+        assert.equal(eventToCombo({ key: 'Shift', shiftKey: true }), null);
+    });
+});
+
+describe('KeyboardShortcuts', () => {
+    it('binds every default to a known action', () => {
+        const shortcuts = new KeyboardShortcuts();
+        Object.values(DEFAULT_SHORTCUTS).forEach(action => assert.ok(action in SHORTCUT_ACTIONS));
+        assert.equal(shortcuts.getAction({ key: 'ArrowLeft' }), 'rotateLeft');
+        assert.equal(shortcuts.getAction({ key: 'ArrowLeft', shiftKey: true }), 'rollLeft');
+        assert.equal(shortcuts.getAction({ key: 'q' }), null);
+    });
+
+    it('rebinds an action and round-trips through JSON', () => {
+        const shortcuts = new KeyboardShortcuts();
+        shortcuts.unbind('zoomIn');
+        shortcuts.bind('z', 'zoomIn');
+        assert.deepEqual(shortcuts.getBindings('zoomIn'), ['z']);
+        assert.equal(shortcuts.getAction({ key: '+' }), null);
+
+        const restored = new KeyboardShortcuts(JSON.parse(JSON.stringify(shortcuts)));
+        assert.equal(restored.getAction({ key: 'Z', shiftKey: true }), 'zoomIn');
+    });
+
+    it('rejects unknown actions and keeps its bindings', () => {
+        const shortcuts = new KeyboardShortcuts();
+        assert.throws(() => shortcuts.bind('k', 'launch'), /Unknown shortcut action/);
+        assert.throws(() => shortcuts.fromJSON({ 'k': 'zoomIn', 'j': 'launch' }), /Unknown shortcut action/);
+        assert.equal(shortcuts.getAction({ key: 'k' }), null);
+        assert.equal(shortcuts.getAction({ key: 'Home' }), 'resetView');
+    });
+});
@@ -0,0 +1,237 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    MprView, CprView, MPR_ORIENTATIONS, MAX_CURVE_POINTS, MAX_SLAB_SAMPLES,
+    getSlabSampleCount, tiltPlanes
+} from '../mpr-view.js';
+
+// 4 x 3 x 8 mm
+const VOLUME = { dimensions: [8, 6, 4], spacing: [0.5, 0.5, 2] };
+
+const assertClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`));
+};
+
+const createViews = () => Object.keys(MPR_ORIENTATIONS).map(orientation => new MprView(orientation));
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('MprView', () => {
+    it('rejects unknown orientations', () => {
+        assert.throws(() => new MprView('oblique'), /Unknown MPR orientation/);
+    });
+
+    it('spans each pane with the two volume axes it shows', () => {
+        const cursor = [0.25, 0.5, 0.75];
+
+        const axial = new MprView('axial').getPlane(cursor, VOLUME);
+        assertClose(axial.origin, [0, 1, 0.75]);
+        assertClose(axial.right, [1, 0, 0]);
+        assertClose(axial.up, [0, -1, 0]);
+        assert.deepEqual([axial.width, axial.height], [4, 3]);
+
+        const coronal = new MprView('coronal').getPlane(cursor, VOLUME);
+        assertClose(coronal.origin, [0, 0.5, 0]);
+        assertClose(coronal.right, [1, 0, 0]);
+        assertClose(coronal.up, [0, 0, 1]);
+
+        const sagittal = new MprView('sagittal').getPlane(cursor, VOLUME);
+        assertClose(sagittal.origin, [0.25, 0, 0]);
+        assertClose(sagittal.right, [0, 1, 0]);
+        assertClose(sagittal.up, [0, 0, 1]);
+    });
+
+    it('letterboxes planes by their size in millimetres', () => {
+        const cursor = [0.5, 0.5, 0.5];
+        // Axial plane is 4 x 3 mm: in a square pane it fills the width
+        const axial = new MprView('axial');
+        assertClose(axial.getFit(axial.getPlane(cursor, VOLUME), 100, 100), [1, 4 / 3]);
+        // Coronal plane is 4 x 8 mm: in a square pane it fills the height
+        const coronal = new MprView('coronal');
+        assertClose(coronal.getFit(coronal.getPlane(cursor, VOLUME), 100, 100), [2, 1]);
+    });
+
+    it('maps pane points to the volume and back', () => {
+        const cursor = [0.5, 0.5, 0.5];
+        const views = createViews();
+        tiltPlanes(views, views[0], 0.3);
+        tiltPlanes(views, views[1], -0.2);
+
+        for (const view of views) {
+            const plane = view.getPlane(cursor, VOLUME);
+            const fit = view.getFit(plane, 300, 200);
+
+            const position = view.paneToVolume([0.45, 0.5], plane, fit);
+            assert.ok(position, view.orientation);
+            assertClose(view.volumeToPane(position, plane, fit), [0.45, 0.5]);
+            assertClose(view.volumeToPane(cursor, plane, fit), [0.5, 0.5]);
+        }
+
+        // Letterbox bars are outside the volume
+        const coronal = new MprView('coronal');
+        const plane = coronal.getPlane(cursor, VOLUME);
+        assert.equal(coronal.paneToVolume([0.1, 0.5], plane, coronal.getFit(plane, 100, 100)), null);
+    });
+
+    it('shows the first row of axial slices at the top', () => {
+        const axial = new MprView('axial');
+        const plane = axial.getPlane([0.5, 0.5, 0.5], VOLUME);
+        assertClose(axial.paneToVolume([0, 1], plane, [1, 1]), [0, 0, 0.5]);
+    });
+
+    it('fits tilted planes around the whole cross-section', () => {
+        const views = createViews();
+        const [axial, coronal] = views;
+        tiltPlanes(views, axial, Math.PI / 4);
+        assert.ok(coronal.isOblique());
+        assert.ok(!axial.isOblique());
+
+        // The plane runs diagonally across the 4 x 3 mm axial section
+        const plane = coronal.getPlane([0.5, 0.5, 0.5], VOLUME);
+        assert.ok(Math.abs(plane.width - 7 / Math.SQRT2) < 1e-9);
+
+        // Its corners lie outside the volume
+        const fit = coronal.getFit(plane, 100, 100);
+        assert.equal(coronal.paneToVolume([0.5 - 0.5 / fit[0], 0.5], plane, fit), null);
+        assert.ok(coronal.paneToVolume([0.5, 0.5], plane, fit));
+    });
+
+    it('scrolls by whole slices and stops at the ends', () => {
+        const view = new MprView('axial');
+        const cursor = [0.5, 0.5, 0.3];
+        assert.deepEqual(view.getSlice(cursor, VOLUME), { index: 1, count: 4, extent: 8 });
+
+        view.scroll(cursor, 1, VOLUME);
+        assert.equal(cursor[2], 2.5 / 4);
+        view.scroll(cursor, 10, VOLUME);
+        assert.equal(cursor[2], 3.5 / 4);
+        view.scroll(cursor, -10, VOLUME);
+        assert.equal(cursor[2], 0.5 / 4);
+        assert.deepEqual(cursor.slice(0, 2), [0.5, 0.5]);
+    });
+
+    it('scrolls tilted planes along their normal', () => {
+        const views = createViews();
+        const [axial, , sagittal] = views;
+        tiltPlanes(views, axial, Math.PI / 6);
+
+        const cursor = [0.5, 0.5, 0.5];
+        const boxSize = VOLUME.dimensions.map((size, i) => size * VOLUME.spacing[i]);
+        const before = sagittal.getSlice(cursor, VOLUME);
+        const start = [...cursor];
+
+        sagittal.scroll(cursor, 1, VOLUME);
+        assert.equal(sagittal.getSlice(cursor, VOLUME).index, before.index + 1);
+
+        // The cursor moved along the normal only, by one slice
+        const moved = cursor.map((c, i) => (c - start[i]) * boxSize[i]);
+        const along = dot(moved, sagittal.normal);
+        assertClose(moved, sagittal.normal.map(n => n * along));
+        assert.ok(along > 0 && along <= before.extent / before.count * 1.5);
+    });
+
+    it('adjusts its own window from drags', () => {
+        const view = new MprView('sagittal');
+        view.adjustWindow(50, -10);
+        assert.equal(view.windowWidth, 500);
+        assert.equal(view.windowLevel, 20);
+        view.adjustWindow(-1000, 0);
+        assert.equal(view.windowWidth, 1);
+    });
+
+    it('draws a crosshair line for each other plane, with handles along it', () => {
+        const views = createViews();
+        const [axial, coronal, sagittal] = views;
+        const cursor = [0.25, 0.5, 0.5];
+        const plane = axial.getPlane(cursor, VOLUME);
+        const fit = axial.getFit(plane, 400, 300);
+
+        const { centre, lines } = axial.getCrosshair(cursor, plane, fit, 400, 300, views);
+        assertClose(centre, [0.25, 0.5]);
+        assert.deepEqual(lines.map(line => line.view), [coronal, sagittal]);
+        // Coronal planes cut axial ones along rows, sagittal planes along columns
+        assertClose(lines[0].direction.map(Math.abs), [1, 0]);
+        assertClose(lines[1].direction.map(Math.abs), [0, 1]);
+        assertClose(lines[0].handles.map(handle => Math.abs(handle[0] - centre[0]) * 400), [90, 90]);
+    });
+});
+
+describe('tiltPlanes', () => {
+    it('turns the other planes with the dragged crosshair and keeps them perpendicular', () => {
+        const views = createViews();
+        const [axial, coronal, sagittal] = views;
+        const cursor = [0.5, 0.5, 0.5];
+
+        const lineAngle = (view) => {
+            const plane = axial.getPlane(cursor, VOLUME);
+            const { lines } = axial.getCrosshair(cursor, plane, axial.getFit(plane, 100, 100), 100, 100, views);
+            const { direction } = lines.find(line => line.view === view);
+            return Math.atan2(direction[1], direction[0]);
+        };
+
+        const before = lineAngle(coronal);
+        tiltPlanes(views, axial, 0.4);
+        const turned = lineAngle(coronal) - before;
+        assertClose([Math.atan2(Math.sin(turned), Math.cos(turned))], [0.4]);
+
+        // The axial plane does not move
+        assert.deepEqual(axial.normal, MPR_ORIENTATIONS.axial.normal);
+        for (const [a, b] of [[axial, coronal], [axial, sagittal], [coronal, sagittal]]) {
+            assertClose([dot(a.normal, b.normal)], [0]);
+        }
+
+        coronal.resetOrientation();
+        assert.ok(!coronal.isOblique());
+    });
+});
+
+describe('CprView', () => {
+    it('needs two points for a curve', () => {
+        const view = new CprView();
+        assert.equal(view.getPath(VOLUME), null);
+        view.addPoint([0.5, 0.5, 0.5], [0, 0, 1]);
+        view.addPoint([0.5, 0.5, 0.5], [0, 0, 1]);
+        assert.equal(view.points.length, 1);
+        assert.equal(view.getPath(VOLUME), null);
+    });
+
+    it('straightens the curve across the pane', () => {
+        const view = new CprView();
+        // An L drawn on an axial slice: 2 mm along x, then 1.5 mm along y
+        view.addPoint([0.25, 0.25, 0.5], [0, 0, 1]);
+        view.addPoint([0.75, 0.25, 0.5], [0, 0, 1]);
+        view.addPoint([0.75, 0.75, 0.5], [0, 0, 1]);
+
+        const path = view.getPath(VOLUME);
+        assertClose(path.lengths, [0, 2, 3.5]);
+        assert.equal(path.height, 8);
+        assertClose(path.up, [0, 0, 1]);
+
+        const fit = [1, 1];
+        assertClose(view.paneToVolume([0, 0.5], path, fit), [0.25, 0.25, 0.5]);
+        assertClose(view.paneToVolume([1 / 3.5, 0.5], path, fit), [0.5, 0.25, 0.5]);
+        assertClose(view.paneToVolume([2.75 / 3.5, 0.25], path, fit), [0.75, 0.5, 0.25]);
+        assert.equal(view.paneToVolume([0.5, 1.2], path, fit), null);
+    });
+
+    it('stops adding points at the shader limit', () => {
+        const view = new CprView();
+        for (let i = 0; i < MAX_CURVE_POINTS; i++) {
+            assert.ok(view.addPoint([i / MAX_CURVE_POINTS, 0.5, 0.5], [0, 0, 1]));
+        }
+        assert.equal(view.addPoint([1, 1, 1], [0, 0, 1]), false);
+
+        view.clear();
+        assert.equal(view.points.length, 0);
+    });
+});
+
+describe('getSlabSampleCount', () => {
+    it('samples slabs at least as finely as the smallest voxel side', () => {
+        assert.equal(getSlabSampleCount(0, [0.5, 0.5, 2]), 1);
+        assert.equal(getSlabSampleCount(2, [0.5, 0.5, 2]), 5);
+        assert.equal(getSlabSampleCount(1000, [0.5, 0.5, 2]), MAX_SLAB_SAMPLES);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeBlockRanges, computeOccupancy, createLookupTableTest } from '../occupancy-grid.js';
+import { TransferFunction } from '../transfer-function.js';
+
+// 6 x 4 x 2 voxels of -1000 HU, with one bright voxel at the far x end
+const createVolume = () => {
+    const dimensions = [6, 4, 2];
+    const data = new Int16Array(6 * 4 * 2).fill(-1000);
+    data[(1 * 4 + 1) * 6 + 5] = 500;
+    return { data, dimensions };
+};
+
+describe('computeBlockRanges', () => {
+    it('covers the volume with blocks, partial ones at the ends', () => {
+        const { data, dimensions } = createVolume();
+        const ranges = computeBlockRanges(data, dimensions, 2);
+        assert.deepEqual(ranges.size, [3, 2, 1]);
+        assert.equal(ranges.min.length, 6);
+    });
+
+    it('widens each block by the voxels bordering it', () => {
+        const { data, dimensions } = createVolume();
+        const { min, max } = computeBlockRanges(data, dimensions, 2);
+        // The bright voxel is in block x = 2; block x = 1 borders it, block x = 0 does not
+        assert.deepEqual([...max.slice(0, 3)], [-1000, 500, 500]);
+        assert.deepEqual([...min.slice(0, 3)], [-1000, -1000, -1000]);
+    });
+});
+
+describe('computeOccupancy', () => {
+    it('marks the blocks holding visible values', () => {
+        const { data, dimensions } = createVolume();
+        const ranges = computeBlockRanges(data, dimensions, 2);
+        assert.deepEqual([...computeOccupancy(ranges, (low, high) => high > 0)], [0, 255, 255, 0, 255, 255]);
+    });
+});
+
+describe('createLookupTableTest', () => {
+    it('finds ranges where the transfer function has opacity', () => {
+        const transferFunction = new TransferFunction([
+            { value: -1000, color: [0, 0, 0], opacity: 0 },
+            { value: 100, color: [1, 1, 1], opacity: 0 },
+            { value: 300, color: [1, 1, 1], opacity: 1 }
+        ]);
+        const isVisible = createLookupTableTest(transferFunction.toLookupTable(-1000, 1000), -1000, 1000);
+        assert.equal(isVisible(-1000, -500), false);
+        assert.equal(isVisible(-500, 200), true);
+        assert.equal(isVisible(900, 1000), true);
+    });
+});
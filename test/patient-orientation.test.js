@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ANATOMICAL_VIEWS, getVolumeAxes, patientToVolume, volumeToPatient, getDirectionLabel } from '../patient-orientation.js';
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < tolerance, `${actual} != ${expected}`));
+};
+
+describe('getVolumeAxes', () => {
+    it('stacks slices along the cross product of the row and column cosines', () => {
+        // Coronal slices: rows run to the patient's left, columns down to the feet
+        const [x, y, z] = getVolumeAxes([1, 0, 0, 0, 0, -1]);
+        assertClose(x, [1, 0, 0]);
+        assertClose(y, [0, 0, -1]);
+        assertClose(z, [0, 1, 0]);
+    });
+
+    it('takes volumes without an orientation as axial', () => {
+        assert.deepEqual(getVolumeAxes(null), [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+        assert.deepEqual(getVolumeAxes([0, 0, 0, 0, 1, 0]), getVolumeAxes(null));
+    });
+
+    it('squares up rounded cosines', () => {
+        const [x, y, z] = getVolumeAxes([1, 0.001, 0, 0.002, 1, 0]);
+        assert.ok(Math.abs(x.reduce((sum, c, i) => sum + c * y[i], 0)) < 1e-12);
+        assertClose([Math.hypot(...x), Math.hypot(...y), Math.hypot(...z)], [1, 1, 1]);
+    });
+});
+
+describe('patient directions', () => {
+    it('convert to volume directions and back', () => {
+        const axes = getVolumeAxes([0, 1, 0, 0, 0, -1]);
+        const direction = [0.2, -0.4, 0.8];
+        assertClose(volumeToPatient(axes, patientToVolume(axes, direction)), direction);
+
+        // Sagittal slices: the volume's x runs posterior
+        assertClose(patientToVolume(axes, ANATOMICAL_VIEWS.anterior.forward), [1, 0, 0]);
+    });
+
+    it('are labelled by the sides they point to, nearest first', () => {
+        assert.equal(getDirectionLabel([1, 0, 0]), 'L');
+        assert.equal(getDirectionLabel([0, -2, 0]), 'A');
+        assert.equal(getDirectionLabel([-0.4, 0, -0.9]), 'IR');
+        assert.equal(getDirectionLabel([0.1, 0.995, 0]), 'P');
+    });
+});
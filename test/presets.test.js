@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BUILT_IN_PRESETS, PRESET_VERSION, validatePreset, parsePreset, serializePreset } from '../presets.js';
+import { TransferFunction } from '../transfer-function.js';
+
+const [SOFT_TISSUE] = BUILT_IN_PRESETS;
+
+describe('presets', () => {
+    it('ships valid bone, lung, angio, soft tissue and skin presets', () => {
+        assert.deepEqual(BUILT_IN_PRESETS.map(preset => preset.name).sort(),
+                         ['Angio', 'Bone', 'Lung', 'Skin', 'Soft Tissue']);
+        for (const preset of BUILT_IN_PRESETS) {
+            assert.deepEqual(validatePreset(preset), preset);
+            assert.ok(TransferFunction.fromJSON(preset.transferFunction));
+        }
+    });
+
+    it('round trips through a file', () => {
+        const text = serializePreset(SOFT_TISSUE);
+        assert.equal(JSON.parse(text).version, PRESET_VERSION);
+        assert.deepEqual(parsePreset(text), SOFT_TISSUE);
+    });
+
+    it('keeps only known fields, and copies them', () => {
+        const preset = validatePreset({ ...SOFT_TISSUE, name: ' Mine ', extra: 1, shading: { specular: 0.5, glow: 2 } });
+        assert.equal(preset.name, 'Mine');
+        assert.equal(preset.extra, undefined);
+        assert.deepEqual(preset.shading, { specular: 0.5 });
+        assert.notEqual(preset.transferFunction.points[0], SOFT_TISSUE.transferFunction.points[0]);
+    });
+
+    it('defaults to compositing', () => {
+        const { renderMode, ...rest } = SOFT_TISSUE;
+        assert.equal(renderMode, 'composite');
+        assert.equal(validatePreset({ ...rest, renderMode: undefined }).renderMode, 'composite');
+    });
+
+    it('rejects malformed presets', () => {
+        assert.throws(() => validatePreset(null), /JSON object/);
+        assert.throws(() => validatePreset({ ...SOFT_TISSUE, name: '' }), /needs a name/);
+        assert.throws(() => validatePreset({ ...SOFT_TISSUE, windowWidth: 0 }), /window width/);
+        assert.throws(() => validatePreset({ ...SOFT_TISSUE, transferFunction: { points: [] } }), /two points/);
+        assert.throws(() => validatePreset({
+            ...SOFT_TISSUE,
+            transferFunction: { points: [{ value: 0, color: [0, 0], opacity: 0 }, { value: 1, color: [0, 0, 0], opacity: 1 }] }
+        }), /invalid transfer function point/);
+        assert.throws(() => validatePreset({ ...SOFT_TISSUE, shading: { ambient: -1 } }), /shading ambient/);
+    });
+
+    it('rejects files that are not JSON or come from a newer version', () => {
+        assert.throws(() => parsePreset('{'), /not valid JSON/);
+        assert.throws(() => parsePreset(JSON.stringify({ ...SOFT_TISSUE, version: PRESET_VERSION + 1 })), /newer/);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    TransferFunction, TRANSFER_FUNCTION_SIZE, colorToHex, hexToColor, computeHistogram
+} from '../transfer-function.js';
+
+const createRamp = () => new TransferFunction([
+    { value: 100, color: [1, 1, 1], opacity: 1 },
+    { value: 0, color: [1, 0, 0], opacity: 0 }
+]);
+
+describe('TransferFunction', () => {
+    it('needs two control points and keeps them sorted by value', () => {
+        assert.throws(() => new TransferFunction([{ value: 0, color: [0, 0, 0], opacity: 0 }]), /at least two/);
+        assert.deepEqual(createRamp().points.map(point => point.value), [0, 100]);
+    });
+
+    it('interpolates between points and holds beyond the ends', () => {
+        const ramp = createRamp();
+        assert.deepEqual(ramp.evaluate(25), { value: 25, color: [1, 0.25, 0.25], opacity: 0.25 });
+        assert.equal(ramp.evaluate(-500).opacity, 0);
+        assert.deepEqual(ramp.evaluate(500).color, [1, 1, 1]);
+    });
+
+    it('adds points in order, colored like the map', () => {
+        const ramp = createRamp();
+        assert.equal(ramp.addPoint(50, 2), 1);
+        assert.deepEqual(ramp.points[1], { value: 50, color: [1, 0.5, 0.5], opacity: 1 });
+        assert.equal(ramp.addPoint(200, 0.5), 3);
+    });
+
+    it('keeps moved points between their neighbours', () => {
+        const ramp = createRamp();
+        ramp.addPoint(50, 0.5);
+        ramp.movePoint(1, 150, -1);
+        assert.deepEqual([ramp.points[1].value, ramp.points[1].opacity], [100, 0]);
+        ramp.movePoint(0, -20, 0.3);
+        assert.equal(ramp.points[0].value, -20);
+    });
+
+    it('never removes the last two points', () => {
+        const ramp = createRamp();
+        ramp.addPoint(50, 0.5);
+        assert.ok(ramp.removePoint(1));
+        assert.equal(ramp.removePoint(0), false);
+        assert.equal(ramp.points.length, 2);
+    });
+
+    it('samples a lookup table over a value range', () => {
+        const table = createRamp().toLookupTable(0, 100);
+        assert.equal(table.length, TRANSFER_FUNCTION_SIZE * 4);
+        assert.deepEqual([...table.slice(0, 4)], [255, 0, 0, 0]);
+        assert.deepEqual([...table.slice(-4)], [255, 255, 255, 255]);
+    });
+
+    it('round trips through JSON without sharing points', () => {
+        const ramp = createRamp();
+        const copy = TransferFunction.fromJSON(JSON.parse(JSON.stringify(ramp)));
+        assert.deepEqual(copy.points, ramp.points);
+        copy.setColor(0, [0, 0, 1]);
+        assert.deepEqual(ramp.points[0].color, [1, 0, 0]);
+        assert.throws(() => TransferFunction.fromJSON({}), /points array/);
+    });
+});
+
+describe('color conversion', () => {
+    it('converts between colors and hex strings', () => {
+        assert.equal(colorToHex([1, 0.5, 0]), '#ff8000');
+        assert.deepEqual(hexToColor('#ff0000'), [1, 0, 0]);
+        assert.throws(() => hexToColor('red'), /Invalid color/);
+    });
+});
+
+describe('computeHistogram', () => {
+    it('counts values into bins, the maximum in the last', () => {
+        const counts = computeHistogram(new Int16Array([-100, -100, 0, 50, 100]), -100, 100, 4);
+        assert.deepEqual([...counts], [2, 0, 1, 2]);
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Transfer Function Editor
+ * Draws a transfer function's opacity curve and colors over the volume's histogram
+ * on a 2D canvas, and edits its control points with the mouse
+ */
+
+import { colorToHex, hexToColor } from './transfer-function.js';
+
+// Pixels around a control point that pick it
+const POINT_RADIUS = 5;
+const PICK_RADIUS = 8;
+
+// Height of the color strip along the bottom edge
+const COLOR_STRIP_HEIGHT = 10;
+
+export class TransferFunctionEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {TransferFunction} transferFunction - Function to edit in place
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - Called after every edit
+     * @param {Function} [options.onSelect] - Called with the selected point's '#rrggbb' color, or null
+     */
+    constructor(canvas, transferFunction, { onChange = () => {}, onSelect = () => {} } = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.transferFunction = transferFunction;
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+
+        // Value range along the horizontal axis; the CT range until a histogram arrives
+        this.histogram = null;
+        this.minValue = -1024;
+        this.maxValue = 3071;
+
+        this.selectedIndex = -1;
+        this.dragging = false;
+
+        this.setupEventListeners();
+        this.draw();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const point = this.getMousePoint(e);
+            let index = this.getPointAt(point);
+
+            // Clicking off the points adds one there
+            if (index === -1) {
+                index = this.transferFunction.addPoint(this.xToValue(point.x), this.yToOpacity(point.y));
+                this.onChange();
+            }
+            this.select(index);
+            this.dragging = true;
+        });
+
+        // Listen on the window so drags keep going outside the canvas
+        window.addEventListener('mousemove', (e) => {
+            if (!this.dragging) return;
+            const point = this.getMousePoint(e);
+            this.transferFunction.movePoint(this.selectedIndex, this.xToValue(point.x), this.yToOpacity(point.y));
+            this.draw();
+            this.onChange();
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.dragging = false;
+        });
+
+        // Double or right click removes a point
+        const removeAt = (e) => {
+            e.preventDefault();
+            const index = this.getPointAt(this.getMousePoint(e));
+            if (index !== -1 && this.transferFunction.removePoint(index)) {
+                this.select(-1);
+                this.onChange();
+            }
+        };
+        this.canvas.addEventListener('dblclick', removeAt);
+        this.canvas.addEventListener('contextmenu', removeAt);
+    }
+
+    /**
+     * Edit another transfer function, e.g. one loaded from a file
+     * @param {TransferFunction} transferFunction
+     */
+    setTransferFunction(transferFunction) {
+        this.transferFunction = transferFunction;
+        this.select(-1);
+    }
+
+    /**
+     * Show a volume's histogram behind the curve, over the value range it covers
+     * @param {Uint32Array} counts - Count per bin, from computeHistogram()
+     * @param {number} minValue - Lower end of the first bin
+     * @param {number} maxValue - Upper end of the last bin
+     */
+    setHistogram(counts, minValue, maxValue) {
+        this.histogram = counts;
+        this.minValue = minValue;
+        this.maxValue = Math.max(maxValue, minValue + 1);
+        this.draw();
+    }
+
+    /**
+     * Set the selected point's color
+     * @param {string} hex - '#rrggbb'
+     */
+    setSelectedColor(hex) {
+        if (this.selectedIndex === -1) return;
+        this.transferFunction.setColor(this.selectedIndex, hexToColor(hex));
+        this.draw();
+        this.onChange();
+    }
+
+    select(index) {
+        this.selectedIndex = index;
+        const point = this.transferFunction.points[index];
+        this.onSelect(point ? colorToHex(point.color) : null);
+        this.draw();
+    }
+
+    // Mouse position in canvas pixels; the canvas may be scaled by CSS
+    getMousePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    getPointAt({ x, y }) {
+        let closest = -1;
+        let closestDistance = PICK_RADIUS;
+        this.transferFunction.points.forEach((point, i) => {
+            const distance = Math.hypot(this.valueToX(point.value) - x, this.opacityToY(point.opacity) - y);
+            if (distance <= closestDistance) {
+                closest = i;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    // Opacity runs from the top of the color strip (0) to the top edge (1)
+    get plotHeight() {
+        return this.canvas.height - COLOR_STRIP_HEIGHT;
+    }
+
+    valueToX(value) {
+        return (value - this.minValue) / (this.maxValue - this.minValue) * this.canvas.width;
+    }
+
+    xToValue(x) {
+        return Math.round(this.minValue + x / this.canvas.width * (this.maxValue - this.minValue));
+    }
+
+    opacityToY(opacity) {
+        return (1 - opacity) * (this.plotHeight - 2 * POINT_RADIUS) + POINT_RADIUS;
+    }
+
+    yToOpacity(y) {
+        return 1 - (y - POINT_RADIUS) / (this.plotHeight - 2 * POINT_RADIUS);
+    }
+
+    draw() {
+        const { context: ctx, canvas } = this;
+        const { points } = this.transferFunction;
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Histogram on a log scale, so the air and soft tissue peaks leave room for the rest
+        if (this.histogram) {
+            const maxCount = Math.log1p(Math.max(...this.histogram));
+            const barWidth = canvas.width / this.histogram.length;
+            ctx.fillStyle = '#555';
+            this.histogram.forEach((count, i) => {
+                const height = Math.log1p(count) / maxCount * this.plotHeight;
+                ctx.fillRect(i * barWidth, this.plotHeight - height, Math.ceil(barWidth), height);
+            });
+        }
+
+        // Color strip: the map's color at each column
+        for (let x = 0; x < canvas.width; x++) {
+            ctx.fillStyle = colorToHex(this.transferFunction.evaluate(this.xToValue(x)).color);
+            ctx.fillRect(x, this.plotHeight, 1, COLOR_STRIP_HEIGHT);
+        }
+
+        // Opacity curve, level beyond the first and last points
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, this.opacityToY(points[0].opacity));
+        points.forEach(point => ctx.lineTo(this.valueToX(point.value), this.opacityToY(point.opacity)));
+        ctx.lineTo(canvas.width, this.opacityToY(points[points.length - 1].opacity));
+        ctx.stroke();
+
+        // Control points, filled with their color
+        points.forEach((point, i) => {
+            ctx.beginPath();
+            ctx.arc(this.valueToX(point.value), this.opacityToY(point.opacity), POINT_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = colorToHex(point.color);
+            ctx.fill();
+            ctx.strokeStyle = i === this.selectedIndex ? '#4CAF50' : '#fff';
+            ctx.lineWidth = i === this.selectedIndex ? 2 : 1;
+            ctx.stroke();
+        });
+    }
+}
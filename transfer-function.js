@@ -0,0 +1,195 @@
+/**
+ * Transfer Function
+ * Piecewise-linear color and opacity map over voxel values (HU for CT), which the
+ * renderer samples from a lookup texture while compositing.
+ */
+
+// Entries in the lookup table the renderer uploads
+export const TRANSFER_FUNCTION_SIZE = 256;
+
+// CT map: fat and soft tissue faint and reddish, contrast-filled vessels red, bone white
+const DEFAULT_POINTS = [
+    { value: -1024, color: [0, 0, 0], opacity: 0 },
+    { value: -150, color: [0.55, 0.25, 0.15], opacity: 0 },
+    { value: 40, color: [0.8, 0.4, 0.3], opacity: 0.02 },
+    { value: 180, color: [0.9, 0.15, 0.1], opacity: 0.1 },
+    { value: 400, color: [1.0, 0.9, 0.75], opacity: 0.4 },
+    { value: 1500, color: [1.0, 1.0, 1.0], opacity: 0.8 }
+];
+
+const clonePoint = ({ value, color, opacity }) => ({ value, color: [...color], opacity });
+
+const lerp = (a, b, f) => a + (b - a) * f;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Convert a color to a CSS hex string, as <input type="color"> uses
+ * @param {Array<number>} color - RGB in 0-1
+ * @returns {string} '#rrggbb'
+ */
+export function colorToHex(color) {
+    return '#' + color.map(c => Math.round(clamp01(c) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a CSS hex string to a color
+ * @param {string} hex - '#rrggbb'
+ * @returns {Array<number>} RGB in 0-1
+ */
+export function hexToColor(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if (!match) {
+        throw new Error(`Invalid color '${hex}', expected #rrggbb`);
+    }
+    return match.slice(1).map(part => parseInt(part, 16) / 255);
+}
+
+/**
+ * Count the voxels in each value bin. Large volumes are sampled with a stride,
+ * which keeps the histogram's shape at a fraction of the cost.
+ * @param {TypedArray} data - Voxel values
+ * @param {number} minValue - Lower end of the first bin
+ * @param {number} maxValue - Upper end of the last bin
+ * @param {number} [binCount=256] - Number of bins
+ * @returns {Uint32Array} Count per bin
+ */
+export function computeHistogram(data, minValue, maxValue, binCount = 256) {
+    const counts = new Uint32Array(binCount);
+    const scale = binCount / ((maxValue - minValue) || 1);
+    const stride = Math.max(1, Math.floor(data.length / 4000000));
+
+    for (let i = 0; i < data.length; i += stride) {
+        const bin = Math.floor((data[i] - minValue) * scale);
+        if (bin >= 0 && bin < binCount) {
+            counts[bin]++;
+        } else if (bin === binCount) {
+            // maxValue itself belongs to the last bin
+            counts[binCount - 1]++;
+        }
+    }
+    return counts;
+}
+
+export class TransferFunction {
+    /**
+     * @param {Array<Object>} [points] - Control points { value, color: [r, g, b] in 0-1, opacity in 0-1 },
+     *                                   in any order; by default a CT map
+     */
+    constructor(points = DEFAULT_POINTS) {
+        if (points.length < 2) {
+            throw new Error('A transfer function needs at least two control points');
+        }
+        this.points = points.map(clonePoint).sort((a, b) => a.value - b.value);
+    }
+
+    /**
+     * Color and opacity at a value, interpolated linearly between the control points
+     * and constant beyond the first and last
+     * @param {number} value - Voxel value
+     * @returns {Object} color [r, g, b] and opacity
+     */
+    evaluate(value) {
+        const { points } = this;
+        if (value <= points[0].value) {
+            return clonePoint(points[0]);
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const end = points[i];
+            if (value <= end.value) {
+                const start = points[i - 1];
+                const f = (value - start.value) / ((end.value - start.value) || 1);
+                return {
+                    value,
+                    color: start.color.map((c, channel) => lerp(c, end.color[channel], f)),
+                    opacity: lerp(start.opacity, end.opacity, f)
+                };
+            }
+        }
+        return clonePoint(points[points.length - 1]);
+    }
+
+    /**
+     * Add a control point, colored like the map already is at its value
+     * @param {number} value - Voxel value
+     * @param {number} opacity - Opacity in 0-1
+     * @returns {number} Index of the new point
+     */
+    addPoint(value, opacity) {
+        const point = { value, color: this.evaluate(value).color, opacity: clamp01(opacity) };
+        let index = this.points.findIndex(existing => existing.value > value);
+        if (index === -1) index = this.points.length;
+        this.points.splice(index, 0, point);
+        return index;
+    }
+
+    /**
+     * Move a control point; it stays between its neighbours so the order never changes
+     * @param {number} index - Index of the point
+     * @param {number} value - New voxel value
+     * @param {number} opacity - New opacity in 0-1
+     */
+    movePoint(index, value, opacity) {
+        const previous = this.points[index - 1];
+        const next = this.points[index + 1];
+        const point = this.points[index];
+        point.value = Math.max(previous ? previous.value : -Infinity, Math.min(next ? next.value : Infinity, value));
+        point.opacity = clamp01(opacity);
+    }
+
+    /**
+     * @param {number} index - Index of the point
+     * @param {Array<number>} color - RGB in 0-1
+     */
+    setColor(index, color) {
+        this.points[index].color = color.map(clamp01);
+    }
+
+    /**
+     * Remove a control point, unless only two are left
+     * @param {number} index - Index of the point
+     * @returns {boolean} Whether the point was removed
+     */
+    removePoint(index) {
+        if (this.points.length <= 2) {
+            return false;
+        }
+        this.points.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Sample the map evenly over a value range for the renderer's lookup texture
+     * @param {number} minValue - Value of the first entry
+     * @param {number} maxValue - Value of the last entry
+     * @param {number} [size=TRANSFER_FUNCTION_SIZE] - Number of entries
+     * @returns {Uint8Array} RGBA entries, opacity in alpha
+     */
+    toLookupTable(minValue, maxValue, size = TRANSFER_FUNCTION_SIZE) {
+        const table = new Uint8Array(size * 4);
+        for (let i = 0; i < size; i++) {
+            const { color, opacity } = this.evaluate(lerp(minValue, maxValue, i / (size - 1)));
+            table.set([...color, opacity].map(c => Math.round(clamp01(c) * 255)), i * 4);
+        }
+        return table;
+    }
+
+    /**
+     * @returns {Object} Plain JSON form: { points }
+     */
+    toJSON() {
+        return { points: this.points.map(clonePoint) };
+    }
+
+    /**
+     * @param {Object} json - Object from toJSON()
+     * @returns {TransferFunction}
+     */
+    static fromJSON(json) {
+        if (!json || !Array.isArray(json.points)) {
+            throw new Error('Transfer function JSON needs a points array');
+        }
+        return new TransferFunction(json.points);
+    }
+}
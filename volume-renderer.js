@@ -1,16 +1,56 @@
 /**
  * WebGL-based 3D Volume Renderer
- * Implements ray casting for volumetric rendering
+ * Implements ray casting for volumetric rendering, and the MPR panes (orthogonal,
+ * oblique and curved) that share its volume texture
  */
-class VolumeRenderer {
+
+import { MprView, CprView, MAX_CURVE_POINTS, MAX_SLAB_SAMPLES, HANDLE_RADIUS,
+         getSlabSampleCount, tiltPlanes } from './mpr-view.js';
+
+import { TransferFunction, TRANSFER_FUNCTION_SIZE } from './transfer-function.js';
+import { validatePreset } from './presets.js';
+import { Camera } from './camera.js';
+import { ANATOMICAL_VIEWS, getVolumeAxes, patientToVolume, volumeToPatient, getDirectionLabel } from './patient-orientation.js';
+import { computeBlockRanges, computeOccupancy, createLookupTableTest, OCCUPANCY_BLOCK_SIZE } from './occupancy-grid.js';
+import { MAX_CLIP_PLANES, createCropBox, normalizeCropBox, moveCropFace, createClipPlane, intersectBox } from './clipping.js';
+
+// How rays turn into pixels: front-to-back compositing, or the maximum, minimum or
+// average intensity projection; the index is the shader's u_renderMode
+const RENDER_MODES = ['composite', 'mip', 'minip', 'aip'];
+const RENDER_MODE_LABELS = { composite: 'Composite', mip: 'MIP', minip: 'MinIP', aip: 'AIP' };
+
+// Taps are touches shorter than TAP_DURATION ms that move less than TAP_SLOP pixels;
+// two within DOUBLE_TAP_INTERVAL ms and DOUBLE_TAP_DISTANCE pixels are a double tap
+const TAP_DURATION = 300;
+const TAP_SLOP = 10;
+const DOUBLE_TAP_INTERVAL = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+// Ray-march loop bound; rays through the box's diagonal that would need more steps
+// at the chosen quality get longer steps instead
+const MAX_RAY_STEPS = 4096;
+
+// HU per mm of gradient at which gradient opacity keeps a sample's full opacity;
+// tissue boundaries reach it, noise within uniform tissue stays well below
+const FULL_OPACITY_GRADIENT = 100;
+
+export class VolumeRenderer {
     constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        this.gl = canvas.getContext('webgl2');
+        this.isWebGL2 = !!this.gl;
+        
+        if (!this.gl) {
+            this.gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        }
         
         if (!this.gl) {
             throw new Error('WebGL not supported');
         }
         
+        // Linear filtering of 32-bit float textures is an extension even in WebGL2
+        this.floatLinearFiltering = this.isWebGL2 && !!this.gl.getExtension('OES_texture_float_linear');
+        
         this.init();
     }
     
@@ -21,29 +61,101 @@ class VolumeRenderer {
         this.setupUniforms();
         
         // Initialize camera
-        this.rotationX = 0;
-        this.rotationY = 0;
-        this.zoom = 1.0;
+        this.camera = new Camera();
+        
+        // Patient (LPS) directions of the volume's axes, see patient-orientation.js
+        this.volumeAxes = getVolumeAxes(null);
         
         // Initialize volume properties
         this.threshold = 100;
         this.opacity = 0.8;
-        this.windowLevel = 128;
-        this.windowWidth = 256;
+        this.windowLevel = 40;
+        this.windowWidth = 400;
         this.volumeData = null;
         this.volumeTexture = null;
+        this.renderMode = 'composite';
+        
+        // Compositing colors samples with the transfer function, or in gray by the
+        // window above the threshold
+        this.transferFunction = new TransferFunction();
+        this.useTransferFunction = true;
+        
+        // Values the transfer function's lookup table spans, the volume's range once loaded
+        this.transferRange = [-1024, 3071];
+        this.uploadTransferFunction();
+        
+        // Blinn-Phong lighting of the composited volume, and how far gradient opacity
+        // fades samples away from boundaries (0-1); presets carry these settings
+        this.shading = { enabled: true, ambient: 0.3, diffuse: 0.7, specular: 0.2, shininess: 10, gradientOpacity: 0 };
+        
+        // Ray-march samples per smallest voxel side
+        this.quality = 1;
+        
+        // Value range of each block of voxels, and whether the occupancy texture needs
+        // updating because what is visible changed
+        this.blockRanges = null;
+        this.occupancyDirty = false;
+        
+        // Thickness in mm of the slab around the cursor the 3D view shows, 0 for the whole volume
+        this.viewSlabThickness = 0;
+        
+        // 'single' shows the 3D view only; 'mpr' adds axial, coronal and sagittal
+        // panes; 'cpr' shows the curved pane in place of the 3D view
+        this.layout = 'single';
+        this.mprViews = ['axial', 'coronal', 'sagittal'].map(orientation => new MprView(orientation));
+        this.cprView = new CprView();
+        
+        // Point the MPR planes pass through, in texture coordinates
+        this.cursor = [0.5, 0.5, 0.5];
+        
+        // Thickness in mm the MPR panes average over, 0 for single planes
+        this.slabThickness = 0;
+        
+        // While drawing, clicks in the slice panes add points to the curve
+        this.curveDrawing = false;
         
-        // Mouse interaction
+        // Clipping of the 3D view, see clipping.js. While clipEditing, the view shows
+        // the crop box and the selected plane; activeCropFace is the face under the
+        // pointer or being dragged, -1 for none.
+        this.cropBox = createCropBox();
+        this.clipPlanes = [];
+        this.selectedClipPlane = -1;
+        this.clipEditing = false;
+        this.activeCropFace = -1;
+        
+        // Pointer interaction (mouse, pen and touch); dragMode is 'rotate', 'pan',
+        // 'pinch', 'crop' or 'clipPlane' (3D view), 'cursor', 'tilt' (crosshair
+        // handle), 'window' or null.
+        // dragPoint is where a 3D drag last was; pointers holds every pointer that
+        // is down, and pinch the two-finger gesture's last spread and centre.
         this.isDragging = false;
+        this.dragPane = null;
+        this.dragMode = null;
+        this.dragAngle = 0;
+        this.dragPoint = null;
+        this.dragPointerId = null;
         this.lastMouseX = 0;
         this.lastMouseY = 0;
+        this.pointers = new Map();
+        this.pinch = null;
+        this.lastTap = null;
         
-        this.setupMouseHandlers();
+        this.setupPointerHandlers();
     }
     
     setupShaders() {
-        // Vertex shader - renders a full-screen quad
-        const vertexShaderSource = `
+        // WebGL2 samples a native 3D texture (GLSL ES 3.00); WebGL1 samples a
+        // 2D atlas of slices (GLSL ES 1.00). Both share the ray-marching body,
+        // which writes its result to fragColor.
+        const vertexShaderSource = this.isWebGL2 ? `#version 300 es
+            in vec2 a_position;
+            out vec2 v_texCoord;
+            
+            void main() {
+                gl_Position = vec4(a_position, 0.0, 1.0);
+                v_texCoord = (a_position + 1.0) * 0.5;
+            }
+        ` : `
             attribute vec2 a_position;
             varying vec2 v_texCoord;
             
@@ -53,39 +165,64 @@ class VolumeRenderer {
             }
         `;
         
-        // Fragment shader for ray casting volume rendering
-        const fragmentShaderSource = `
-            precision mediump float;
+        const volumeSamplingSource = this.isWebGL2 ? `#version 300 es
+            precision highp float;
+            precision highp sampler3D;
+            
+            in vec2 v_texCoord;
+            out vec4 fragColor;
+            
+            uniform sampler3D u_volumeTexture;
+            
+            uniform sampler2D u_transferFunction;
+            uniform sampler3D u_occupancy;
+            uniform vec3 u_occupancySize;
+            
+            // Hardware trilinear filtering does all the interpolation
+            float sampleVolume(vec3 pos) {
+                return texture(u_volumeTexture, pos).r;
+            }
+            
+            // Whether a block of the occupancy grid holds anything visible (1) or not (0)
+            float sampleOccupancy(vec3 cell) {
+                return texture(u_occupancy, (cell + 0.5) / u_occupancySize).r;
+            }
+            
+            // Transfer function entry at a position (0-1) of its value range
+            vec4 sampleTransferFunction(float position) {
+                return texture(u_transferFunction, vec2((clamp(position, 0.0, 1.0) * ${TRANSFER_FUNCTION_SIZE - 1}.0 + 0.5) / ${TRANSFER_FUNCTION_SIZE}.0, 0.5));
+            }
+        ` : `
+            precision highp float;
             
             varying vec2 v_texCoord;
+            #define fragColor gl_FragColor
+            
             uniform sampler2D u_volumeTexture;
+            uniform sampler2D u_transferFunction;
+            uniform sampler2D u_occupancy;
+            uniform vec3 u_occupancySize;
             uniform float u_textureWidth;
             uniform float u_textureHeight;
-            uniform float u_slices;
-            uniform float u_threshold;
-            uniform float u_opacity;
-            uniform float u_windowLevel;
-            uniform float u_windowWidth;
             uniform vec3 u_volumeSize;
-            uniform float u_zoom;
-            uniform float u_rotationX;
-            uniform float u_rotationY;
             
-            // Function to sample volume texture at 3D position
+            // Trilinear sampling at a 3D position: bilinear filtering within the
+            // two nearest slices, mixed linearly between them
             float sampleVolume(vec3 pos) {
-                // Clamp position to [0.001, 0.999] to avoid edge artifacts
-                pos = clamp(pos, 0.001, 0.999);
+                // Position in voxels, measured from the first voxel centre and
+                // clamped to the outermost centres like CLAMP_TO_EDGE
+                vec3 voxel = clamp(pos * u_volumeSize - 0.5, vec3(0.0), u_volumeSize - 1.0);
                 
                 // Calculate slice index and interpolation factor
-                float sliceF = pos.z * u_slices;
-                float sliceIdx = floor(sliceF);
-                float sliceFrac = fract(sliceF);
+                float sliceIdx = floor(voxel.z);
+                float sliceFrac = voxel.z - sliceIdx;
                 
-                // Calculate texture coordinates for current slice
-                vec2 uv = pos.xy;
+                // Texture coordinates within the slice, kept between the outer texel
+                // centres so filtering never reaches into the neighbouring slice
+                vec2 uv = (voxel.xy + 0.5) / u_volumeSize.xy;
                 
                 // Calculate texture coordinates accounting for slice layout
-                float slicesPerRow = ceil(sqrt(u_slices));
+                float slicesPerRow = ceil(sqrt(u_volumeSize.z));
                 float row = floor(sliceIdx / slicesPerRow);
                 float col = mod(sliceIdx, slicesPerRow);
                 
@@ -97,7 +234,7 @@ class VolumeRenderer {
                 float value1 = texture2D(u_volumeTexture, uv).r;
                 
                 // Interpolate between slices if needed
-                if (sliceFrac > 0.0 && sliceIdx < u_slices - 1.0) {
+                if (sliceFrac > 0.0) {
                     float nextSliceIdx = sliceIdx + 1.0;
                     float nextRow = floor(nextSliceIdx / slicesPerRow);
                     float nextCol = mod(nextSliceIdx, slicesPerRow);
@@ -112,52 +249,161 @@ class VolumeRenderer {
                 return value1;
             }
             
+            // Whether a block of the occupancy grid holds anything visible (1) or not (0);
+            // its slices are packed into an atlas like the volume's
+            float sampleOccupancy(vec3 cell) {
+                float slicesPerRow = ceil(sqrt(u_occupancySize.z));
+                float row = floor((cell.z + 0.5) / slicesPerRow);
+                float col = cell.z - row * slicesPerRow;
+                vec2 atlasSize = vec2(slicesPerRow, ceil(u_occupancySize.z / slicesPerRow)) * u_occupancySize.xy;
+                return texture2D(u_occupancy, (cell.xy + 0.5 + vec2(col, row) * u_occupancySize.xy) / atlasSize).r;
+            }
+            
+            // Transfer function entry at a position (0-1) of its value range
+            vec4 sampleTransferFunction(float position) {
+                return texture2D(u_transferFunction, vec2((clamp(position, 0.0, 1.0) * ${TRANSFER_FUNCTION_SIZE - 1}.0 + 0.5) / ${TRANSFER_FUNCTION_SIZE}.0, 0.5));
+            }
+        `;
+        
+        // Fragment shader for ray casting volume rendering
+        const fragmentShaderSource = volumeSamplingSource + `
+            uniform float u_slices;
+            uniform float u_threshold;
+            uniform float u_opacity;
+            uniform float u_windowLevel;
+            uniform float u_windowWidth;
+            uniform float u_valueOffset;
+            uniform float u_valueScale;
+            uniform vec3 u_boxSize;
+            uniform float u_stepSize;
+            uniform mat4 u_inverseViewProjection;
+            uniform vec3 u_viewDirection;
+            uniform vec3 u_lightDirection;
+            uniform vec3 u_cursor;
+            uniform float u_showPlanes;
+            uniform vec3 u_planeNormals[3];
+            uniform vec3 u_planeColors[3];
+            uniform float u_renderMode;
+            uniform float u_viewSlabThickness;
+            uniform float u_useTransferFunction;
+            uniform float u_transferMin;
+            uniform float u_transferMax;
+            uniform vec3 u_voxelSpacing;
+            uniform float u_shading;
+            uniform float u_ambient;
+            uniform float u_diffuse;
+            uniform float u_specular;
+            uniform float u_shininess;
+            uniform float u_gradientOpacity;
+            uniform float u_skipEmptySpace;
+            uniform vec3 u_cellSize;
+            uniform vec3 u_cropMin;
+            uniform vec3 u_cropMax;
+            uniform vec4 u_clipPlanes[${MAX_CLIP_PLANES}];
+            uniform float u_clipPlaneCount;
+            uniform float u_clipEditing;
+            uniform float u_activeCropFace;
+            uniform float u_selectedClipPlane;
+            
+            // Gradient magnitude in HU per mm at which gradient opacity leaves samples
+            // unchanged; weaker edges are faded
+            const float fullOpacityGradient = ${FULL_OPACITY_GRADIENT}.0;
+            
+            // Gradient of the HU in HU per mm, by central differences one voxel either side
+            vec3 computeGradient(vec3 texturePosition) {
+                vec3 offset = u_voxelSpacing / u_boxSize;
+                vec3 dx = vec3(offset.x, 0.0, 0.0);
+                vec3 dy = vec3(0.0, offset.y, 0.0);
+                vec3 dz = vec3(0.0, 0.0, offset.z);
+                vec3 difference = vec3(
+                    sampleVolume(texturePosition + dx) - sampleVolume(texturePosition - dx),
+                    sampleVolume(texturePosition + dy) - sampleVolume(texturePosition - dy),
+                    sampleVolume(texturePosition + dz) - sampleVolume(texturePosition - dz)
+                );
+                return difference * u_valueScale / (2.0 * u_voxelSpacing);
+            }
+            
+            // Blinn-Phong lighting with the gradient as the surface normal. Lit from
+            // both sides, since the gradient points into denser tissue whichever
+            // side the viewer is on.
+            vec3 shade(vec3 color, vec3 gradient, vec3 lightDir, vec3 halfway) {
+                float magnitude = length(gradient);
+                if (magnitude < 1e-3) {
+                    return color * (u_ambient + u_diffuse);
+                }
+                vec3 normal = gradient / magnitude;
+                float diffuse = abs(dot(normal, lightDir));
+                float specular = pow(abs(dot(normal, halfway)), u_shininess);
+                return color * (u_ambient + u_diffuse * diffuse) + vec3(u_specular * specular);
+            }
+            
+            // Outline the crop box's edges where the ray enters or leaves it, unless
+            // opaque tissue lies in front, and tint the face being dragged
+            void drawCropBox(inout vec4 color, vec3 rayOrigin, vec3 rayDir, float tOpaque) {
+                vec3 t1 = (u_cropMin - rayOrigin) / rayDir;
+                vec3 t2 = (u_cropMax - rayOrigin) / rayDir;
+                vec3 tNear3 = min(t1, t2);
+                vec3 tFar3 = max(t1, t2);
+                float cropNear = max(max(tNear3.x, tNear3.y), tNear3.z);
+                float cropFar = min(min(tFar3.x, tFar3.y), tFar3.z);
+                if (cropNear > cropFar || cropFar < 0.0) {
+                    return;
+                }
+                
+                vec3 centre = (u_cropMin + u_cropMax) * 0.5;
+                vec3 halfSize = (u_cropMax - u_cropMin) * 0.5;
+                float lineWidth = 0.004 * length(u_boxSize);
+                for (int side = 0; side < 2; side++) {
+                    float t = side == 0 ? cropNear : cropFar;
+                    if (t < 0.0 || t > tOpaque + lineWidth) {
+                        continue;
+                    }
+                    
+                    // On the box one distance to a face is zero; next to an edge a second is small
+                    vec3 faceDistance = halfSize - abs(rayOrigin + rayDir * t - centre);
+                    float nearest = min(faceDistance.x, min(faceDistance.y, faceDistance.z));
+                    float farthest = max(faceDistance.x, max(faceDistance.y, faceDistance.z));
+                    if (faceDistance.x + faceDistance.y + faceDistance.z - nearest - farthest < lineWidth) {
+                        color = vec4(1.0, 1.0, 1.0, 1.0);
+                        return;
+                    }
+                }
+                
+                // The face the ray enters through: its axis, plus 1 for the far end
+                if (u_activeCropFace >= 0.0 && cropNear >= 0.0) {
+                    float axis = tNear3.x >= max(tNear3.y, tNear3.z) ? 0.0 : (tNear3.y >= tNear3.z ? 1.0 : 2.0);
+                    float rayAlong = axis < 0.5 ? rayDir.x : (axis < 1.5 ? rayDir.y : rayDir.z);
+                    if (axis * 2.0 + (rayAlong < 0.0 ? 1.0 : 0.0) == u_activeCropFace) {
+                        color = mix(color, vec4(1.0, 0.85, 0.3, 1.0), 0.3);
+                    }
+                }
+            }
+            
             void main() {
                 // If no volume loaded, show a gradient background
                 if (u_slices <= 0.0) {
                     float r = v_texCoord.x;
                     float g = v_texCoord.y;
                     float b = 0.2;
-                    gl_FragColor = vec4(r, g, b, 1.0);
+                    fragColor = vec4(r, g, b, 1.0);
                     return;
                 }
                 
-                // Set up ray parameters
-                vec3 rayDir = vec3(v_texCoord - 0.5, 0.0);
-                rayDir.z = -1.0; // Point into the volume
-                rayDir = normalize(rayDir);
-                
-                // Apply rotations
-                float cosX = cos(u_rotationX);
-                float sinX = sin(u_rotationX);
-                float cosY = cos(u_rotationY);
-                float sinY = sin(u_rotationY);
-                
-                // Rotation matrices
-                mat3 rotY = mat3(
-                    cosY, 0.0, -sinY,
-                    0.0, 1.0, 0.0,
-                    sinY, 0.0, cosY
-                );
-                
-                mat3 rotX = mat3(
-                    1.0, 0.0, 0.0,
-                    0.0, cosX, -sinX,
-                    0.0, sinX, cosX
-                );
-                
-                rayDir = rotY * rotX * rayDir;
+                // The ray through this pixel runs from the near plane to the far
+                // plane, both found by unprojecting it with the camera's matrices
+                vec2 ndc = v_texCoord * 2.0 - 1.0;
+                vec4 nearPoint = u_inverseViewProjection * vec4(ndc, -1.0, 1.0);
+                vec4 farPoint = u_inverseViewProjection * vec4(ndc, 1.0, 1.0);
+                vec3 rayOrigin = nearPoint.xyz / nearPoint.w;
+                vec3 rayDir = normalize(farPoint.xyz / farPoint.w - rayOrigin);
                 
-                // Ray origin (centered in the volume)
-                vec3 rayOrigin = vec3(0.5, 0.5, 0.5);
+                // Volume boundaries: a box centred on the origin with its
+                // physical size in mm, so anisotropic voxels keep their shape
+                vec3 volumeMax = u_boxSize * 0.5;
                 
-                // Volume boundaries
-                vec3 volumeMin = vec3(0.0);
-                vec3 volumeMax = vec3(1.0);
-                
-                // Simple ray-volume intersection (for unit cube)
-                vec3 t1 = (volumeMin - rayOrigin) / rayDir;
-                vec3 t2 = (volumeMax - rayOrigin) / rayDir;
+                // Ray-box intersection, with the box cropped
+                vec3 t1 = (u_cropMin - rayOrigin) / rayDir;
+                vec3 t2 = (u_cropMax - rayOrigin) / rayDir;
                 
                 vec3 tNear3 = min(t1, t2);
                 vec3 tFar3 = max(t1, t2);
@@ -165,55 +411,153 @@ class VolumeRenderer {
                 float tNear = max(max(tNear3.x, tNear3.y), tNear3.z);
                 float tFar = min(min(tFar3.x, tFar3.y), tFar3.z);
                 
+                // Cut away the side of each clipping plane its normal points to
+                for (int i = 0; i < ${MAX_CLIP_PLANES}; i++) {
+                    if (float(i) >= u_clipPlaneCount) {
+                        break;
+                    }
+                    vec4 plane = u_clipPlanes[i];
+                    float facing = dot(rayDir, plane.xyz);
+                    float height = dot(rayOrigin, plane.xyz) - plane.w;
+                    if (facing > 0.0) {
+                        tFar = min(tFar, -height / facing);
+                    } else if (facing < 0.0) {
+                        tNear = max(tNear, -height / facing);
+                    } else if (height > 0.0) {
+                        tFar = -1.0;
+                    }
+                }
+                
                 // If ray doesn't intersect volume, return background
                 if (tNear > tFar || tFar < 0.0) {
-                    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                    fragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                    if (u_clipEditing > 0.5) {
+                        drawCropBox(fragColor, rayOrigin, rayDir, 1e20);
+                    }
                     return;
                 }
                 
-                // Start ray marching
-                vec3 startPos = rayOrigin + rayDir * max(0.0, tNear);
-                vec3 step = rayDir * 0.005; // Step size - smaller for more detail
-                vec3 currentPosition = startPos;
+                float tStart = max(0.0, tNear);
+                float tEnd = tFar;
+                
+                // Keep to the slab around the cursor, between two planes facing the viewer
+                if (u_viewSlabThickness > 0.0) {
+                    float slabDepth = dot((u_cursor - 0.5) * u_boxSize - rayOrigin, u_viewDirection);
+                    float depthPerStep = dot(rayDir, u_viewDirection);
+                    tStart = max(tStart, (slabDepth - u_viewSlabThickness * 0.5) / depthPerStep);
+                    tEnd = min(tEnd, (slabDepth + u_viewSlabThickness * 0.5) / depthPerStep);
+                    
+                    if (tStart > tEnd) {
+                        fragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                        return;
+                    }
+                }
+                
+                // The light follows the camera
+                vec3 lightDir = u_lightDirection;
+                vec3 halfway = normalize(lightDir - rayDir);
+                
+                // Start ray marching where the ray enters the box (and the slab)
+                float t = tStart;
                 
                 vec4 accumulatedColor = vec4(0.0);
                 float accumulatedAlpha = 0.0;
-                int steps = 0;
                 
-                // Ray marching loop
-                for (int i = 0; i < 200; i++) {
-                    if (accumulatedAlpha >= 0.95 || steps > 200) {
+                // Running maximum, minimum and sum of the HU along the ray for the projections
+                float maxDensity = -1e20;
+                float minDensity = 1e20;
+                float sumDensity = 0.0;
+                float sampleCount = 0.0;
+                
+                // Apply window leveling (level and width are in HU)
+                float windowMin = u_windowLevel - u_windowWidth * 0.5;
+                float windowMax = u_windowLevel + u_windowWidth * 0.5;
+                
+                // Distance along the ray where it becomes opaque
+                float tOpaque = tEnd;
+                
+                // Ray marching loop; the step size keeps the longest ray within the steps
+                for (int i = 0; i < ${MAX_RAY_STEPS}; i++) {
+                    if (accumulatedAlpha >= 0.95) {
+                        tOpaque = t;
                         break;
                     }
                     
-                    // Check if we're still in the volume
-                    if (currentPosition.x < 0.0 || currentPosition.x > 1.0 ||
-                        currentPosition.y < 0.0 || currentPosition.y > 1.0 ||
-                        currentPosition.z < 0.0 || currentPosition.z > 1.0) {
+                    // Check if we're still in the volume and the slab
+                    if (t > tEnd) {
                         break;
                     }
                     
-                    // Sample the volume at current position
-                    float density = sampleVolume(currentPosition);
+                    vec3 currentPosition = rayOrigin + rayDir * t;
+                    vec3 texturePosition = clamp(currentPosition / u_boxSize + 0.5, 0.0, 1.0);
                     
-                    // Apply window leveling
-                    float windowMin = u_windowLevel - u_windowWidth * 0.5;
-                    float windowMax = u_windowLevel + u_windowWidth * 0.5;
+                    // Step over blocks with nothing visible in them, to the first
+                    // step past the block so samples stay on the same grid
+                    if (u_skipEmptySpace > 0.5) {
+                        vec3 cell = min(floor(texturePosition / u_cellSize), u_occupancySize - 1.0);
+                        if (sampleOccupancy(cell) < 0.5) {
+                            vec3 cellMin = (cell * u_cellSize - 0.5) * u_boxSize;
+                            vec3 cellMax = (min((cell + 1.0) * u_cellSize, vec3(1.0)) - 0.5) * u_boxSize;
+                            vec3 tExits = (mix(cellMin, cellMax, step(0.0, rayDir)) - rayOrigin) / rayDir;
+                            float tExit = min(tExits.x, min(tExits.y, tExits.z));
+                            t = max(t + u_stepSize, tStart + (floor((tExit - tStart) / u_stepSize) + 1.0) * u_stepSize);
+                            continue;
+                        }
+                    }
                     
-                    float normalizedDensity = (density - windowMin) / (windowMax - windowMin);
-                    normalizedDensity = clamp(normalizedDensity, 0.0, 1.0);
+                    // Sample the volume at current position and convert back to HU
+                    float density = u_valueOffset + sampleVolume(texturePosition) * u_valueScale;
                     
-                    // Only process if above threshold
-                    if (normalizedDensity > u_threshold / 255.0) {
-                        // Simple coloring based on density
-                        float intensity = normalizedDensity;
+                    // Projections keep one value of the ray instead of compositing
+                    if (u_renderMode > 0.5) {
+                        maxDensity = max(maxDensity, density);
+                        minDensity = min(minDensity, density);
+                        sumDensity += density;
+                        sampleCount += 1.0;
+                        t += u_stepSize;
+                        continue;
+                    }
+                    
+                    vec3 color = vec3(0.0);
+                    float alpha = 0.0;
+                    
+                    if (u_useTransferFunction > 0.5) {
+                        // Color and opacity from the transfer function; its opacity is
+                        // per mm, corrected for the step length
+                        vec4 mapped = sampleTransferFunction((density - u_transferMin) / (u_transferMax - u_transferMin));
+                        color = mapped.rgb;
+                        alpha = 1.0 - pow(1.0 - clamp(mapped.a * u_opacity, 0.0, 0.999), u_stepSize);
+                    } else {
+                        float normalizedDensity = (density - windowMin) / (windowMax - windowMin);
+                        normalizedDensity = clamp(normalizedDensity, 0.0, 1.0);
                         
-                        // Create a color based on intensity and position for better visualization
-                        vec3 color = vec3(intensity);
+                        // Only process if above threshold
+                        if (normalizedDensity > u_threshold / 255.0) {
+                            // Simple coloring based on density
+                            color = vec3(normalizedDensity);
+                            
+                            // Create alpha based on density and opacity setting, scaled down
+                            // for proper blending; the opacity is per smallest voxel side
+                            float voxelAlpha = normalizedDensity * u_opacity * 0.05;
+                            float minSpacing = min(u_voxelSpacing.x, min(u_voxelSpacing.y, u_voxelSpacing.z));
+                            alpha = 1.0 - pow(1.0 - voxelAlpha, u_stepSize / minSpacing);
+                        }
+                    }
+                    
+                    // Lighting and gradient opacity need the gradient, so only
+                    // visible samples pay for its six extra lookups
+                    if (alpha > 0.0 && (u_shading > 0.5 || u_gradientOpacity > 0.0)) {
+                        vec3 gradient = computeGradient(texturePosition);
                         
-                        // Create alpha based on density and opacity setting
-                        float alpha = intensity * u_opacity * 0.05; // Scale down for proper blending
+                        // Fade samples inside uniform tissue, so boundaries stand out
+                        alpha *= mix(1.0, clamp(length(gradient) / fullOpacityGradient, 0.0, 1.0), u_gradientOpacity);
                         
+                        if (u_shading > 0.5) {
+                            color = shade(color, gradient, lightDir, halfway);
+                        }
+                    }
+                    
+                    if (alpha > 0.0) {
                         // Front-to-back alpha compositing
                         vec4 newColor = vec4(color * alpha, alpha);
                         accumulatedColor = accumulatedColor + newColor * (1.0 - accumulatedAlpha);
@@ -221,16 +565,209 @@ class VolumeRenderer {
                     }
                     
                     // Move to next position
-                    currentPosition += step;
-                    steps++;
+                    t += u_stepSize;
+                }
+                
+                // Output the final color with proper alpha; projections show the
+                // windowed maximum (MIP), minimum (MinIP) or mean (AIP)
+                if (u_renderMode > 0.5) {
+                    if (sampleCount > 0.0) {
+                        float projected = u_renderMode < 1.5 ? maxDensity :
+                                          u_renderMode < 2.5 ? minDensity : sumDensity / sampleCount;
+                        float gray = clamp((projected - windowMin) / (windowMax - windowMin), 0.0, 1.0);
+                        fragColor = vec4(vec3(gray), 1.0);
+                    } else {
+                        fragColor = vec4(0.0, 0.0, 0.0, 0.0);
+                    }
+                } else if (accumulatedAlpha > 0.0) {
+                    fragColor = vec4(accumulatedColor.rgb / accumulatedAlpha, accumulatedAlpha);
+                } else {
+                    fragColor = vec4(0.0, 0.0, 0.0, 0.0);
+                }
+                
+                // Outline the MPR planes through the cursor where they meet the
+                // box faces, unless opaque tissue lies in front
+                if (u_showPlanes > 0.5) {
+                    vec3 cursorPosition = (u_cursor - 0.5) * u_boxSize;
+                    float lineWidth = 0.004 * length(u_boxSize);
+                    
+                    for (int plane = 0; plane < 3; plane++) {
+                        vec3 normal = u_planeNormals[plane];
+                        float t = dot(cursorPosition - rayOrigin, normal) / dot(rayDir, normal);
+                        if (t < tStart || t > tOpaque) {
+                            continue;
+                        }
+                        
+                        // Distance within the plane to each pair of box faces; faces
+                        // parallel to the plane never meet it
+                        vec3 faceDistance = (volumeMax - abs(rayOrigin + rayDir * t)) /
+                                            sqrt(max(1.0 - normal * normal, vec3(1e-8)));
+                        if (min(faceDistance.x, min(faceDistance.y, faceDistance.z)) < lineWidth) {
+                            fragColor = vec4(u_planeColors[plane], 1.0);
+                        }
+                    }
+                }
+                
+                // While editing, show the crop box and where the selected clipping
+                // plane meets its faces
+                if (u_clipEditing > 0.5) {
+                    drawCropBox(fragColor, rayOrigin, rayDir, tOpaque);
+                    
+                    vec3 cropCentre = (u_cropMin + u_cropMax) * 0.5;
+                    vec3 cropHalfSize = (u_cropMax - u_cropMin) * 0.5;
+                    float lineWidth = 0.004 * length(u_boxSize);
+                    for (int i = 0; i < ${MAX_CLIP_PLANES}; i++) {
+                        if (float(i) != u_selectedClipPlane) {
+                            continue;
+                        }
+                        vec4 plane = u_clipPlanes[i];
+                        float t = (plane.w - dot(rayOrigin, plane.xyz)) / dot(rayDir, plane.xyz);
+                        if (t < tStart - lineWidth || t > tOpaque + lineWidth) {
+                            continue;
+                        }
+                        vec3 faceDistance = (cropHalfSize - abs(rayOrigin + rayDir * t - cropCentre)) /
+                                            sqrt(max(1.0 - plane.xyz * plane.xyz, vec3(1e-8)));
+                        if (min(faceDistance.x, min(faceDistance.y, faceDistance.z)) < lineWidth) {
+                            fragColor = vec4(0.3, 0.8, 1.0, 1.0);
+                        }
+                    }
+                }
+            }
+        `;
+        
+        // Fragment shader for the MPR panes: samples a plane or the curved plane along
+        // a polyline, averaged across the slab, applies the pane's window and draws
+        // the crosshair and the curve being drawn
+        const mprFragmentShaderSource = volumeSamplingSource + `
+            uniform float u_slices;
+            uniform float u_windowLevel;
+            uniform float u_windowWidth;
+            uniform float u_valueOffset;
+            uniform float u_valueScale;
+            uniform vec3 u_boxSize;
+            uniform vec3 u_planeOrigin;
+            uniform vec3 u_planeRight;
+            uniform vec3 u_planeUp;
+            uniform vec3 u_planeNormal;
+            uniform vec2 u_fit;
+            uniform vec2 u_viewportSize;
+            uniform float u_pixelSize;
+            uniform float u_slabThickness;
+            uniform float u_slabSamples;
+            uniform vec2 u_crosshair;
+            uniform vec2 u_lineDirections[2];
+            uniform vec3 u_lineColors[2];
+            uniform vec2 u_handles[4];
+            uniform float u_curved;
+            uniform vec4 u_curvePoints[${MAX_CURVE_POINTS}];
+            uniform float u_curvePointCount;
+            uniform float u_curveLength;
+            uniform vec3 u_curveUp;
+            uniform vec3 u_curveUpDirection;
+            
+            // Average of the samples spread evenly across the slab; a single
+            // sample when the slab is off
+            float sampleSlab(vec3 position, vec3 normal) {
+                float total = 0.0;
+                for (int i = 0; i < ${MAX_SLAB_SAMPLES}; i++) {
+                    if (float(i) >= u_slabSamples) break;
+                    float offset = ((float(i) + 0.5) / u_slabSamples - 0.5) * u_slabThickness;
+                    total += sampleVolume(position + normal * offset);
+                }
+                return total / u_slabSamples;
+            }
+            
+            // Point of the curve at a distance (mm) along it, and the direction across
+            // the curve there (texture coordinates per mm) for the slab
+            bool curvePoint(float distance, out vec3 position, out vec3 across) {
+                vec4 start = u_curvePoints[0];
+                for (int i = 1; i < ${MAX_CURVE_POINTS}; i++) {
+                    if (float(i) >= u_curvePointCount) break;
+                    vec4 end = u_curvePoints[i];
+                    if (distance <= end.w || float(i) >= u_curvePointCount - 1.0) {
+                        float f = clamp((distance - start.w) / max(end.w - start.w, 1e-6), 0.0, 1.0);
+                        position = mix(start.xyz, end.xyz, f);
+                        
+                        vec3 acrossMm = cross((end.xyz - start.xyz) * u_boxSize, u_curveUpDirection);
+                        across = dot(acrossMm, acrossMm) > 0.0 ? normalize(acrossMm) / u_boxSize : vec3(0.0);
+                        return true;
+                    }
+                    start = end;
                 }
+                return false;
+            }
+            
+            // Distance (mm) from a point to the curve's segments
+            float curveDistance(vec3 position) {
+                float nearest = 1e10;
+                vec3 start = u_curvePoints[0].xyz * u_boxSize;
+                for (int i = 0; i < ${MAX_CURVE_POINTS}; i++) {
+                    if (float(i) >= u_curvePointCount) break;
+                    vec3 end = u_curvePoints[i].xyz * u_boxSize;
+                    vec3 segment = end - start;
+                    float lengthSquared = dot(segment, segment);
+                    float f = lengthSquared > 0.0 ? clamp(dot(position - start, segment) / lengthSquared, 0.0, 1.0) : 0.0;
+                    nearest = min(nearest, length(position - start - segment * f));
+                    start = end;
+                }
+                return nearest;
+            }
+            
+            void main() {
+                vec3 color = vec3(0.0);
                 
-                // Output the final color with proper alpha
-                if (accumulatedAlpha > 0.0) {
-                    gl_FragColor = vec4(accumulatedColor.rgb / accumulatedAlpha, accumulatedAlpha);
+                // Letterbox the plane to keep its aspect ratio
+                vec2 planePosition = (v_texCoord - 0.5) * u_fit + 0.5;
+                bool inPlane = all(greaterThanEqual(planePosition, vec2(0.0))) &&
+                               all(lessThanEqual(planePosition, vec2(1.0)));
+                
+                vec3 texturePosition;
+                vec3 slabNormal;
+                bool onCurve = true;
+                if (u_curved > 0.5) {
+                    // Straightened curve: its length runs across the pane, the up vector up it
+                    vec3 curvePosition;
+                    onCurve = curvePoint(planePosition.x * u_curveLength, curvePosition, slabNormal);
+                    texturePosition = curvePosition + (planePosition.y - 0.5) * u_curveUp;
                 } else {
-                    gl_FragColor = vec4(0.0, 0.0, 0.0, 0.0);
+                    texturePosition = u_planeOrigin + planePosition.x * u_planeRight + planePosition.y * u_planeUp;
+                    slabNormal = u_planeNormal;
+                }
+                
+                // Corners of oblique planes lie outside the volume
+                if (u_slices > 0.0 && inPlane && onCurve &&
+                    all(greaterThanEqual(texturePosition, vec3(0.0))) &&
+                    all(lessThanEqual(texturePosition, vec3(1.0)))) {
+                    float density = u_valueOffset + sampleSlab(texturePosition, slabNormal) * u_valueScale;
+                    
+                    float windowMin = u_windowLevel - u_windowWidth * 0.5;
+                    color = vec3(clamp((density - windowMin) / u_windowWidth, 0.0, 1.0));
+                }
+                
+                if (u_slices > 0.0 && u_curved < 0.5) {
+                    // The curve being drawn, where it lies in this plane
+                    if (u_curvePointCount > 0.0 && curveDistance(texturePosition * u_boxSize) < 1.5 * u_pixelSize) {
+                        color = vec3(0.3, 0.85, 1.0);
+                    }
+                    
+                    // Crosshair lines, colored like the panes whose planes they show,
+                    // with handles for tilting them
+                    vec2 pixel = (v_texCoord - u_crosshair) * u_viewportSize;
+                    for (int i = 0; i < 2; i++) {
+                        vec2 direction = u_lineDirections[i];
+                        if (abs(pixel.x * direction.y - pixel.y * direction.x) < 0.75) {
+                            color = u_lineColors[i];
+                        }
+                        for (int j = 0; j < 2; j++) {
+                            vec2 handle = (v_texCoord - u_handles[i * 2 + j]) * u_viewportSize;
+                            if (length(handle) < ${HANDLE_RADIUS.toFixed(1)}) {
+                                color = u_lineColors[i];
+                            }
+                        }
+                    }
                 }
+                
+                fragColor = vec4(color, 1.0);
             }
         `;
         
@@ -240,6 +777,11 @@ class VolumeRenderer {
         if (this.vertexShader && this.fragmentShader) {
             this.program = this.createProgram(this.vertexShader, this.fragmentShader);
         }
+        
+        this.mprFragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, mprFragmentShaderSource);
+        if (this.vertexShader && this.mprFragmentShader) {
+            this.mprProgram = this.createProgram(this.vertexShader, this.mprFragmentShader);
+        }
     }
     
     createShader(type, source) {
@@ -288,6 +830,8 @@ class VolumeRenderer {
     
     setupTextures() {
         this.volumeTexture = this.gl.createTexture();
+        this.transferTexture = this.gl.createTexture();
+        this.occupancyTexture = this.gl.createTexture();
     }
     
     setupUniforms() {
@@ -301,50 +845,518 @@ class VolumeRenderer {
             opacity: this.gl.getUniformLocation(this.program, 'u_opacity'),
             windowLevel: this.gl.getUniformLocation(this.program, 'u_windowLevel'),
             windowWidth: this.gl.getUniformLocation(this.program, 'u_windowWidth'),
+            valueOffset: this.gl.getUniformLocation(this.program, 'u_valueOffset'),
+            valueScale: this.gl.getUniformLocation(this.program, 'u_valueScale'),
             volumeSize: this.gl.getUniformLocation(this.program, 'u_volumeSize'),
-            u_zoom: this.gl.getUniformLocation(this.program, 'u_zoom'),
-            u_rotationX: this.gl.getUniformLocation(this.program, 'u_rotationX'),
-            u_rotationY: this.gl.getUniformLocation(this.program, 'u_rotationY')
+            boxSize: this.gl.getUniformLocation(this.program, 'u_boxSize'),
+            stepSize: this.gl.getUniformLocation(this.program, 'u_stepSize'),
+            inverseViewProjection: this.gl.getUniformLocation(this.program, 'u_inverseViewProjection'),
+            viewDirection: this.gl.getUniformLocation(this.program, 'u_viewDirection'),
+            lightDirection: this.gl.getUniformLocation(this.program, 'u_lightDirection'),
+            cursor: this.gl.getUniformLocation(this.program, 'u_cursor'),
+            showPlanes: this.gl.getUniformLocation(this.program, 'u_showPlanes'),
+            planeNormals: this.gl.getUniformLocation(this.program, 'u_planeNormals'),
+            planeColors: this.gl.getUniformLocation(this.program, 'u_planeColors'),
+            renderMode: this.gl.getUniformLocation(this.program, 'u_renderMode'),
+            viewSlabThickness: this.gl.getUniformLocation(this.program, 'u_viewSlabThickness'),
+            transferFunction: this.gl.getUniformLocation(this.program, 'u_transferFunction'),
+            useTransferFunction: this.gl.getUniformLocation(this.program, 'u_useTransferFunction'),
+            transferMin: this.gl.getUniformLocation(this.program, 'u_transferMin'),
+            transferMax: this.gl.getUniformLocation(this.program, 'u_transferMax'),
+            voxelSpacing: this.gl.getUniformLocation(this.program, 'u_voxelSpacing'),
+            shading: this.gl.getUniformLocation(this.program, 'u_shading'),
+            ambient: this.gl.getUniformLocation(this.program, 'u_ambient'),
+            diffuse: this.gl.getUniformLocation(this.program, 'u_diffuse'),
+            specular: this.gl.getUniformLocation(this.program, 'u_specular'),
+            shininess: this.gl.getUniformLocation(this.program, 'u_shininess'),
+            gradientOpacity: this.gl.getUniformLocation(this.program, 'u_gradientOpacity'),
+            skipEmptySpace: this.gl.getUniformLocation(this.program, 'u_skipEmptySpace'),
+            occupancy: this.gl.getUniformLocation(this.program, 'u_occupancy'),
+            occupancySize: this.gl.getUniformLocation(this.program, 'u_occupancySize'),
+            cellSize: this.gl.getUniformLocation(this.program, 'u_cellSize'),
+            cropMin: this.gl.getUniformLocation(this.program, 'u_cropMin'),
+            cropMax: this.gl.getUniformLocation(this.program, 'u_cropMax'),
+            clipPlanes: this.gl.getUniformLocation(this.program, 'u_clipPlanes'),
+            clipPlaneCount: this.gl.getUniformLocation(this.program, 'u_clipPlaneCount'),
+            clipEditing: this.gl.getUniformLocation(this.program, 'u_clipEditing'),
+            activeCropFace: this.gl.getUniformLocation(this.program, 'u_activeCropFace'),
+            selectedClipPlane: this.gl.getUniformLocation(this.program, 'u_selectedClipPlane')
+        };
+        
+        this.gl.useProgram(this.mprProgram);
+        this.mprUniformLocations = {
+            volumeTexture: this.gl.getUniformLocation(this.mprProgram, 'u_volumeTexture'),
+            textureWidth: this.gl.getUniformLocation(this.mprProgram, 'u_textureWidth'),
+            textureHeight: this.gl.getUniformLocation(this.mprProgram, 'u_textureHeight'),
+            slices: this.gl.getUniformLocation(this.mprProgram, 'u_slices'),
+            windowLevel: this.gl.getUniformLocation(this.mprProgram, 'u_windowLevel'),
+            windowWidth: this.gl.getUniformLocation(this.mprProgram, 'u_windowWidth'),
+            valueOffset: this.gl.getUniformLocation(this.mprProgram, 'u_valueOffset'),
+            valueScale: this.gl.getUniformLocation(this.mprProgram, 'u_valueScale'),
+            volumeSize: this.gl.getUniformLocation(this.mprProgram, 'u_volumeSize'),
+            boxSize: this.gl.getUniformLocation(this.mprProgram, 'u_boxSize'),
+            planeOrigin: this.gl.getUniformLocation(this.mprProgram, 'u_planeOrigin'),
+            planeRight: this.gl.getUniformLocation(this.mprProgram, 'u_planeRight'),
+            planeUp: this.gl.getUniformLocation(this.mprProgram, 'u_planeUp'),
+            planeNormal: this.gl.getUniformLocation(this.mprProgram, 'u_planeNormal'),
+            fit: this.gl.getUniformLocation(this.mprProgram, 'u_fit'),
+            viewportSize: this.gl.getUniformLocation(this.mprProgram, 'u_viewportSize'),
+            pixelSize: this.gl.getUniformLocation(this.mprProgram, 'u_pixelSize'),
+            slabThickness: this.gl.getUniformLocation(this.mprProgram, 'u_slabThickness'),
+            slabSamples: this.gl.getUniformLocation(this.mprProgram, 'u_slabSamples'),
+            crosshair: this.gl.getUniformLocation(this.mprProgram, 'u_crosshair'),
+            lineDirections: this.gl.getUniformLocation(this.mprProgram, 'u_lineDirections'),
+            lineColors: this.gl.getUniformLocation(this.mprProgram, 'u_lineColors'),
+            handles: this.gl.getUniformLocation(this.mprProgram, 'u_handles'),
+            curved: this.gl.getUniformLocation(this.mprProgram, 'u_curved'),
+            curvePoints: this.gl.getUniformLocation(this.mprProgram, 'u_curvePoints'),
+            curvePointCount: this.gl.getUniformLocation(this.mprProgram, 'u_curvePointCount'),
+            curveLength: this.gl.getUniformLocation(this.mprProgram, 'u_curveLength'),
+            curveUp: this.gl.getUniformLocation(this.mprProgram, 'u_curveUp'),
+            curveUpDirection: this.gl.getUniformLocation(this.mprProgram, 'u_curveUpDirection')
         };
     }
     
-    setupMouseHandlers() {
-        this.canvas.addEventListener('mousedown', (e) => {
+    setupPointerHandlers() {
+        // Touch gestures are handled here instead of scrolling or zooming the page
+        this.canvas.style.touchAction = 'none';
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const hit = this.getPaneAt(e);
+            if (!hit) return;
+            
+            // Keep receiving the pointer's events when it leaves the canvas
+            this.canvas.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, {
+                clientX: e.clientX,
+                clientY: e.clientY,
+                startX: e.clientX,
+                startY: e.clientY,
+                startTime: e.timeStamp,
+                pointerType: e.pointerType,
+                pane: hit.pane
+            });
+            
+            // A second finger on the 3D view turns its drag into a pinch
+            if (this.pointers.size === 2 && this.dragMode === 'rotate' &&
+                [...this.pointers.values()].every(pointer => !pointer.pane.view)) {
+                this.dragMode = 'pinch';
+                this.pinch = this.getPinch();
+            }
+            if (this.pointers.size > 1) return;
+            
             this.isDragging = true;
+            this.dragPane = hit.pane;
+            this.dragPointerId = e.pointerId;
             this.lastMouseX = e.clientX;
             this.lastMouseY = e.clientY;
+            
+            const view = hit.pane.view;
+            const slicePane = view && view !== this.cprView;
+            if (!view) {
+                // Left drag (or one finger) turns the 3D view, right drag pans it; while
+                // editing the clipping, left drag on a crop face moves the face and
+                // Shift-drag moves the selected plane
+                this.activeCropFace = this.clipEditing && e.button === 0 ? this.getCropFaceAt(hit.pane, hit.point) : -1;
+                if (this.activeCropFace >= 0) {
+                    this.dragMode = 'crop';
+                } else if (this.clipEditing && e.button === 0 && e.shiftKey && this.selectedClipPlane >= 0) {
+                    this.dragMode = 'clipPlane';
+                } else {
+                    this.dragMode = e.button === 0 ? 'rotate' : e.button === 2 ? 'pan' : null;
+                }
+                this.dragPoint = hit.point;
+            } else if (e.button === 2) {
+                // Right drag sets the pane's own window
+                this.dragMode = 'window';
+            } else if (e.button !== 0) {
+                this.dragMode = null;
+            } else if (slicePane && this.getHandleAt(hit.pane, hit.point)) {
+                // Dragging a crosshair handle tilts the other planes
+                this.dragMode = 'tilt';
+                this.dragAngle = this.getCrosshairAngle(hit.pane, hit.point);
+            } else if (slicePane && this.curveDrawing) {
+                this.dragMode = null;
+                this.addCurvePoint(hit.pane, hit.point);
+            } else {
+                // Left click or drag moves the crosshair, and with it the other panes' slices
+                this.dragMode = 'cursor';
+                this.moveCursor(hit.pane, hit.point);
+            }
         });
         
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (this.isDragging) {
-                const deltaX = e.clientX - this.lastMouseX;
-                const deltaY = e.clientY - this.lastMouseY;
-                
-                // Update rotation based on mouse movement
-                this.rotationY += deltaX * 0.01;
-                this.rotationX += deltaY * 0.01;
-                
-                // Clamp vertical rotation to avoid flipping
-                this.rotationX = Math.max(-1.57, Math.min(1.57, this.rotationX));
-                
-                this.lastMouseX = e.clientX;
-                this.lastMouseY = e.clientY;
+        this.canvas.addEventListener('pointermove', (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (pointer) {
+                pointer.clientX = e.clientX;
+                pointer.clientY = e.clientY;
+            }
+            if (!this.isDragging) {
+                // Show which crop face a drag would move
+                if (this.clipEditing) {
+                    const hit = this.getPaneAt(e);
+                    this.activeCropFace = hit && !hit.pane.view ? this.getCropFaceAt(hit.pane, hit.point) : -1;
+                }
+                return;
+            }
+            
+            if (this.dragMode === 'pinch') {
+                // Spreading the fingers zooms, moving them together pans
+                const pinch = this.getPinch();
+                const aspect = this.dragPane.width / this.dragPane.height;
+                this.camera.zoomBy(pinch.spread / this.pinch.spread);
+                this.camera.pan([pinch.centre[0] - this.pinch.centre[0], pinch.centre[1] - this.pinch.centre[1]], aspect);
+                this.pinch = pinch;
+                return;
+            }
+            if (e.pointerId !== this.dragPointerId) return;
+            
+            const deltaX = e.clientX - this.lastMouseX;
+            const deltaY = e.clientY - this.lastMouseY;
+            const view = this.dragPane.view;
+            
+            if (this.dragMode === 'rotate' || this.dragMode === 'pan') {
+                const point = this.getPanePoint(e, this.dragPane);
+                const aspect = this.dragPane.width / this.dragPane.height;
+                if (this.dragMode === 'rotate') {
+                    this.camera.rotate(this.dragPoint, point, aspect);
+                } else {
+                    this.camera.pan([point[0] - this.dragPoint[0], point[1] - this.dragPoint[1]], aspect);
+                }
+                this.dragPoint = point;
+            } else if (this.dragMode === 'crop') {
+                // Move the face along its axis by as much as the pointer moved along it on screen
+                const point = this.getPanePoint(e, this.dragPane);
+                const axis = Math.floor(this.activeCropFace / 2);
+                const position = this.getCropFaceCentre(this.activeCropFace);
+                const direction = [0, 1, 2].map(i => i === axis ? 1 : 0);
+                const moved = this.getDragAlong(this.dragPoint, point, position, direction, this.dragPane);
+                const { min, max } = moveCropFace(this.cropBox, this.activeCropFace, moved / this.boxSize[axis]);
+                this.setCropBox(min, max);
+                this.dragPoint = point;
+            } else if (this.dragMode === 'clipPlane') {
+                const point = this.getPanePoint(e, this.dragPane);
+                const plane = this.clipPlanes[this.selectedClipPlane];
+                const position = plane.normal.map(c => c * plane.distance);
+                const moved = this.getDragAlong(this.dragPoint, point, position, plane.normal, this.dragPane);
+                this.setClipPlane(this.selectedClipPlane, plane.normal, plane.distance + moved);
+                this.dragPoint = point;
+            } else if (this.dragMode === 'window') {
+                view.adjustWindow(deltaX, deltaY);
+            } else if (this.dragMode === 'cursor') {
+                this.moveCursor(this.dragPane, this.getPanePoint(e, this.dragPane));
+            } else if (this.dragMode === 'tilt') {
+                const angle = this.getCrosshairAngle(this.dragPane, this.getPanePoint(e, this.dragPane));
+                tiltPlanes(this.mprViews, view, angle - this.dragAngle);
+                this.dragAngle = angle;
             }
+            
+            this.lastMouseX = e.clientX;
+            this.lastMouseY = e.clientY;
         });
         
-        this.canvas.addEventListener('mouseup', () => {
-            this.isDragging = false;
-        });
+        const endPointer = (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) return;
+            this.pointers.delete(e.pointerId);
+            
+            if (this.dragMode === 'pinch') {
+                // Carry on turning with the finger left on the screen
+                const [[pointerId, remaining]] = this.pointers;
+                this.dragMode = 'rotate';
+                this.dragPointerId = pointerId;
+                this.dragPoint = this.getPanePoint(remaining, this.dragPane);
+                this.pinch = null;
+                return;
+            }
+            if (e.pointerId === this.dragPointerId) {
+                this.isDragging = false;
+                this.dragPointerId = null;
+                this.activeCropFace = -1;
+            }
+            
+            // Double tap on the 3D view resets it
+            if (e.type === 'pointerup' && pointer.pointerType !== 'mouse' && !pointer.pane.view) {
+                this.handleTap(pointer, e.timeStamp);
+            }
+        };
+        this.canvas.addEventListener('pointerup', endPointer);
+        this.canvas.addEventListener('pointercancel', endPointer);
         
-        this.canvas.addEventListener('mouseleave', () => {
-            this.isDragging = false;
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
         });
         
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            // Adjust zoom with scroll
-            this.zoom += e.deltaY * -0.001;
-            this.zoom = Math.max(0.1, Math.min(3.0, this.zoom));
+            const hit = this.getPaneAt(e);
+            
+            if (hit && hit.pane.view) {
+                // Scroll through the pane's slices; the curved pane has none
+                if (this.volumeData && hit.pane.view !== this.cprView) {
+                    hit.pane.view.scroll(this.cursor, Math.sign(e.deltaY), this.getVolumeGeometry());
+                }
+                return;
+            }
+            
+            // Zoom the 3D view with scroll, by the same factor per wheel notch
+            this.camera.zoomBy(Math.exp(e.deltaY * -0.001));
+        });
+    }
+    
+    /**
+     * Spread and centre of the two pointers of a pinch
+     * @returns {Object} spread in pixels and centre in dragPane coordinates
+     */
+    getPinch() {
+        const [first, second] = this.pointers.values();
+        const centre = {
+            clientX: (first.clientX + second.clientX) / 2,
+            clientY: (first.clientY + second.clientY) / 2
+        };
+        return {
+            spread: Math.max(1, Math.hypot(first.clientX - second.clientX, first.clientY - second.clientY)),
+            centre: this.getPanePoint(centre, this.dragPane)
+        };
+    }
+    
+    /**
+     * Count a lifted touch or pen as a tap if it was short and stayed put, and reset
+     * the camera on the second of two quick taps close together
+     * @param {Object} pointer - The lifted pointer's record from this.pointers
+     * @param {number} time - When it was lifted, in ms
+     */
+    handleTap(pointer, time) {
+        const moved = Math.hypot(pointer.clientX - pointer.startX, pointer.clientY - pointer.startY);
+        if (time - pointer.startTime > TAP_DURATION || moved > TAP_SLOP) {
+            this.lastTap = null;
+            return;
+        }
+        
+        const lastTap = this.lastTap;
+        if (lastTap && time - lastTap.time < DOUBLE_TAP_INTERVAL &&
+            Math.hypot(pointer.clientX - lastTap.clientX, pointer.clientY - lastTap.clientY) < DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            this.resetCamera();
+        } else {
+            this.lastTap = { time, clientX: pointer.clientX, clientY: pointer.clientY };
+        }
+    }
+    
+    /**
+     * Show the 3D view alone, next to the axial, coronal and sagittal panes, or
+     * swap it for the curved pane
+     * @param {string} layout - 'single', 'mpr' or 'cpr'
+     */
+    setLayout(layout) {
+        if (!['single', 'mpr', 'cpr'].includes(layout)) {
+            throw new Error(`Unknown layout '${layout}', expected 'single', 'mpr' or 'cpr'`);
+        }
+        this.layout = layout;
+    }
+    
+    /**
+     * Split the canvas into panes. The MPR layouts are a 2x2 grid with the 3D view
+     * (or the curved pane) at the top left, axial at the top right, coronal and sagittal below.
+     * @returns {Array<Object>} Panes with x, y, width, height in canvas pixels (origin at the
+     *                          lower left, as for gl.viewport) and the MprView or CprView,
+     *                          null for the 3D view
+     */
+    getPanes() {
+        const { width, height } = this.canvas;
+        if (this.layout === 'single') {
+            return [{ x: 0, y: 0, width, height, view: null }];
+        }
+        
+        const halfWidth = Math.floor(width / 2);
+        const halfHeight = Math.floor(height / 2);
+        const [axial, coronal, sagittal] = this.mprViews;
+        return [
+            { x: 0, y: halfHeight, width: halfWidth, height: height - halfHeight, view: this.layout === 'cpr' ? this.cprView : null },
+            { x: halfWidth, y: halfHeight, width: width - halfWidth, height: height - halfHeight, view: axial },
+            { x: 0, y: 0, width: halfWidth, height: halfHeight, view: coronal },
+            { x: halfWidth, y: 0, width: width - halfWidth, height: halfHeight, view: sagittal }
+        ];
+    }
+    
+    /**
+     * Position of a mouse event in a pane
+     * @param {MouseEvent} e - Mouse event on the canvas
+     * @param {Object} pane - Pane from getPanes()
+     * @returns {Array<number>} Pane coordinates (0-1, origin at the lower left)
+     */
+    getPanePoint(e, pane) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = this.canvas.height - (e.clientY - rect.top) * this.canvas.height / rect.height;
+        return [(x - pane.x) / pane.width, (y - pane.y) / pane.height];
+    }
+    
+    /**
+     * Find the pane under a mouse event
+     * @param {MouseEvent} e - Mouse event on the canvas
+     * @returns {Object|null} pane and point in pane coordinates
+     */
+    getPaneAt(e) {
+        for (const pane of this.getPanes()) {
+            const point = this.getPanePoint(e, pane);
+            if (point[0] >= 0 && point[0] <= 1 && point[1] >= 0 && point[1] <= 1) {
+                return { pane, point };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Size of the loaded volume, as MprView and CprView take it
+     * @returns {Object} dimensions [x, y, z] in voxels and spacing [x, y, z] in mm
+     */
+    getVolumeGeometry() {
+        if (!this.textureLayout) {
+            return { dimensions: [1, 1, 1], spacing: [1, 1, 1] };
+        }
+        return { dimensions: this.textureLayout.volumeSize, spacing: this.voxelSpacing };
+    }
+    
+    /**
+     * Plane a pane shows and how it fits the pane
+     * @param {Object} pane - Pane from getPanes() showing an MprView or CprView
+     * @returns {Object|null} plane (from MprView.getPlane() or CprView.getPath()) and fit,
+     *                        or null without a volume or a curve to show
+     */
+    getPaneGeometry(pane) {
+        if (!this.volumeData) return null;
+        
+        const volume = this.getVolumeGeometry();
+        const plane = pane.view === this.cprView
+            ? this.cprView.getPath(volume)
+            : pane.view.getPlane(this.cursor, volume);
+        if (!plane) return null;
+        
+        return { plane, fit: pane.view.getFit(plane, pane.width, pane.height) };
+    }
+    
+    /**
+     * Move the cursor to a point of an MPR or curved pane; points outside the volume are ignored
+     * @param {Object} pane - Pane from getPanes() showing an MprView or CprView
+     * @param {Array<number>} point - Pane coordinates
+     */
+    moveCursor(pane, point) {
+        const geometry = this.getPaneGeometry(pane);
+        if (!geometry) return;
+        
+        const position = pane.view.paneToVolume(point, geometry.plane, geometry.fit);
+        if (position) {
+            this.cursor = position;
+        }
+    }
+    
+    /**
+     * Check whether a point of an MPR pane is on one of its crosshair handles
+     * @param {Object} pane - Pane from getPanes() showing an MprView
+     * @param {Array<number>} point - Pane coordinates
+     * @returns {boolean}
+     */
+    getHandleAt(pane, point) {
+        const geometry = this.getPaneGeometry(pane);
+        if (!geometry) return false;
+        
+        const { lines } = pane.view.getCrosshair(this.cursor, geometry.plane, geometry.fit,
+                                                 pane.width, pane.height, this.mprViews);
+        return lines.some(line => line.handles.some(handle =>
+            Math.hypot((point[0] - handle[0]) * pane.width, (point[1] - handle[1]) * pane.height) <= HANDLE_RADIUS * 2));
+    }
+    
+    /**
+     * Angle of a point around the crosshair centre of an MPR pane
+     * @param {Object} pane - Pane from getPanes() showing an MprView
+     * @param {Array<number>} point - Pane coordinates
+     * @returns {number} Angle in radians, counterclockwise from the pane's x axis
+     */
+    getCrosshairAngle(pane, point) {
+        const { plane, fit } = this.getPaneGeometry(pane);
+        const centre = pane.view.volumeToPane(this.cursor, plane, fit);
+        return Math.atan2((point[1] - centre[1]) * pane.height, (point[0] - centre[0]) * pane.width);
+    }
+    
+    /**
+     * Return the MPR planes to axial, coronal and sagittal
+     */
+    resetPlanes() {
+        this.mprViews.forEach(view => view.resetOrientation());
+    }
+    
+    /**
+     * Average the MPR and curved panes over a slab along their normal
+     * @param {number} thickness - Slab thickness in mm, 0 for single planes
+     */
+    setSlabThickness(thickness) {
+        this.slabThickness = Math.max(0, thickness);
+    }
+    
+    /**
+     * Start or stop drawing the curve for the curved pane; while drawing, clicks in
+     * the slice panes add points instead of moving the cursor
+     * @param {boolean} drawing
+     */
+    setCurveDrawing(drawing) {
+        this.curveDrawing = drawing;
+    }
+    
+    /**
+     * Add the point under the mouse in an MPR pane to the curve
+     * @param {Object} pane - Pane from getPanes() showing an MprView
+     * @param {Array<number>} point - Pane coordinates
+     */
+    addCurvePoint(pane, point) {
+        const geometry = this.getPaneGeometry(pane);
+        if (!geometry) return;
+        
+        const position = pane.view.paneToVolume(point, geometry.plane, geometry.fit);
+        if (position && !this.cprView.addPoint(position, pane.view.normal)) {
+            console.warn(`Curves have at most ${MAX_CURVE_POINTS} points`);
+        }
+    }
+    
+    clearCurve() {
+        this.cprView.clear();
+    }
+    
+    /**
+     * Describe each pane for on-screen labels
+     * @returns {Array<Object>} Panes from getPanes() with a label: orientation, slice
+     *                          number, window and slab for MPR panes; and edges, the
+     *                          patient sides at the pane's edges (see getEdgeLabels())
+     */
+    getPaneInfo() {
+        const volume = this.getVolumeGeometry();
+        return this.getPanes().map(pane => {
+            if (!pane.view) {
+                let label = '3D';
+                if (this.renderMode !== 'composite') label += ` · ${RENDER_MODE_LABELS[this.renderMode]}`;
+                if (this.viewSlabThickness > 0) label += ` · Slab ${this.viewSlabThickness} mm`;
+                const { right, up } = this.camera.getAxes();
+                return { ...pane, label, edges: this.textureLayout ? this.getEdgeLabels(right, up) : null };
+            }
+            
+            const { view } = pane;
+            let label = view.label;
+            if (view === this.cprView) {
+                const path = view.getPath(volume);
+                label += path ? ` ${Math.round(path.length)} mm` : ' · draw a curve in a slice pane';
+            } else {
+                if (view.isOblique()) label += ' oblique';
+                if (this.textureLayout) {
+                    const { index, count } = view.getSlice(this.cursor, volume);
+                    label += ` ${index + 1}/${count}`;
+                }
+            }
+            label += ` · W ${Math.round(view.windowWidth)} L ${Math.round(view.windowLevel)}`;
+            if (this.slabThickness > 0) label += ` · Slab ${this.slabThickness} mm`;
+            
+            // The curved pane's directions change along the curve, so it has no edge labels
+            const edges = this.textureLayout && view !== this.cprView ? this.getEdgeLabels(view.right, view.up) : null;
+            return { ...pane, label, edges };
         });
     }
     
@@ -353,10 +1365,19 @@ class VolumeRenderer {
         this.canvas.height = height;
     }
     
+    /**
+     * Upload a volume for rendering
+     * @param {Object} volumeData - Volume with data (x fastest, then y, then z),
+     *                              dimensions [columns, rows, slices], voxel spacing
+     *                              [x, y, z] in mm and optional minValue/maxValue
+     */
     loadVolume(volumeData) {
         this.volumeData = volumeData;
         
-        const [width, height, depth] = volumeData.dimensions;
+        // Voxel size in mm as [x, y, z]
+        this.voxelSpacing = volumeData.spacing || [1, 1, 1];
+        
+        let [width, height, depth] = volumeData.dimensions;
         
         console.log(`Loading volume: ${width} x ${height} x ${depth}, total data points: ${volumeData.data.length}`);
         
@@ -403,91 +1424,131 @@ class VolumeRenderer {
                 }
                 
                 if (foundFactors) {
-                    console.log(`Adjusted dimensions: ${actualWidth} x ${actualHeight} x ${likelySlices}`);
-                    
-                    // Update dimensions
-                    const newWidth = actualWidth;
-                    const newHeight = actualHeight;
-                    const newDepth = Math.floor(volumeData.data.length / (newWidth * newHeight));
-                    
-                    console.log(`Final adjusted dimensions: ${newWidth} x ${newHeight} x ${newDepth}`);
-                    
-                    // Recalculate with corrected dimensions
-                    const slicesPerRow = Math.ceil(Math.sqrt(newDepth));
-                    const rows = Math.ceil(newDepth / slicesPerRow);
-                    
-                    const texWidth = slicesPerRow * newWidth;
-                    const texHeight = rows * newHeight;
-                    
-                    console.log(`Texture size: ${texWidth} x ${texHeight} (slices per row: ${slicesPerRow})`);
-                    
-                    // Create texture data
-                    const textureData = new Uint8Array(texWidth * texHeight);
-                    
-                    // Fill texture data with actual available data
-                    for (let z = 0; z < newDepth; z++) {
-                        const sliceRow = Math.floor(z / slicesPerRow);
-                        const sliceCol = z % slicesPerRow;
-                        
-                        for (let y = 0; y < newHeight; y++) {
-                            for (let x = 0; x < newWidth; x++) {
-                                const volumeIdx = z * newWidth * newHeight + y * newWidth + x;
-                                
-                                // Check if we have data for this index
-                                if (volumeIdx < volumeData.data.length) {
-                                    const texX = sliceCol * newWidth + x;
-                                    const texY = sliceRow * newHeight + y;
-                                    const texIdx = texY * texWidth + texX;
-                                    
-                                    // Ensure we don't go out of bounds
-                                    if (texIdx < textureData.length) {
-                                        textureData[texIdx] = Math.max(0, Math.min(255, Math.round(volumeData.data[volumeIdx])));
-                                    }
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Ensure we have a valid texture
-                    if (!this.volumeTexture) {
-                        this.volumeTexture = this.gl.createTexture();
-                    }
-                    
-                    // Upload texture - bind texture before setting parameters
-                    this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-                    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-                    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-                    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-                    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+                    width = actualWidth;
+                    height = actualHeight;
+                    depth = Math.floor(volumeData.data.length / (width * height));
                     
-                    this.gl.texImage2D(
-                        this.gl.TEXTURE_2D,
-                        0,
-                        this.gl.LUMINANCE,
-                        texWidth,
-                        texHeight,
-                        0,
-                        this.gl.LUMINANCE,
-                        this.gl.UNSIGNED_BYTE,
-                        textureData
-                    );
-                    
-                    // Unbind texture after uploading
-                    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
-                    
-                    this.textureLayout = {
-                        width: texWidth,
-                        height: texHeight,
-                        slices: newDepth,
-                        volumeSize: [newWidth, newHeight, newDepth]
-                    };
-                    
-                    return; // Exit early after fixing dimensions
+                    console.log(`Final adjusted dimensions: ${width} x ${height} x ${depth}`);
                 }
             }
         }
         
-        // Original logic for when dimensions match
+        const { minValue, maxValue } = this.getValueRange(volumeData);
+        
+        // Spread the transfer function's lookup table over the values present
+        this.transferRange = [minValue, maxValue];
+        this.uploadTransferFunction();
+        
+        // Start the MPR panes in the middle of the volume, on voxel centres, with
+        // orthogonal planes and no curve
+        this.cursor = [width, height, depth].map(size => (Math.floor(size / 2) + 0.5) / size);
+        this.resetPlanes();
+        this.clearCurve();
+        this.resetCropBox();
+        this.clearClipPlanes();
+        
+        // Physical extent of the volume in mm, which the ray caster renders as a box
+        this.boxSize = [width * this.voxelSpacing[0], height * this.voxelSpacing[1], depth * this.voxelSpacing[2]];
+        console.log(`Volume extent: ${this.boxSize.map(v => v.toFixed(1)).join(' x ')} mm`);
+        
+        // Frame the whole volume
+        this.camera.reset(Math.hypot(...this.boxSize) / 2);
+        this.volumeAxes = getVolumeAxes(volumeData.orientation);
+        
+        // Ensure we have a valid texture
+        if (!this.volumeTexture) {
+            this.volumeTexture = this.gl.createTexture();
+        }
+        
+        if (this.isWebGL2) {
+            this.uploadTexture3D(volumeData.data, width, height, depth);
+        } else {
+            this.uploadAtlas(volumeData.data, width, height, depth, minValue, maxValue);
+        }
+        
+        console.log(`Volume texture uploaded: ${this.textureLayout.width} x ${this.textureLayout.height}`);
+        
+        // Value ranges for empty-space skipping; which blocks are visible is worked
+        // out when the 3D view is next drawn
+        this.blockRanges = computeBlockRanges(volumeData.data, [width, height, depth]);
+        this.occupancyDirty = true;
+        console.log(`Occupancy grid: ${this.blockRanges.size.join(' x ')} blocks`);
+    }
+    
+    /**
+     * Upload the volume as a native 3D texture of HU values (WebGL2)
+     * @param {TypedArray} data - Voxel values, x fastest then y then z
+     * @param {number} width - Columns
+     * @param {number} height - Rows
+     * @param {number} depth - Slices
+     */
+    uploadTexture3D(data, width, height, depth) {
+        const maxSize = this.gl.getParameter(this.gl.MAX_3D_TEXTURE_SIZE);
+        if (width > maxSize || height > maxSize || depth > maxSize) {
+            throw new Error(`Volume ${width} x ${height} x ${depth} exceeds the maximum 3D texture size of ${maxSize}`);
+        }
+        
+        this.gl.bindTexture(this.gl.TEXTURE_3D, this.volumeTexture);
+        this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_WRAP_R, this.gl.CLAMP_TO_EDGE);
+        this.gl.pixelStorei(this.gl.UNPACK_ALIGNMENT, 1);
+        
+        // R32F is only filterable with OES_texture_float_linear; R16F always is
+        const internalFormat = this.floatLinearFiltering ? this.gl.R32F : this.gl.R16F;
+        this.gl.texImage3D(
+            this.gl.TEXTURE_3D,
+            0,
+            internalFormat,
+            width,
+            height,
+            depth,
+            0,
+            this.gl.RED,
+            this.gl.FLOAT,
+            null
+        );
+        
+        // Upload slice by slice, so integer volumes are converted to float one
+        // slice at a time instead of in a second full-size copy
+        const sliceSize = width * height;
+        const sliceBuffer = data instanceof Float32Array ? null : new Float32Array(sliceSize);
+        for (let z = 0; z < depth; z++) {
+            let slice = data.subarray(z * sliceSize, (z + 1) * sliceSize);
+            if (sliceBuffer) {
+                sliceBuffer.fill(0, slice.length);
+                sliceBuffer.set(slice);
+                slice = sliceBuffer;
+            } else if (slice.length < sliceSize) {
+                break;
+            }
+            this.gl.texSubImage3D(this.gl.TEXTURE_3D, 0, 0, 0, z, width, height, 1, this.gl.RED, this.gl.FLOAT, slice);
+        }
+        
+        this.gl.bindTexture(this.gl.TEXTURE_3D, null);
+        
+        // The 3D texture holds HU directly
+        this.valueRange = { offset: 0, scale: 1 };
+        this.textureLayout = {
+            width: width,
+            height: height,
+            slices: depth,
+            volumeSize: [width, height, depth]
+        };
+    }
+    
+    /**
+     * Upload the volume as a 2D atlas of 8-bit slices (WebGL1 fallback)
+     * @param {TypedArray} data - Voxel values, x fastest then y then z
+     * @param {number} width - Columns
+     * @param {number} height - Rows
+     * @param {number} depth - Slices
+     * @param {number} minValue - Smallest voxel value
+     * @param {number} maxValue - Largest voxel value
+     */
+    uploadAtlas(data, width, height, depth, minValue, maxValue) {
         // Calculate texture layout
         const slicesPerRow = Math.ceil(Math.sqrt(depth));
         const rows = Math.ceil(depth / slicesPerRow);
@@ -495,42 +1556,24 @@ class VolumeRenderer {
         const texWidth = slicesPerRow * width;
         const texHeight = rows * height;
         
-        console.log(`Original texture size: ${texWidth} x ${texHeight} (slices per row: ${slicesPerRow})`);
-        
-        // Create texture data
-        const textureData = new Uint8Array(texWidth * texHeight);
+        console.log(`Texture size: ${texWidth} x ${texHeight} (slices per row: ${slicesPerRow})`);
         
-        // Fill texture data
-        for (let z = 0; z < depth; z++) {
-            const sliceRow = Math.floor(z / slicesPerRow);
-            const sliceCol = z % slicesPerRow;
-            
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const volumeIdx = z * width * height + y * width + x;
-                    const texX = sliceCol * width + x;
-                    const texY = sliceRow * height + y;
-                    const texIdx = texY * texWidth + texX;
-                    
-                    // Ensure we don't go out of bounds
-                    if (volumeIdx < volumeData.data.length && texIdx < textureData.length) {
-                        textureData[texIdx] = Math.max(0, Math.min(255, Math.round(volumeData.data[volumeIdx])));
-                    }
-                }
-            }
+        const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+        if (texWidth > maxSize || texHeight > maxSize) {
+            throw new Error(`Volume atlas ${texWidth} x ${texHeight} exceeds the maximum texture size of ${maxSize}`);
         }
         
-        // Ensure we have a valid texture
-        if (!this.volumeTexture) {
-            this.volumeTexture = this.gl.createTexture();
-        }
+        // Values are stretched over the volume's range; the shader maps
+        // texels back to HU with valueOffset + texel * valueScale
+        const valueScale = (maxValue - minValue) || 1;
         
-        // Upload texture - bind texture before setting parameters
+        // Allocate the atlas, then quantize and upload one slice at a time
         this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+        this.gl.pixelStorei(this.gl.UNPACK_ALIGNMENT, 1);
         
         this.gl.texImage2D(
             this.gl.TEXTURE_2D,
@@ -541,12 +1584,30 @@ class VolumeRenderer {
             0,
             this.gl.LUMINANCE,
             this.gl.UNSIGNED_BYTE,
-            textureData
+            null
         );
         
+        const sliceSize = width * height;
+        const sliceBuffer = new Uint8Array(sliceSize);
+        for (let z = 0; z < depth; z++) {
+            const sliceRow = Math.floor(z / slicesPerRow);
+            const sliceCol = z % slicesPerRow;
+            const offset = z * sliceSize;
+            const count = Math.max(0, Math.min(sliceSize, data.length - offset));
+            
+            for (let i = 0; i < count; i++) {
+                sliceBuffer[i] = Math.max(0, Math.min(255, Math.round((data[offset + i] - minValue) / valueScale * 255)));
+            }
+            sliceBuffer.fill(0, count);
+            
+            this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, sliceCol * width, sliceRow * height, width, height,
+                                  this.gl.LUMINANCE, this.gl.UNSIGNED_BYTE, sliceBuffer);
+        }
+        
         // Unbind texture after uploading
         this.gl.bindTexture(this.gl.TEXTURE_2D, null);
         
+        this.valueRange = { offset: minValue, scale: valueScale };
         this.textureLayout = {
             width: texWidth,
             height: texHeight,
@@ -555,20 +1616,485 @@ class VolumeRenderer {
         };
     }
     
+    /**
+     * Get the min/max of the volume values, scanning the data if the loader did not provide them
+     * @param {Object} volumeData - Volume with data and optional minValue/maxValue
+     * @returns {Object} minValue and maxValue
+     */
+    getValueRange(volumeData) {
+        if (volumeData.minValue !== undefined && volumeData.maxValue !== undefined) {
+            return { minValue: volumeData.minValue, maxValue: volumeData.maxValue };
+        }
+        
+        let minValue = Infinity;
+        let maxValue = -Infinity;
+        for (let i = 0; i < volumeData.data.length; i++) {
+            const value = volumeData.data[i];
+            if (value < minValue) minValue = value;
+            if (value > maxValue) maxValue = value;
+        }
+        
+        return { minValue, maxValue };
+    }
+    
     setThreshold(value) {
         this.threshold = value;
+        this.occupancyDirty = true;
     }
     
     setOpacity(value) {
         this.opacity = value;
     }
     
+    /**
+     * Use a transfer function for compositing. It is copied into a lookup texture,
+     * so call this again after editing it.
+     * @param {TransferFunction} transferFunction - Color and opacity map over voxel values
+     */
+    setTransferFunction(transferFunction) {
+        this.transferFunction = transferFunction;
+        this.uploadTransferFunction();
+    }
+    
+    /**
+     * Color compositing by the transfer function, or in gray by the window and threshold
+     * @param {boolean} enabled
+     */
+    setTransferFunctionEnabled(enabled) {
+        this.useTransferFunction = enabled;
+        this.occupancyDirty = true;
+    }
+    
+    /**
+     * Upload the transfer function as a lookup texture over transferRange
+     */
+    uploadTransferFunction() {
+        const [minValue, maxValue] = this.transferRange;
+        const table = this.transferFunction.toLookupTable(minValue, maxValue);
+        
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.transferTexture);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+        this.gl.pixelStorei(this.gl.UNPACK_ALIGNMENT, 1);
+        this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, TRANSFER_FUNCTION_SIZE, 1, 0,
+                           this.gl.RGBA, this.gl.UNSIGNED_BYTE, table);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+        this.occupancyDirty = true;
+    }
+    
+    /**
+     * Mark the blocks of the occupancy grid that hold anything the current transfer
+     * function, or window and threshold, make visible, and upload them
+     */
+    updateOccupancy() {
+        let isVisible;
+        if (this.useTransferFunction) {
+            const [minValue, maxValue] = this.transferRange;
+            isVisible = createLookupTableTest(this.transferFunction.toLookupTable(minValue, maxValue), minValue, maxValue);
+        } else {
+            // Above the threshold within the window, with an 8-bit step to spare
+            // for WebGL1's quantized volume
+            const thresholdValue = this.windowLevel - this.windowWidth / 2 + this.threshold / 255 * this.windowWidth;
+            const margin = (this.transferRange[1] - this.transferRange[0]) / 255;
+            isVisible = (low, high) => high + margin > thresholdValue;
+        }
+        const occupancy = computeOccupancy(this.blockRanges, isVisible);
+        const [sizeX, sizeY, sizeZ] = this.blockRanges.size;
+        
+        this.gl.pixelStorei(this.gl.UNPACK_ALIGNMENT, 1);
+        if (this.isWebGL2) {
+            this.gl.bindTexture(this.gl.TEXTURE_3D, this.occupancyTexture);
+            this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_MIN_FILTER, this.gl.NEAREST);
+            this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_MAG_FILTER, this.gl.NEAREST);
+            this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+            this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+            this.gl.texParameteri(this.gl.TEXTURE_3D, this.gl.TEXTURE_WRAP_R, this.gl.CLAMP_TO_EDGE);
+            this.gl.texImage3D(this.gl.TEXTURE_3D, 0, this.gl.R8, sizeX, sizeY, sizeZ, 0,
+                               this.gl.RED, this.gl.UNSIGNED_BYTE, occupancy);
+            this.gl.bindTexture(this.gl.TEXTURE_3D, null);
+        } else {
+            // Pack the grid's slices into an atlas, like the volume's
+            const slicesPerRow = Math.ceil(Math.sqrt(sizeZ));
+            const atlasWidth = slicesPerRow * sizeX;
+            const atlasHeight = Math.ceil(sizeZ / slicesPerRow) * sizeY;
+            const atlas = new Uint8Array(atlasWidth * atlasHeight);
+            for (let z = 0; z < sizeZ; z++) {
+                const offsetX = (z % slicesPerRow) * sizeX;
+                const offsetY = Math.floor(z / slicesPerRow) * sizeY;
+                for (let y = 0; y < sizeY; y++) {
+                    const row = occupancy.subarray((z * sizeY + y) * sizeX, (z * sizeY + y + 1) * sizeX);
+                    atlas.set(row, (offsetY + y) * atlasWidth + offsetX);
+                }
+            }
+            
+            this.gl.bindTexture(this.gl.TEXTURE_2D, this.occupancyTexture);
+            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.NEAREST);
+            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.NEAREST);
+            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+            this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+            this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.LUMINANCE, atlasWidth, atlasHeight, 0,
+                               this.gl.LUMINANCE, this.gl.UNSIGNED_BYTE, atlas);
+            this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+        }
+        this.occupancyDirty = false;
+    }
+    
+    /**
+     * Set how finely rays sample the volume. Rays through the whole box take one
+     * step per voxel at 1, so the step count follows the volume's resolution.
+     * @param {number} quality - Samples per smallest voxel side, 0.25 to 4
+     */
+    setQuality(quality) {
+        this.quality = Math.max(0.25, Math.min(4, quality));
+    }
+    
+    /**
+     * Ray-march step in mm: the smallest voxel side over the quality, lengthened if
+     * the box's diagonal would need more than MAX_RAY_STEPS
+     * @returns {number}
+     */
+    getStepSize() {
+        const diagonal = Math.hypot(...this.boxSize);
+        return Math.max(Math.min(...this.voxelSpacing) / this.quality, diagonal / MAX_RAY_STEPS);
+    }
+    
+    /**
+     * Look at the whole volume from the front again
+     */
+    resetCamera() {
+        this.camera.reset();
+    }
+    
+    /**
+     * Crop the 3D view to an axis-aligned box
+     * @param {Array<number>} min - Lower corner in texture coordinates (0-1 along each axis)
+     * @param {Array<number>} max - Upper corner in texture coordinates
+     */
+    setCropBox(min, max) {
+        this.cropBox = normalizeCropBox(min, max);
+    }
+    
+    /**
+     * @returns {Object} min and max corners of the crop box, in texture coordinates
+     */
+    getCropBox() {
+        return { min: [...this.cropBox.min], max: [...this.cropBox.max] };
+    }
+    
+    resetCropBox() {
+        this.cropBox = createCropBox();
+    }
+    
+    /**
+     * Add a clipping plane, which cuts away the side of the volume its normal points to
+     * @param {Array<number>} [normal] - Normal in world space; by default towards the
+     *                                   viewer, cutting away the near half
+     * @param {number} [distance=0] - Signed distance in mm from the volume's centre
+     * @returns {number} Index of the new plane, which becomes the selected one
+     */
+    addClipPlane(normal = this.camera.getAxes().forward.map(c => -c), distance = 0) {
+        if (this.clipPlanes.length >= MAX_CLIP_PLANES) {
+            throw new Error(`The 3D view takes at most ${MAX_CLIP_PLANES} clipping planes`);
+        }
+        this.clipPlanes.push(createClipPlane(normal, distance));
+        this.selectedClipPlane = this.clipPlanes.length - 1;
+        return this.selectedClipPlane;
+    }
+    
+    /**
+     * Move or turn a clipping plane
+     * @param {number} index - Index of the plane
+     * @param {Array<number>} normal - Normal in world space
+     * @param {number} distance - Signed distance in mm from the volume's centre
+     */
+    setClipPlane(index, normal, distance) {
+        this.checkClipPlaneIndex(index);
+        this.clipPlanes[index] = createClipPlane(normal, distance);
+    }
+    
+    /**
+     * Turn a clipping plane to face the viewer, through the point of it nearest the
+     * camera's target, so it cuts away whatever lies in front of that point
+     * @param {number} index - Index of the plane
+     */
+    alignClipPlaneToView(index) {
+        this.checkClipPlaneIndex(index);
+        const { normal, distance } = this.clipPlanes[index];
+        const target = this.camera.target;
+        const height = target.reduce((sum, c, i) => sum + c * normal[i], 0) - distance;
+        const point = target.map((c, i) => c - normal[i] * height);
+        
+        const facing = this.camera.getAxes().forward.map(c => -c);
+        this.setClipPlane(index, facing, point.reduce((sum, c, i) => sum + c * facing[i], 0));
+    }
+    
+    /**
+     * @param {number} index - Index of the plane to remove
+     */
+    removeClipPlane(index) {
+        this.checkClipPlaneIndex(index);
+        this.clipPlanes.splice(index, 1);
+        if (this.selectedClipPlane > index || this.selectedClipPlane === this.clipPlanes.length) {
+            this.selectedClipPlane--;
+        }
+    }
+    
+    clearClipPlanes() {
+        this.clipPlanes = [];
+        this.selectedClipPlane = -1;
+    }
+    
+    /**
+     * Pick the clipping plane that Shift-drags move and the 3D view outlines
+     * @param {number} index - Index of the plane, -1 for none
+     */
+    selectClipPlane(index) {
+        if (index !== -1) this.checkClipPlaneIndex(index);
+        this.selectedClipPlane = index;
+    }
+    
+    /**
+     * @returns {Array<Object>} Clipping planes, each with a unit normal in world space
+     *                          and its distance in mm from the volume's centre
+     */
+    getClipPlanes() {
+        return this.clipPlanes.map(({ normal, distance }) => ({ normal: [...normal], distance }));
+    }
+    
+    /**
+     * @param {number} index - Index that should name an existing clipping plane
+     */
+    checkClipPlaneIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.clipPlanes.length) {
+            throw new Error(`No clipping plane ${index}; there are ${this.clipPlanes.length}`);
+        }
+    }
+    
+    /**
+     * @returns {Object} cropBox and planes, as getCropBox() and getClipPlanes() give them
+     */
+    getClipping() {
+        return { cropBox: this.getCropBox(), planes: this.getClipPlanes() };
+    }
+    
+    /**
+     * Replace the crop box and the clipping planes, e.g. with ones from getClipping();
+     * nothing changes if either is invalid
+     * @param {Object} clipping - cropBox with min and max, and an array of planes
+     */
+    setClipping({ cropBox, planes }) {
+        if (!cropBox || !Array.isArray(planes) || planes.length > MAX_CLIP_PLANES) {
+            throw new Error(`Clipping needs a crop box and an array of at most ${MAX_CLIP_PLANES} planes`);
+        }
+        const box = normalizeCropBox(cropBox.min, cropBox.max);
+        const clipPlanes = planes.map(({ normal, distance }) => createClipPlane(normal, distance));
+        
+        this.cropBox = box;
+        this.clipPlanes = clipPlanes;
+        this.selectedClipPlane = clipPlanes.length - 1;
+    }
+    
+    /**
+     * Start or stop editing the clipping; while editing, the 3D view shows the crop
+     * box and the selected plane, dragging a crop face moves it and Shift-dragging
+     * moves the selected plane
+     * @param {boolean} editing
+     */
+    setClipEditing(editing) {
+        this.clipEditing = editing;
+        this.activeCropFace = -1;
+    }
+    
+    /**
+     * Find the crop box face under a point of the 3D pane
+     * @param {Object} pane - The 3D pane from getPanes()
+     * @param {Array<number>} point - Pane coordinates
+     * @returns {number} Face index (see moveCropFace() in clipping.js), -1 for none
+     */
+    getCropFaceAt(pane, point) {
+        if (!this.textureLayout) return -1;
+        const { origin, direction } = this.camera.getRay(point, pane.width / pane.height);
+        const toWorld = (corner) => corner.map((c, i) => (c - 0.5) * this.boxSize[i]);
+        const hit = intersectBox(origin, direction, toWorld(this.cropBox.min), toWorld(this.cropBox.max));
+        return hit && hit.near >= 0 ? hit.face : -1;
+    }
+    
+    /**
+     * @param {number} face - Face index
+     * @returns {Array<number>} Centre of a crop box face in world space
+     */
+    getCropFaceCentre(face) {
+        const axis = Math.floor(face / 2);
+        return this.cropBox.min.map((min, i) => {
+            const c = i !== axis ? (min + this.cropBox.max[i]) / 2 : face % 2 ? this.cropBox.max[i] : min;
+            return (c - 0.5) * this.boxSize[i];
+        });
+    }
+    
+    /**
+     * How far a drag in the 3D pane moves a point along a direction: the drag's
+     * length along the direction's image on screen
+     * @param {Array<number>} from - Pane coordinates where the drag was
+     * @param {Array<number>} to - Pane coordinates where it is now
+     * @param {Array<number>} position - World position being moved
+     * @param {Array<number>} direction - Unit world direction it moves along
+     * @param {Object} pane - The 3D pane
+     * @returns {number} Distance in mm; 0 for directions pointing at the viewer,
+     *                   which would turn small drags into big jumps
+     */
+    getDragAlong(from, to, position, direction, pane) {
+        const aspect = pane.width / pane.height;
+        const start = this.camera.project(position, aspect);
+        const toScreen = (offset) => {
+            const end = this.camera.project(position.map((c, i) => c + offset[i]), aspect);
+            return [(end[0] - start[0]) * aspect, end[1] - start[1]];
+        };
+        
+        // Screen length of a millimetre along the direction, against one across the view
+        const along = toScreen(direction);
+        const across = toScreen(this.camera.getAxes().right);
+        const lengthSquared = along[0] * along[0] + along[1] * along[1];
+        if (lengthSquared < 0.04 * (across[0] * across[0] + across[1] * across[1])) {
+            return 0;
+        }
+        
+        const drag = [(to[0] - from[0]) * aspect, to[1] - from[1]];
+        return (drag[0] * along[0] + drag[1] * along[1]) / lengthSquared;
+    }
+    
+    /**
+     * Frame the whole volume from one of the standard anatomical directions
+     * @param {string} name - Key of ANATOMICAL_VIEWS, e.g. 'anterior'
+     */
+    setAnatomicalView(name) {
+        const view = ANATOMICAL_VIEWS[name];
+        if (!view) {
+            throw new Error(`Unknown view '${name}', expected one of ${Object.keys(ANATOMICAL_VIEWS).join(', ')}`);
+        }
+        this.camera.reset();
+        this.camera.lookAlong(patientToVolume(this.volumeAxes, view.forward), patientToVolume(this.volumeAxes, view.up));
+    }
+    
+    /**
+     * The patient's axes as the 3D view shows them, for an orientation marker
+     * @returns {Array<Array<number>>} LPS x, y and z axes in camera space (x right,
+     *                                 y up, z towards the viewer)
+     */
+    getPatientAxes() {
+        const { right, up, forward } = this.camera.getAxes();
+        const along = (axis, direction) => axis.reduce((sum, c, i) => sum + c * direction[i], 0);
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(direction => {
+            const axis = patientToVolume(this.volumeAxes, direction);
+            return [along(axis, right), along(axis, up), -along(axis, forward)];
+        });
+    }
+    
+    /**
+     * Patient sides at the middle of each edge of a pane
+     * @param {Array<number>} right - World direction across the pane
+     * @param {Array<number>} up - World direction up the pane
+     * @returns {Object} left, right, top and bottom labels, e.g. 'R', 'L', 'S', 'I'
+     */
+    getEdgeLabels(right, up) {
+        const label = (direction, sign) => getDirectionLabel(volumeToPatient(this.volumeAxes, direction.map(c => c * sign)));
+        return { left: label(right, -1), right: label(right, 1), top: label(up, 1), bottom: label(up, -1) };
+    }
+    
+    /**
+     * Turn the volume about an axis of the screen, e.g. for keyboard rotation steps
+     * @param {Array<number>} axis - Unit axis; x is right, y up and z towards the viewer
+     * @param {number} angle - Angle in radians, counterclockwise seen from the axis' tip
+     */
+    rotateVolume(axis, angle) {
+        this.camera.turn(axis, -angle);
+    }
+    
+    /**
+     * @param {string} projection - 'perspective' or 'orthographic'
+     */
+    setProjection(projection) {
+        this.camera.setProjection(projection);
+    }
+    
+    /**
+     * Choose how the 3D view turns rays into pixels. Threshold and opacity only
+     * apply to compositing; the projections show the windowed value they pick.
+     * @param {string} mode - 'composite', 'mip' (maximum intensity projection),
+     *                        'minip' (minimum) or 'aip' (average)
+     */
+    setRenderMode(mode) {
+        if (!RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown render mode '${mode}', expected one of ${RENDER_MODES.join(', ')}`);
+        }
+        this.renderMode = mode;
+    }
+    
+    /**
+     * Limit the 3D view to a slab facing the viewer, centred on the cursor
+     * @param {number} thickness - Slab thickness in mm, 0 for the whole volume
+     */
+    setViewSlabThickness(thickness) {
+        this.viewSlabThickness = Math.max(0, thickness);
+    }
+    
+    /**
+     * Change the lighting settings
+     * @param {Object} settings - Any of enabled, ambient, diffuse, specular, shininess
+     *                            and gradientOpacity
+     */
+    setShading(settings) {
+        this.shading = { ...this.shading, ...settings };
+    }
+    
+    /**
+     * Capture the current window, transfer function, render mode and shading as a preset
+     * @param {string} name - Name to save the preset under
+     * @returns {Object} Plain JSON preset
+     */
+    getPreset(name) {
+        return validatePreset({
+            name,
+            windowLevel: this.windowLevel,
+            windowWidth: this.windowWidth,
+            renderMode: this.renderMode,
+            shading: { ...this.shading },
+            transferFunction: this.transferFunction.toJSON()
+        });
+    }
+    
+    /**
+     * Apply a preset in one go. It is checked in full first, so a bad preset
+     * changes nothing.
+     * @param {Object} preset - Preset from presets.js, getPreset() or a file
+     */
+    applyPreset(preset) {
+        const { windowLevel, windowWidth, renderMode, shading, transferFunction } = validatePreset(preset);
+        if (!RENDER_MODES.includes(renderMode)) {
+            throw new Error(`Preset '${preset.name}' has unknown render mode '${renderMode}'`);
+        }
+        
+        this.setWindowLevel(windowLevel);
+        this.setWindowWidth(windowWidth);
+        this.setRenderMode(renderMode);
+        if (shading) this.setShading(shading);
+        this.setTransferFunction(TransferFunction.fromJSON(transferFunction));
+        this.setTransferFunctionEnabled(true);
+    }
+    
+    // The window controls set the 3D view and every MPR pane; panes can then
+    // be adjusted one by one by right-dragging in them
     setWindowLevel(value) {
         this.windowLevel = value;
+        this.occupancyDirty = true;
+        this.mprViews.forEach(view => { view.windowLevel = value; });
     }
     
     setWindowWidth(value) {
         this.windowWidth = value;
+        this.occupancyDirty = true;
+        this.mprViews.forEach(view => { view.windowWidth = value; });
     }
     
     getSliceCount() {
@@ -582,43 +2108,227 @@ class VolumeRenderer {
         this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
         
-        this.gl.useProgram(this.program);
-        
-        // Set up vertex attributes
+        for (const pane of this.getPanes()) {
+            this.gl.viewport(pane.x, pane.y, pane.width, pane.height);
+            if (pane.view) {
+                this.renderMpr(pane);
+            } else {
+                this.render3D(pane);
+            }
+        }
+    }
+    
+    /**
+     * Bind the full-screen quad to a program's a_position attribute
+     * @param {WebGLProgram} program - Program about to draw
+     */
+    bindQuad(program) {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.quadBuffer);
-        const positionAttributeLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        const positionAttributeLocation = this.gl.getAttribLocation(program, 'a_position');
         this.gl.enableVertexAttribArray(positionAttributeLocation);
         this.gl.vertexAttribPointer(positionAttributeLocation, 2, this.gl.FLOAT, false, 0, 0);
-        
-        // Set texture and uniforms
+    }
+    
+    /**
+     * Bind the volume texture and set the uniforms that describe it
+     * @param {Object} locations - Uniform locations of the program in use
+     */
+    setVolumeUniforms(locations) {
         if (this.volumeTexture && this.textureLayout) {
             this.gl.activeTexture(this.gl.TEXTURE0);
-            this.gl.bindTexture(this.gl.TEXTURE_2D, this.volumeTexture);
-            this.gl.uniform1i(this.uniformLocations.volumeTexture, 0);
+            this.gl.bindTexture(this.isWebGL2 ? this.gl.TEXTURE_3D : this.gl.TEXTURE_2D, this.volumeTexture);
+            this.gl.uniform1i(locations.volumeTexture, 0);
             
-            this.gl.uniform1f(this.uniformLocations.textureWidth, this.textureLayout.width);
-            this.gl.uniform1f(this.uniformLocations.textureHeight, this.textureLayout.height);
-            this.gl.uniform1f(this.uniformLocations.slices, this.textureLayout.slices);
-            this.gl.uniform3f(this.uniformLocations.volumeSize,
+            this.gl.uniform1f(locations.textureWidth, this.textureLayout.width);
+            this.gl.uniform1f(locations.textureHeight, this.textureLayout.height);
+            this.gl.uniform1f(locations.slices, this.textureLayout.slices);
+            this.gl.uniform3f(locations.volumeSize,
                              this.textureLayout.volumeSize[0],
                              this.textureLayout.volumeSize[1],
                              this.textureLayout.volumeSize[2]);
+            this.gl.uniform1f(locations.valueOffset, this.valueRange.offset);
+            this.gl.uniform1f(locations.valueScale, this.valueRange.scale);
         } else {
             // Default values when no volume loaded
-            this.gl.uniform1f(this.uniformLocations.slices, 0);
-            this.gl.uniform1f(this.uniformLocations.textureWidth, 1);
-            this.gl.uniform1f(this.uniformLocations.textureHeight, 1);
-            this.gl.uniform3f(this.uniformLocations.volumeSize, 1, 1, 1);
+            this.gl.uniform1f(locations.slices, 0);
+            this.gl.uniform1f(locations.textureWidth, 1);
+            this.gl.uniform1f(locations.textureHeight, 1);
+            this.gl.uniform3f(locations.volumeSize, 1, 1, 1);
+            this.gl.uniform1f(locations.valueOffset, 0);
+            this.gl.uniform1f(locations.valueScale, 1);
+        }
+    }
+    
+    /**
+     * Ray cast the volume into the current viewport
+     * @param {Object} pane - Pane from getPanes() showing the 3D view
+     */
+    render3D(pane) {
+        this.gl.useProgram(this.program);
+        this.bindQuad(this.program);
+        this.setVolumeUniforms(this.uniformLocations);
+        
+        if (this.volumeTexture && this.textureLayout) {
+            this.gl.uniform3fv(this.uniformLocations.boxSize, this.boxSize);
+            this.gl.uniform1f(this.uniformLocations.stepSize, this.getStepSize());
+            this.gl.uniform3fv(this.uniformLocations.voxelSpacing, this.voxelSpacing);
+        } else {
+            this.gl.uniform3f(this.uniformLocations.boxSize, 1, 1, 1);
+            this.gl.uniform1f(this.uniformLocations.stepSize, 1);
+            this.gl.uniform3f(this.uniformLocations.voxelSpacing, 1, 1, 1);
         }
         
         this.gl.uniform1f(this.uniformLocations.threshold, this.threshold);
         this.gl.uniform1f(this.uniformLocations.opacity, this.opacity);
         this.gl.uniform1f(this.uniformLocations.windowLevel, this.windowLevel);
         this.gl.uniform1f(this.uniformLocations.windowWidth, this.windowWidth);
-        this.gl.uniform1f(this.uniformLocations.u_zoom, this.zoom);
-        this.gl.uniform1f(this.uniformLocations.u_rotationX, this.rotationX);
-        this.gl.uniform1f(this.uniformLocations.u_rotationY, this.rotationY);
+        
+        // Rays come from the camera's inverse view-projection, so they line up with
+        // anything else drawn or picked through the camera
+        const { right, up, forward } = this.camera.getAxes();
+        const inverseViewProjection = this.camera.getInverseViewProjectionMatrix(pane.width / pane.height);
+        this.gl.uniformMatrix4fv(this.uniformLocations.inverseViewProjection, false, inverseViewProjection);
+        this.gl.uniform3fv(this.uniformLocations.viewDirection, forward);
+        
+        // The light sits above and to the left of the camera
+        const light = [-0.4, 0.4, 1];
+        const lightLength = Math.hypot(...light);
+        this.gl.uniform3fv(this.uniformLocations.lightDirection, [0, 1, 2].map(i =>
+            (right[i] * light[0] + up[i] * light[1] - forward[i] * light[2]) / lightLength));
+        this.gl.uniform1f(this.uniformLocations.renderMode, RENDER_MODES.indexOf(this.renderMode));
+        this.gl.uniform1f(this.uniformLocations.viewSlabThickness, this.viewSlabThickness);
+        
+        // The transfer function's lookup table sits next to the volume, on texture unit 1
+        this.gl.activeTexture(this.gl.TEXTURE1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.transferTexture);
+        this.gl.uniform1i(this.uniformLocations.transferFunction, 1);
+        this.gl.uniform1f(this.uniformLocations.useTransferFunction, this.useTransferFunction ? 1 : 0);
+        this.gl.uniform1f(this.uniformLocations.transferMin, this.transferRange[0]);
+        this.gl.uniform1f(this.uniformLocations.transferMax, Math.max(this.transferRange[1], this.transferRange[0] + 1));
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        
+        const { enabled, ambient, diffuse, specular, shininess, gradientOpacity } = this.shading;
+        this.gl.uniform1f(this.uniformLocations.shading, enabled ? 1 : 0);
+        this.gl.uniform1f(this.uniformLocations.ambient, ambient);
+        this.gl.uniform1f(this.uniformLocations.diffuse, diffuse);
+        this.gl.uniform1f(this.uniformLocations.specular, specular);
+        this.gl.uniform1f(this.uniformLocations.shininess, Math.max(1, shininess));
+        this.gl.uniform1f(this.uniformLocations.gradientOpacity, gradientOpacity);
+        
+        // Empty-space skipping only applies to compositing; the projections need every sample
+        if (this.blockRanges && this.occupancyDirty) {
+            this.updateOccupancy();
+        }
+        const skipEmptySpace = this.blockRanges && this.renderMode === 'composite';
+        this.gl.uniform1f(this.uniformLocations.skipEmptySpace, skipEmptySpace ? 1 : 0);
+        this.gl.activeTexture(this.gl.TEXTURE2);
+        this.gl.bindTexture(this.isWebGL2 ? this.gl.TEXTURE_3D : this.gl.TEXTURE_2D, this.occupancyTexture);
+        this.gl.uniform1i(this.uniformLocations.occupancy, 2);
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        if (this.blockRanges) {
+            const { size } = this.blockRanges;
+            this.gl.uniform3fv(this.uniformLocations.occupancySize, size);
+            this.gl.uniform3fv(this.uniformLocations.cellSize, this.textureLayout.volumeSize.map(dimension => OCCUPANCY_BLOCK_SIZE / dimension));
+        } else {
+            this.gl.uniform3f(this.uniformLocations.occupancySize, 1, 1, 1);
+            this.gl.uniform3f(this.uniformLocations.cellSize, 1, 1, 1);
+        }
+        
+        // Crop box in mm, and the clipping planes padded out to the uniform array
+        const boxSize = this.boxSize || [1, 1, 1];
+        this.gl.uniform3fv(this.uniformLocations.cropMin, this.cropBox.min.map((c, i) => (c - 0.5) * boxSize[i]));
+        this.gl.uniform3fv(this.uniformLocations.cropMax, this.cropBox.max.map((c, i) => (c - 0.5) * boxSize[i]));
+        const clipPlanes = new Float32Array(MAX_CLIP_PLANES * 4);
+        this.clipPlanes.forEach(({ normal, distance }, i) => clipPlanes.set([...normal, distance], i * 4));
+        this.gl.uniform4fv(this.uniformLocations.clipPlanes, clipPlanes);
+        this.gl.uniform1f(this.uniformLocations.clipPlaneCount, this.clipPlanes.length);
+        this.gl.uniform1f(this.uniformLocations.clipEditing, this.clipEditing ? 1 : 0);
+        this.gl.uniform1f(this.uniformLocations.activeCropFace, this.activeCropFace);
+        this.gl.uniform1f(this.uniformLocations.selectedClipPlane, this.selectedClipPlane);
+        
+        // Outline the MPR planes while the panes are shown
+        this.gl.uniform3fv(this.uniformLocations.cursor, this.cursor);
+        this.gl.uniform1f(this.uniformLocations.showPlanes, this.layout === 'mpr' ? 1 : 0);
+        this.gl.uniform3fv(this.uniformLocations.planeNormals, this.mprViews.flatMap(view => view.normal));
+        this.gl.uniform3fv(this.uniformLocations.planeColors, this.mprViews.flatMap(view => view.color));
         
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
+    
+    /**
+     * Draw one MPR or curved pane into the current viewport
+     * @param {Object} pane - Pane from getPanes() showing an MprView or CprView
+     */
+    renderMpr(pane) {
+        if (!this.mprProgram) return;
+        
+        const view = pane.view;
+        const curved = view === this.cprView;
+        this.gl.useProgram(this.mprProgram);
+        this.bindQuad(this.mprProgram);
+        this.setVolumeUniforms(this.mprUniformLocations);
+        
+        const locations = this.mprUniformLocations;
+        const volume = this.getVolumeGeometry();
+        const geometry = this.getPaneGeometry(pane);
+        
+        this.gl.uniform1f(locations.windowLevel, view.windowLevel);
+        this.gl.uniform1f(locations.windowWidth, view.windowWidth);
+        this.gl.uniform2f(locations.viewportSize, pane.width, pane.height);
+        this.gl.uniform1f(locations.slabThickness, this.slabThickness);
+        this.gl.uniform1f(locations.slabSamples, getSlabSampleCount(this.slabThickness, volume.spacing));
+        this.gl.uniform1f(locations.curved, curved ? 1 : 0);
+        this.setCurveUniforms(locations, volume);
+        
+        if (!geometry) {
+            // Nothing to sample: no volume, or no curve yet
+            this.gl.uniform2f(locations.fit, 1, 1);
+            this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+            return;
+        }
+        
+        const { plane, fit } = geometry;
+        this.gl.uniform3fv(locations.boxSize, plane.boxSize);
+        this.gl.uniform2fv(locations.fit, fit);
+        this.gl.uniform1f(locations.pixelSize, plane.width * fit[0] / pane.width);
+        
+        if (!curved) {
+            this.gl.uniform3fv(locations.planeOrigin, plane.origin);
+            this.gl.uniform3fv(locations.planeRight, plane.right);
+            this.gl.uniform3fv(locations.planeUp, plane.up);
+            this.gl.uniform3fv(locations.planeNormal, view.normal.map((n, i) => n / plane.boxSize[i]));
+            
+            const crosshair = view.getCrosshair(this.cursor, plane, fit, pane.width, pane.height, this.mprViews);
+            this.gl.uniform2fv(locations.crosshair, crosshair.centre);
+            this.gl.uniform2fv(locations.lineDirections, crosshair.lines.flatMap(line => line.direction));
+            this.gl.uniform3fv(locations.lineColors, crosshair.lines.flatMap(line => line.view.color));
+            this.gl.uniform2fv(locations.handles, crosshair.lines.flatMap(line => line.handles.flat()));
+        }
+        
+        this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+    }
+    
+    /**
+     * Pass the curve to the MPR program: the curved pane samples along it and the
+     * slice panes draw it
+     * @param {Object} locations - Uniform locations of the MPR program
+     * @param {Object} volume - Volume geometry from getVolumeGeometry()
+     */
+    setCurveUniforms(locations, volume) {
+        const { points } = this.cprView;
+        const path = this.cprView.getPath(volume);
+        
+        // xyz is the position in texture coordinates, w the distance along the curve in mm
+        const curvePoints = new Float32Array(MAX_CURVE_POINTS * 4);
+        points.forEach((point, i) => {
+            curvePoints.set(point, i * 4);
+            curvePoints[i * 4 + 3] = path ? path.lengths[i] : 0;
+        });
+        
+        this.gl.uniform4fv(locations.curvePoints, curvePoints);
+        this.gl.uniform1f(locations.curvePointCount, points.length);
+        this.gl.uniform1f(locations.curveLength, path ? path.length : 0);
+        this.gl.uniform3fv(locations.curveUp, path ? path.up : [0, 0, 0]);
+        this.gl.uniform3fv(locations.curveUpDirection, this.cprView.up || [0, 0, 1]);
+    }
 }// Auto-refresh to trigger GitHub Pages deployment